@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Resolve the current user id from passport (req.user), a legacy session.user, or the raw passport session
+function getLoggedInUserId(req) {
+  const candidate =
+    req.user ||
+    (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
+  return typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
+}
+
+function getBearerToken(req) {
+  const header = (req.get && req.get('authorization')) || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  return match ? match[1].trim() : null;
+}
+
+// Per-route opt-in for personal API keys (Authorization: Bearer vara_...).
+// A valid key with the given scope populates req.user exactly like a session would,
+// so the handlers below it don't need to know how the caller authenticated.
+function apiKeyAuth(scope) {
+  return async (req, res, next) => {
+    try {
+      if (req.user) return next(); // session wins
+
+      const token = getBearerToken(req);
+      if (!token || !token.startsWith(ApiKey.KEY_PREFIX)) return next();
+
+      const key = await ApiKey.findOne({ keyHash: ApiKey.hashKey(token), revokedAt: null });
+      if (!key) {
+        return res.status(401).json({ error: 'INVALID_API_KEY', message: 'API key is invalid or has been revoked' });
+      }
+      if (!key.scopes.includes(scope)) {
+        return res.status(403).json({ error: 'INSUFFICIENT_SCOPE', message: `This API key is missing the '${scope}' scope`, requiredScope: scope });
+      }
+
+      const user = await User.findById(key.user);
+      if (!user) {
+        return res.status(401).json({ error: 'INVALID_API_KEY', message: 'API key owner no longer exists' });
+      }
+
+      req.user = user;
+      req.apiKey = key;
+      req.authMethod = 'api_key';
+
+      // Usage counters are best-effort; never block the request on them
+      ApiKey.updateOne(
+        { _id: key._id },
+        {
+          $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || null },
+          $inc: { usageCount: 1, [`usageByScope.${scope}`]: 1 }
+        }
+      ).catch(err => console.warn('[api-key] usage update failed:', err && err.message ? err.message : err));
+
+      return next();
+    } catch (err) {
+      console.error('[api-key] auth error:', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Global: populate req.user from a JWT access token (mobile token mode) when there is no session.
+// Existing routes keep checking req.user / req.isAuthenticated() and work unchanged.
+// Invalid or expired tokens are rejected so clients know to refresh instead of silently acting anonymous.
+async function jwtAuth(req, res, next) {
+  try {
+    if (req.user) return next();
+
+    const token = getBearerToken(req);
+    // vara_ keys are personal API keys, handled per-route by apiKeyAuth
+    if (!token || token.startsWith(ApiKey.KEY_PREFIX)) return next();
+
+    const payload = verifyAccessToken(token);
+    if (!payload) {
+      return res.status(401).json({ error: 'INVALID_ACCESS_TOKEN', message: 'Access token is invalid or expired' });
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ error: 'INVALID_ACCESS_TOKEN', message: 'Access token owner no longer exists' });
+    }
+
+    req.user = user;
+    req.authMethod = 'jwt';
+    req.tokenFamily = payload.fam || null;
+    return next();
+  } catch (err) {
+    console.error('[jwt] auth error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// After a password/Google login on a 2FA account the session is only half logged in
+// until POST /api/auth/2fa/verify succeeds; mounted ahead of every router but the auth ones.
+function requireTwoFactorComplete(req, res, next) {
+  if (req.session && req.session.twoFactorPending && !req.authMethod) {
+    return res.status(401).json({ error: 'TWO_FACTOR_REQUIRED', message: 'Enter your authenticator code to continue' });
+  }
+  return next();
+}
+
+// Call right after req.logIn(): flags the new session as 2FA-pending when the account has it enabled
+function beginTwoFactorIfRequired(req, user) {
+  const required = Boolean(user && user.twoFactor && user.twoFactor.enabled);
+  if (required && req.session) {
+    req.session.twoFactorPending = true;
+    req.session.twoFactorAttempts = 0;
+  }
+  return required;
+}
+
+module.exports = {
+  jwtAuth,
+  requireTwoFactorComplete,
+  beginTwoFactorIfRequired,
+  getLoggedInUserId,
+  getBearerToken,
+  apiKeyAuth
+};
@@ -0,0 +1,184 @@
+// Rate limiting for public and expensive endpoints.
+//
+// Each route names a policy; a policy lists which buckets to count (per IP, per user,
+// per API key) and how many hits each may take per window. Every applicable bucket is
+// incremented, and the request is refused as soon as any of them is over its limit.
+//
+// Stores are pluggable: anything with `increment(key, windowMs) → { count, resetAt }`.
+// RATE_LIMIT_STORE=mongo shares counters across instances; the default is in-memory.
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { getLoggedInUserId } = require('./auth');
+const { hasPermission } = require('./roles');
+
+const MINUTE = 60 * 1000;
+
+const POLICIES = {
+  // Public and guessable: throttle hard per IP
+  licenseVerify: { windowMs: 15 * MINUTE, limits: { ip: 60 } },
+  // Every call may hit OpenAI
+  aiRecommend: { windowMs: MINUTE, limits: { ip: 30, user: 10, apiKey: 10 } },
+  // Audio proxy: bandwidth, not CPU
+  fileProxy: { windowMs: 10 * MINUTE, limits: { ip: 120, user: 120 } },
+  // Guessing codes: slow per IP and per account
+  voucherRedeem: { windowMs: 15 * MINUTE, limits: { ip: 20, user: 10 } },
+  referralApply: { windowMs: 15 * MINUTE, limits: { ip: 20, user: 10 } }
+};
+
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+    // Drop expired windows now and then; unref so it never keeps the process alive
+    this.sweeper = setInterval(() => this.sweep(), MINUTE);
+    if (this.sweeper.unref) this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+    bucket.count += 1;
+    return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+  }
+
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+class MongoStore {
+  async increment(key, windowMs, attempt = 1) {
+    const now = new Date();
+    const live = { $gt: ['$resetAt', now] };
+    try {
+      // Single atomic upsert: bump a live window or start a new one
+      const doc = await RateLimitBucket.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            key,
+            count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [live, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+      return { count: doc.count, resetAt: doc.resetAt };
+    } catch (err) {
+      // Two first hits racing on the unique key: the loser just retries
+      if (err && err.code === 11000 && attempt < 3) return this.increment(key, windowMs, attempt + 1);
+      throw err;
+    }
+  }
+
+  async reset(key) {
+    await RateLimitBucket.deleteOne({ key });
+  }
+}
+
+let defaultStore = null;
+function getDefaultStore() {
+  if (!defaultStore) {
+    const kind = String(process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    defaultStore = kind === 'mongo' ? new MongoStore() : new MemoryStore();
+  }
+  return defaultStore;
+}
+
+// RATE_LIMIT_ALLOWLIST: comma-separated IPs and/or user ids that are never limited
+function parseAllowlist(raw) {
+  return new Set(String(raw || '').split(',').map(s => s.trim()).filter(Boolean));
+}
+const ALLOWLIST = parseAllowlist(process.env.RATE_LIMIT_ALLOWLIST);
+
+function isAllowlisted(req) {
+  if (req.user && req.authMethod !== 'api_key' && hasPermission(req.user, 'ratelimit:bypass')) return true;
+  if (req.ip && ALLOWLIST.has(req.ip)) return true;
+  const userId = getLoggedInUserId(req);
+  return Boolean(userId && ALLOWLIST.has(String(userId)));
+}
+
+// Which bucket ids apply to this request
+function bucketIds(req) {
+  const ids = { ip: req.ip || 'unknown' };
+  if (req.apiKey) {
+    ids.apiKey = String(req.apiKey._id);
+  }
+  const userId = getLoggedInUserId(req);
+  if (userId) ids.user = String(userId);
+  return ids;
+}
+
+function setHeaders(res, { limit, remaining, resetAt, windowMs }) {
+  const resetSeconds = Math.max(0, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.setHeader('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(Math.max(0, remaining)));
+  res.setHeader('RateLimit-Reset', String(resetSeconds));
+  return resetSeconds;
+}
+
+// One hit on a named counter in the rate-limit store, for limits that aren't per route
+// (e.g. attempts per mfa_token). Returns { count, resetAt }.
+function countHit(key, windowMs, { store } = {}) {
+  return (store || getDefaultStore()).increment(key, windowMs);
+}
+
+// rateLimit('aiRecommend') or rateLimit({ windowMs, limits: { ip, user, apiKey } }, { store })
+function rateLimit(policyOrName, { store } = {}) {
+  const policy = typeof policyOrName === 'string' ? POLICIES[policyOrName] : policyOrName;
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyOrName}`);
+  const name = typeof policyOrName === 'string' ? policyOrName : (policy.name || 'custom');
+
+  return async (req, res, next) => {
+    if (isAllowlisted(req)) return next();
+
+    const backend = store || getDefaultStore();
+    const ids = bucketIds(req);
+
+    let tightest = null;
+    try {
+      for (const [kind, limit] of Object.entries(policy.limits)) {
+        if (!limit || !ids[kind]) continue;
+        const { count, resetAt } = await backend.increment(`${name}:${kind}:${ids[kind]}`, policy.windowMs);
+        const remaining = limit - count;
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { kind, limit, remaining, resetAt };
+        }
+      }
+    } catch (err) {
+      // Fail open: a broken counter store must not take the API down
+      console.error('[rate-limit] store error:', err && err.message ? err.message : err);
+      return next();
+    }
+
+    if (!tightest) return next();
+
+    const resetSeconds = setHeaders(res, { ...tightest, windowMs: policy.windowMs });
+    if (tightest.remaining < 0) {
+      res.setHeader('Retry-After', String(Math.max(1, resetSeconds)));
+      return res.status(429).json({
+        error: 'RATE_LIMITED',
+        message: 'Too many requests. Please slow down and try again shortly.',
+        retryAfterSeconds: Math.max(1, resetSeconds)
+      });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  POLICIES,
+  MemoryStore,
+  MongoStore,
+  countHit,
+  rateLimit
+};
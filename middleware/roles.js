@@ -0,0 +1,83 @@
+// Role-based access control.
+// Roles are stored on User.role; routes check permissions, never role names directly,
+// so a new role only needs an entry here.
+const ROLES = ['user', 'support', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    'users:read',
+    'billing:read',
+    'licenses:read_any',
+    'audit:read'
+  ],
+  admin: [
+    'users:read',
+    'billing:read',
+    'licenses:read_any',
+    'audit:read',
+    'licenses:manage',
+    'coupons:manage',
+    'plans:manage',
+    'vouchers:manage',
+    'referrals:manage',
+    'payments:refund',
+    'taste:maintain',
+    'roles:manage',
+    'ratelimit:bypass',
+    'dev:tools'
+  ]
+};
+
+function getRole(user) {
+  const role = String((user && user.role) || 'user').toLowerCase();
+  return ROLES.includes(role) ? role : 'user';
+}
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return permissionsForRole(getRole(user)).includes(permission);
+}
+
+// Personal API keys only unlock their scoped endpoints, never staff permissions
+function isStaffCapableRequest(req) {
+  return req.authMethod !== 'api_key';
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!isStaffCapableRequest(req) || !hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: `Missing permission: ${permission}` });
+    }
+    return next();
+  };
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!isStaffCapableRequest(req) || !roles.includes(getRole(req.user))) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: `Requires role: ${roles.join(' or ')}` });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getRole,
+  permissionsForRole,
+  hasPermission,
+  requirePermission,
+  requireRole
+};
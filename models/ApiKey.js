@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// What a key may be used for. Keys are only honored on routes that declare one of these.
+const API_KEY_SCOPES = ['licenses:read', 'downloads', 'ai'];
+const KEY_PREFIX = 'vara_';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+
+    // sha256 of the full key; the raw key is only shown once at creation
+    keyHash: { type: String, required: true, unique: true, select: false },
+    // First characters of the key so users can tell their keys apart
+    keyPreview: { type: String, required: true },
+
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [arr => Array.isArray(arr) && arr.length > 0, 'At least one scope is required']
+    },
+
+    // Usage
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+    usageCount: { type: Number, default: 0 },
+    usageByScope: { type: Map, of: Number, default: {} },
+
+    // Lifecycle
+    revokedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+apiKeySchema.statics.KEY_PREFIX = KEY_PREFIX;
+
+apiKeySchema.statics.hashKey = function(raw) {
+  return crypto.createHash('sha256').update(String(raw || '')).digest('hex');
+};
+
+// Returns { raw, keyHash, keyPreview }; only keyHash/keyPreview are persisted
+apiKeySchema.statics.generateKey = function() {
+  const raw = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { raw, keyHash: this.hashKey(raw), keyPreview: raw.slice(0, KEY_PREFIX.length + 6) };
+};
+
+apiKeySchema.methods.toPublic = function() {
+  return {
+    id: String(this._id),
+    name: this.name,
+    keyPreview: this.keyPreview,
+    scopes: this.scopes,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    usageCount: this.usageCount || 0,
+    usageByScope: Object.fromEntries(this.usageByScope || []),
+    revoked: Boolean(this.revokedAt),
+    revokedAt: this.revokedAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
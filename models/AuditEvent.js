@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Append-only security/billing audit trail. Written through utils/audit.js.
+const auditEventSchema = new mongoose.Schema(
+  {
+    // e.g. 'auth.login', 'billing.plan_change', 'license.revoke'
+    action: { type: String, required: true, index: true },
+
+    actor: {
+      type: { type: String, enum: ['user', 'admin', 'system', 'webhook', 'api_key'], default: 'user' },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+      email: { type: String, default: null },
+      role: { type: String, default: null }
+    },
+
+    target: {
+      type: { type: String, default: null }, // 'user' | 'license' | 'payment' | ...
+      id: { type: String, default: null },
+      label: { type: String, default: null }
+    },
+
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+
+    // Only the fields that changed
+    changes: {
+      before: { type: mongoose.Schema.Types.Mixed, default: undefined },
+      after: { type: mongoose.Schema.Types.Mixed, default: undefined }
+    },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: undefined },
+
+    createdAt: { type: Date, default: Date.now, immutable: true }
+  },
+  { collection: 'audit_events', versionKey: false }
+);
+
+auditEventSchema.index({ createdAt: -1, _id: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, _id: -1 });
+
+// Append-only: existing events can never be modified or removed through the model
+function rejectMutation(next) {
+  next(new Error('AuditEvent is append-only'));
+}
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  return next();
+});
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach((op) => auditEventSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
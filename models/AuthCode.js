@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Short-lived, single-use authorization codes for the PKCE code exchange
+// (Google login in a mobile webview → app redirect → POST /api/auth/token).
+const authCodeSchema = new mongoose.Schema(
+  {
+    codeHash: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    codeChallenge: { type: String, required: true },
+    codeChallengeMethod: { type: String, enum: ['S256'], default: 'S256' },
+    redirectUri: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthCode', authCodeSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Every payment webhook we process (billing_events collection). Together they form a
+// user's payment timeline: captures, charges, failures, refunds and disputes.
+// Only ids, amounts and statuses are kept — not the raw payload (card/contact details).
+const billingEventSchema = new mongoose.Schema({
+  // Provider's event id (x-razorpay-event-id, Stripe evt_...); redeliveries carry the same id
+  eventId: { type: String, default: undefined, unique: true, sparse: true },
+  provider: { type: String, default: 'razorpay' },
+  event: { type: String, required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  paymentId: { type: String, default: null, index: true },
+  orderId: { type: String, default: null },
+  subscriptionId: { type: String, default: null },
+  refundId: { type: String, default: null },
+  disputeId: { type: String, default: null },
+  amount: { type: Number, default: null }, // paise
+  currency: { type: String, default: null },
+  status: { type: String, default: null }, // status of the provider's entity
+  // What we did with it: 'received' | 'activated' | 'dedup' | 'refunded' | 'period_reversed' | 'flagged' | ...
+  outcome: { type: String, default: 'received' },
+  error: { type: String, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  receivedAt: { type: Date, default: Date.now }
+}, { collection: 'billing_events' });
+
+billingEventSchema.index({ userId: 1, _id: -1 });
+
+module.exports = mongoose.models.BillingEvent || mongoose.model('BillingEvent', billingEventSchema);
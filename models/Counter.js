@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences (counters collection), e.g. 'invoice:2026-27'.
+// nextSequence() increments atomically, so concurrent callers never get the same value.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+}, { collection: 'counters', versionKey: false });
+
+counterSchema.statics.nextSequence = async function (name) {
+  const doc = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return doc.seq;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Promo codes applied at checkout (see utils/coupons.js).
+// reservedCount counts unpaid checkouts holding a slot; redeemedCount counts paid ones.
+// maxRedemptions caps the sum, so a code can't be oversold while checkouts are open.
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: '' },
+
+  type: { type: String, enum: ['percent', 'flat'], required: true },
+  value: { type: Number, required: true, min: 0 }, // percent (1–100) or minor units of `currency`
+  currency: { type: String, default: 'INR' }, // flat coupons only apply to orders in this currency
+
+  // Empty = any plan / any cycle (plan ids are checked against the catalogue on save)
+  plans: [{ type: String }],
+  billingCycles: [{ type: String, enum: ['monthly', 'annual'] }],
+
+  maxRedemptions: { type: Number, default: null }, // null = unlimited
+  perUserLimit: { type: Number, default: 1 },
+  firstPurchaseOnly: { type: Boolean, default: false },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+
+  reservedCount: { type: Number, default: 0 },
+  redeemedCount: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One row per checkout that used a coupon.
+// 'reserved' when the order is created, 'redeemed' once its payment is captured,
+// 'released' when the checkout was abandoned (or replaced by a newer one).
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  orderId: { type: String, default: null, index: true },
+  paymentId: { type: String, default: null },
+  plan: { type: String, default: null },
+  billingCycle: { type: String, default: null },
+  currency: { type: String, default: 'INR' },
+  pricePaise: { type: Number, required: true }, // minor units of `currency`
+  discountPaise: { type: Number, required: true },
+  status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved' },
+  reservedUntil: { type: Date, default: null },
+  redeemedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, status: 1, reservedUntil: 1 });
+
+module.exports = mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', couponRedemptionSchema);
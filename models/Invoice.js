@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One invoice per captured payment (one-off orders, plan changes and subscription charges).
+// Buyer, seller and tax figures are snapshots taken when the invoice is issued, so later
+// profile edits never change an invoice that was already sent.
+const addressSchema = new mongoose.Schema({
+  line1: String,
+  line2: String,
+  city: String,
+  state: String,
+  stateCode: String, // GST state code, e.g. '29' for Karnataka
+  postalCode: String,
+  country: String
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, required: true, unique: true }, // e.g. VR/2026-27/00042
+  financialYear: { type: String, required: true }, // '2026-27' (April–March, IST)
+  sequence: { type: Number, required: true },
+
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  provider: { type: String, default: 'razorpay' },
+  paymentId: { type: String, required: true, unique: true },
+  orderId: { type: String, default: null },
+  subscriptionId: { type: String, default: null },
+  kind: { type: String, enum: ['purchase', 'plan_change', 'subscription', 'gift'], default: 'purchase' }, // gift: no period, a voucher
+
+  plan: { type: String, required: true },
+  billingCycle: { type: String, enum: ['monthly', 'annual'], default: 'monthly' },
+  periodStart: { type: Date, default: null },
+  periodEnd: { type: Date, default: null },
+
+  // All amounts in minor units of the currency the order was charged in (paise for INR).
+  // Prices are GST-inclusive: taxableAmount + tax = amount.
+  currency: { type: String, default: 'INR' },
+  listPrice: { type: Number, required: true },
+  credit: { type: Number, default: 0 }, // unused value of the previous plan (plan changes)
+  discount: { type: Number, default: 0 }, // coupon discount
+  couponCode: { type: String, default: null },
+  amount: { type: Number, required: true },
+  taxableAmount: { type: Number, required: true },
+  taxRate: { type: Number, required: true }, // percent
+  taxType: { type: String, enum: ['intra_state', 'inter_state', 'export'], required: true }, // export = zero-rated
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  placeOfSupply: { type: String, default: null }, // state code; null for exports
+
+  billing: {
+    name: String,
+    email: String,
+    gstin: { type: String, default: null },
+    address: { type: addressSchema, default: null }
+  },
+  seller: {
+    name: String,
+    gstin: String,
+    address: String,
+    stateCode: String,
+    sac: String
+  },
+
+  status: { type: String, enum: ['paid', 'partially_refunded', 'refunded'], default: 'paid' },
+  refundedAmount: { type: Number, default: 0 },
+  issuedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
@@ -10,14 +10,16 @@ const LicenseSchema = new mongoose.Schema(
 
     // Displayed on verification page
     issuedToEmail: { type: String, required: true },
-    issuedToName: { type: String }, // optional channel/brand name
+    issuedToName: { type: String }, // channel/brand name; the organization's name for team members
+    // Organization the holder belonged to at issue; its admins can list the license
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null, index: true },
 
     // Track metadata at time of download
     songId: { type: String, required: true },
     songTitle: { type: String, required: true },
 
-    // Plan snapshot
-    planAtIssue: { type: String, enum: ['free', 'premium'], required: true },
+    // Plan snapshot ('trial' = downloaded during a free trial of a paid tier)
+    planAtIssue: { type: String, enum: ['free', 'premium', 'trial'], required: true },
 
     // Policy details
     validFor: { type: String, default: 'Use on YouTube & Social Platforms' },
@@ -29,7 +31,11 @@ const LicenseSchema = new mongoose.Schema(
 
     // Lifecycle
     issuedAt: { type: Date, default: Date.now },
-    isRevoked: { type: Boolean, default: false }
+    isRevoked: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+    // Set when the holder deleted their account: the license stays valid, contact details are masked
+    holderDeletedAt: { type: Date, default: null }
   },
   { timestamps: true }
 );
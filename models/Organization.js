@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Team workspace (see utils/organizations.js). The owner's plan pays for the team: when it
+// has more than one seat, every member's downloads and AI searches draw on its quotas.
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['owner', 'admin', 'member'], default: 'member' },
+  joinedAt: { type: Date, default: Date.now },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Mirrors the member with role 'owner'
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  members: { type: [memberSchema], default: [] } // always includes the owner
+}, { timestamps: true });
+
+// A user belongs to at most one organization
+organizationSchema.index({ 'members.user': 1 }, { unique: true });
+
+module.exports = mongoose.models.Organization || mongoose.model('Organization', organizationSchema);
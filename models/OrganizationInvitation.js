@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Email invitation to join an organization. The raw token only goes out by email; we keep
+// its sha256. A pending invitation holds a seat until it is accepted, revoked or expires.
+const organizationInvitationSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ['admin', 'member'], default: 'member' },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  status: { type: String, enum: ['pending', 'accepted', 'revoked'], default: 'pending' },
+  expiresAt: { type: Date, required: true },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  acceptedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true, collection: 'organization_invitations' });
+
+organizationInvitationSchema.index({ organization: 1, status: 1, expiresAt: 1 });
+organizationInvitationSchema.index({ organization: 1, email: 1, status: 1 });
+
+module.exports = mongoose.models.OrganizationInvitation || mongoose.model('OrganizationInvitation', organizationInvitationSchema);
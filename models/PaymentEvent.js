@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Idempotency store for payments (payment_events collection).
+// A payment id is claimed here before it grants anything, so /api/billing/verify and the
+// webhook can both see the same payment and only the first one activates it.
+// A full refund or lost dispute moves it to 'reversed' once the granted period is taken back.
+const paymentEventSchema = new mongoose.Schema({
+  paymentId: { type: String, unique: true, index: true },
+  orderId: String,
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  source: { type: String, default: null }, // 'verify' | 'webhook' | 'subscription'
+  provider: { type: String, default: 'razorpay' }, // 'razorpay' | 'stripe' | 'fake'
+  plan: { type: String, default: null },
+  billingCycle: { type: String, default: null },
+  amount: { type: Number, default: null }, // minor units of `currency`
+  currency: { type: String, default: null },
+  status: { type: String, enum: ['processing', 'applied', 'reversed'], default: 'applied' },
+  processedAt: { type: Date, default: Date.now },
+  voucherCode: { type: String, default: null }, // gift orders: the code the payment bought
+  refundedAmount: { type: Number, default: 0 }, // minor units, as reported by Razorpay
+  reversedAt: { type: Date, default: null },
+  reversalReason: { type: String, default: null } // 'refund' | 'dispute_lost'
+}, { collection: 'payment_events' });
+
+// A user's first payment (referral rewards)
+paymentEventSchema.index({ userId: 1, processedAt: 1 });
+
+module.exports = mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Plan catalogue (plans collection), read through the cached service in utils/plans.js.
+// Prices are in the currency's minor unit (paise for INR), per billing cycle.
+const cyclePricesSchema = new mongoose.Schema({
+  monthly: { type: Number, min: 0, default: null },
+  annual: { type: Number, min: 0, default: null }
+}, { _id: false });
+
+const planSchema = new mongoose.Schema({
+  planId: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z][a-z0-9_]{1,31}$/ },
+  name: { type: String, required: true, trim: true },
+  // 'paid' plans can be bought; 'free' is the default tier; 'trial' only backs free trials
+  kind: { type: String, enum: ['free', 'paid', 'trial'], default: 'paid' },
+  // Higher rank = higher tier (decides upgrade vs downgrade)
+  rank: { type: Number, default: 0 },
+  prices: { type: Map, of: cyclePricesSchema, default: {} }, // { INR: { monthly, annual } }
+  quotas: {
+    ai: { type: Number, min: 0, default: 0 }, // AI searches per UTC month
+    downloads: { type: Number, min: 0, default: 0 } // licensed downloads per UTC month
+  },
+  premiumAccess: { type: Boolean, default: false }, // can download the paid catalogue
+  // Members an organization owned by a subscriber can have; above 1 it's a team plan and
+  // the quotas are pooled across the team (see utils/organizations.js)
+  seats: { type: Number, min: 1, default: 1 },
+  features: [{ type: String, trim: true }],
+  // Razorpay Subscriptions plan ids (created in the Razorpay dashboard)
+  razorpayPlanIds: {
+    monthly: { type: String, default: null },
+    annual: { type: String, default: null }
+  },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Plan || mongoose.model('Plan', planSchema);
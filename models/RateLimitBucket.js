@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Fixed-window counters for the Mongo rate-limit store (middleware/rateLimit.js).
+// Shared by every app instance, unlike the in-memory store.
+const rateLimitBucketSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // '<policy>:<ip|user|key>:<id>'
+    count: { type: Number, default: 0 },
+    resetAt: { type: Date, required: true }
+  },
+  { collection: 'rate_limit_buckets', versionKey: false }
+);
+
+// Expired windows are dropped by Mongo
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One referred account and the referrer whose code brought it (see utils/referrals.js).
+// 'pending' until the referred user's first payment is captured, then 'rewarded' (the
+// referrer got rewardAmount days or downloads), or 'rejected' if it failed the
+// self-referral checks at that point. Refunding or losing a dispute on that payment
+// moves a rewarded referral to 'revoked' and takes the reward back.
+const referralSchema = new mongoose.Schema({
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  referred: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  code: { type: String, required: true },
+  source: { type: String, enum: ['signup', 'google', 'manual'], default: 'signup' },
+  status: { type: String, enum: ['pending', 'rewarded', 'rejected', 'revoked'], default: 'pending', index: true },
+  rejectReason: { type: String, default: null },
+
+  paymentId: { type: String, default: null, index: true }, // the payment that earned the reward
+  rewardType: { type: String, enum: [null, 'days', 'downloads'], default: null },
+  rewardAmount: { type: Number, default: 0 },
+  rewardedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  revokeReason: { type: String, default: null } // 'refund' | 'dispute_lost'
+}, { timestamps: true });
+
+referralSchema.index({ referrer: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Referral || mongoose.model('Referral', referralSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Rotating refresh tokens for the stateless (mobile) token mode.
+// Every rotation creates a new document in the same `family`; presenting a token that was
+// already rotated or revoked means it leaked, and the whole family gets revoked.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }, // 'rotated' | 'reuse_detected' | 'logout' | ...
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken', default: null },
+
+    // Device info, shown alongside sessions
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+// Let Mongo clean up long-expired tokens (keep a week for reuse forensics)
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One row per account and per Google identity that has started a free trial.
+// Kept after account deletion (Google ids are stored hashed), so deleting an account
+// and signing up again with the same Google login doesn't unlock another trial.
+const trialClaimSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // 'user:<id>' | 'google:<sha256 of sub>'
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  plan: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { collection: 'trial_claims' });
+
+module.exports = mongoose.models.TrialClaim || mongoose.model('TrialClaim', trialClaimSchema);
@@ -1,7 +1,35 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+
+// Accept the previous/next 30s step to tolerate clock drift on phones
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODE_COUNT = 10;
+
+// A login method attached to the account (Google OAuth, email + password, ...)
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['google', 'local'],
+    required: true
+  },
+  providerUserId: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
+  // Legacy lookup key for Google logins; mirrored in identities[] below
   googleId: {
     type: String,
     unique: true,
@@ -19,6 +47,40 @@ const userSchema = new mongoose.Schema({
   picture: {
     type: String
   },
+  // Local (email + password) accounts. Hashed by the pre('save') hook below.
+  password: {
+    type: String,
+    select: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // One-time tokens are stored as sha256 hashes; the raw token only goes out by email
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  passwordResetToken: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  // Linked login providers. The last one can't be removed (see removeIdentity).
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
+  // TOTP two-factor auth (optional, paid plans). Secrets never leave the server after enrollment.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false }, // set by /2fa/setup until /2fa/confirm
+    recoveryCodes: { type: [String], select: false, default: undefined }, // sha256 hashes, single use
+    enabledAt: { type: Date }
+  },
+  // Access control; see middleware/roles.js for what each role may do
+  role: {
+    type: String,
+    enum: ['user', 'support', 'admin'],
+    default: 'user',
+    index: true
+  },
   // YouTube channel link field
   youtube_channel_link: {
     type: String,
@@ -39,9 +101,9 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Plan id from the plan catalogue (models/Plan.js); 'premium' is a legacy label for starter
   subscription_type: {
     type: String,
-    enum: ['free', 'starter', 'pro', 'pro_plus', 'premium'],
     default: 'free'
   },
   subscription_start: {
@@ -50,6 +112,78 @@ const userSchema = new mongoose.Schema({
   subscription_end: {
     type: Date
   },
+  // 'monthly' | 'annual' — the cycle of the last purchase or subscription; sets how long a payment lasts
+  billing_cycle: {
+    type: String,
+    enum: [null, 'monthly', 'annual'],
+    default: null
+  },
+  // Currency of the last one-off payment; later checkouts default to it (see utils/currency.js)
+  billing_currency: {
+    type: String,
+    default: null
+  },
+  // Downgrade waiting for the end of the paid period (see /api/billing/change-plan)
+  scheduled_plan_change: {
+    plan: { type: String },
+    billing_cycle: { type: String, enum: ['monthly', 'annual'] },
+    effective_at: { type: Date },
+    requested_at: { type: Date }
+  },
+  // Razorpay recurring subscription (one-off orders leave these empty)
+  razorpay_subscription_id: {
+    type: String,
+    default: null,
+    index: true
+  },
+  subscription_status: {
+    type: String,
+    enum: [null, 'created', 'authenticated', 'active', 'pending', 'halted', 'paused', 'cancelled', 'completed', 'expired'],
+    default: null
+  },
+  // Free trial of a paid tier (see utils/trials.js). trialPlan is cleared when the trial ends;
+  // trialUsed stays true so the account can't start another one.
+  trialPlan: { type: String, default: null },
+  trialStartedAt: { type: Date, default: null },
+  trialEndsAt: { type: Date, default: null },
+  trialUsed: { type: Boolean, default: false },
+  // Referral program (see utils/referrals.js). The code is created on first use.
+  referral_code: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Earned by referring: used once the monthly download quota is spent; they don't expire
+  bonus_downloads: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Invoice details captured at checkout; copied onto each invoice when it is issued
+  billing_details: {
+    name: { type: String, default: null },
+    gstin: { type: String, default: null },
+    address: {
+      line1: String,
+      line2: String,
+      city: String,
+      state: String,
+      state_code: String,
+      postal_code: String,
+      country: String
+    },
+    updated_at: { type: Date, default: null }
+  },
+  // Set while a payment dispute (chargeback) is open or was lost; support reviews flagged accounts
+  billing_flag: {
+    active: { type: Boolean, default: false },
+    reason: { type: String, default: null }, // 'dispute'
+    dispute_id: { type: String, default: null },
+    payment_id: { type: String, default: null },
+    status: { type: String, default: null }, // Razorpay dispute status
+    flagged_at: { type: Date, default: null },
+    resolved_at: { type: Date, default: null }
+  },
   // User preferences and data
   favorites: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -70,6 +204,10 @@ const userSchema = new mongoose.Schema({
     at: { type: Date, default: Date.now },
     topK: { type: Number } // optional
   }],
+  // Account deletion: scheduled with a grace period, then anonymised (see utils/accountDeletion.js)
+  deletionRequestedAt: { type: Date, default: null },
+  deletionScheduledFor: { type: Date, default: null, index: true },
+  deletedAt: { type: Date, default: null },
   createdAt: {
     type: Date,
     default: Date.now
@@ -84,6 +222,15 @@ const userSchema = new mongoose.Schema({
 // Only add custom indexes if needed
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastActive: -1 });
+// Expiry cron scans lapsed paid plans
+userSchema.index({ subscription_end: 1 });
+// Trial cron scans trials past trialEndsAt
+userSchema.index({ trialPlan: 1, trialEndsAt: 1 });
+// A provider account can only ever be linked to one VARA user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerUserId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerUserId': { $exists: true } } }
+);
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password') || !this.password) {
@@ -103,6 +250,208 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Issue a one-time token (email verification / password reset).
+// Stores only the sha256 hash on the document and returns the raw token for the email link.
+userSchema.methods.createEmailVerificationToken = function(ttlMs = 24 * 60 * 60 * 1000) {
+  const raw = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(raw);
+  this.emailVerificationExpires = new Date(Date.now() + ttlMs);
+  return raw;
+};
+
+userSchema.methods.createPasswordResetToken = function(ttlMs = 60 * 60 * 1000) {
+  const raw = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(raw);
+  this.passwordResetExpires = new Date(Date.now() + ttlMs);
+  return raw;
+};
+
+userSchema.statics.hashToken = hashToken;
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw || '')).digest('hex');
+}
+
+// ---------- Linked identities ----------
+
+// Identities including the legacy googleId for accounts created before identities[] existed
+userSchema.methods.getIdentities = function() {
+  const list = Array.isArray(this.identities) ? this.identities.slice() : [];
+  if (this.googleId && !list.some(i => i.provider === 'google')) {
+    list.push({ provider: 'google', providerUserId: this.googleId, email: this.email, linkedAt: this.createdAt });
+  }
+  return list;
+};
+
+userSchema.methods.hasIdentity = function(provider) {
+  return this.getIdentities().some(i => i.provider === provider);
+};
+
+userSchema.methods.addIdentity = function(provider, providerUserId, email) {
+  // Persist any legacy googleId first so it isn't lost on the next save
+  this.identities = this.getIdentities();
+  const existing = this.identities.find(i => i.provider === provider);
+  if (existing) {
+    existing.providerUserId = String(providerUserId);
+    if (email) existing.email = email;
+  } else {
+    this.identities.push({ provider, providerUserId: String(providerUserId), email, linkedAt: new Date() });
+  }
+  if (provider === 'google') this.googleId = String(providerUserId);
+};
+
+// Throws LAST_LOGIN_METHOD when removing would leave the account without any way in
+userSchema.methods.removeIdentity = function(provider) {
+  const identities = this.getIdentities();
+  if (!identities.some(i => i.provider === provider)) {
+    const err = new Error(`No ${provider} login is linked to this account`);
+    err.code = 'IDENTITY_NOT_FOUND';
+    throw err;
+  }
+  if (identities.length <= 1) {
+    const err = new Error('You cannot remove your last login method');
+    err.code = 'LAST_LOGIN_METHOD';
+    throw err;
+  }
+  this.identities = identities.filter(i => i.provider !== provider);
+  if (provider === 'google') this.googleId = undefined;
+  if (provider === 'local') this.password = undefined;
+};
+
+// Resolve a Google profile to a user:
+// 1) an already linked identity, 2) an explicit link request from a logged-in user,
+// 3) an existing account with the same (Google-verified) email, 4) a brand new account.
+userSchema.statics.findOrLinkGoogle = async function(profile, { linkUserId } = {}) {
+  const googleId = String(profile.id);
+  const email = String((profile.emails && profile.emails[0] && profile.emails[0].value) || '').trim().toLowerCase();
+  const emailVerifiedByGoogle = Boolean(
+    (profile.emails && profile.emails[0] && profile.emails[0].verified) ||
+    (profile._json && profile._json.email_verified)
+  );
+  const picture = profile.photos && profile.photos[0] && profile.photos[0].value;
+
+  const linked = await this.findOne({
+    $or: [
+      { googleId },
+      { identities: { $elemMatch: { provider: 'google', providerUserId: googleId } } }
+    ]
+  });
+
+  if (linkUserId) {
+    if (linked && String(linked._id) !== String(linkUserId)) {
+      return { user: null, code: 'IDENTITY_IN_USE', message: 'This Google account is already linked to another VARA account' };
+    }
+    const current = await this.findById(linkUserId);
+    if (!current) return { user: null, code: 'USER_NOT_FOUND', message: 'User not found' };
+    current.addIdentity('google', googleId, email);
+    if (!current.picture && picture) current.picture = picture;
+    await current.save();
+    return { user: current, linked: true };
+  }
+
+  if (linked) {
+    // Backfill identities[] for accounts that only have the legacy googleId
+    if (!(linked.identities || []).some(i => i.provider === 'google')) {
+      linked.addIdentity('google', googleId, email);
+      await linked.save();
+    }
+    return { user: linked };
+  }
+
+  if (email && emailVerifiedByGoogle) {
+    const byEmail = await this.findOne({ email }).select('+password');
+    if (byEmail) {
+      // If the local account never proved it owns this address, its password may have been
+      // set by someone else (pre-hijacking). Google just proved ownership, so drop it.
+      if (!byEmail.emailVerified && byEmail.password) {
+        byEmail.identities = byEmail.getIdentities().filter(i => i.provider !== 'local');
+        byEmail.password = undefined;
+      }
+      byEmail.emailVerified = true;
+      byEmail.addIdentity('google', googleId, email);
+      if (!byEmail.picture && picture) byEmail.picture = picture;
+      await byEmail.save();
+      return { user: byEmail, linked: true };
+    }
+  } else if (email && await this.exists({ email })) {
+    return { user: null, code: 'EMAIL_IN_USE', message: 'An account with this email already exists. Log in with your password and link Google from settings.' };
+  }
+
+  const created = new this({
+    name: profile.displayName || email || 'VARA user',
+    email,
+    picture,
+    emailVerified: emailVerifiedByGoogle
+  });
+  created.addIdentity('google', googleId, email);
+  await created.save();
+  return { user: created, created: true };
+};
+
+// ---------- Two-factor auth (TOTP) ----------
+// These need the select:false fields: User.findById(id).select(User.TWO_FACTOR_SECRET_FIELDS)
+
+userSchema.statics.TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+userSchema.methods.startTwoFactorEnrollment = function(issuer = 'VARA Music') {
+  const secret = authenticator.generateSecret(20);
+  this.twoFactor.pendingSecret = secret;
+  return { secret, otpauthUri: authenticator.keyuri(this.email, issuer, secret) };
+};
+
+// Returns the raw recovery codes (shown once) or null if the code doesn't match the pending secret
+userSchema.methods.confirmTwoFactorEnrollment = function(code) {
+  const pending = this.twoFactor && this.twoFactor.pendingSecret;
+  if (!pending || !authenticator.check(String(code || '').replace(/\s+/g, ''), pending)) return null;
+  this.twoFactor.secret = pending;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return this.regenerateRecoveryCodes();
+};
+
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase(); // e.g. 9F2C41A0B7
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  this.twoFactor.recoveryCodes = codes.map(c => hashToken(normalizeRecoveryCode(c)));
+  return codes;
+};
+
+// Checks a TOTP code, or burns a recovery code. Caller must save() when a recovery code was used.
+// Returns { ok, method: 'totp' | 'recovery_code', remainingRecoveryCodes }
+userSchema.methods.verifyTwoFactor = function({ code, recoveryCode } = {}) {
+  const tf = this.twoFactor || {};
+  if (!tf.enabled || !tf.secret) return { ok: false };
+
+  if (code && authenticator.check(String(code).replace(/\s+/g, ''), tf.secret)) {
+    return { ok: true, method: 'totp' };
+  }
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const list = Array.isArray(tf.recoveryCodes) ? tf.recoveryCodes : [];
+    if (list.includes(hash)) {
+      this.twoFactor.recoveryCodes = list.filter(h => h !== hash);
+      return { ok: true, method: 'recovery_code', remainingRecoveryCodes: this.twoFactor.recoveryCodes.length };
+    }
+  }
+  return { ok: false };
+};
+
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = undefined;
+  this.twoFactor.enabledAt = undefined;
+};
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]+/g, '').toUpperCase();
+}
+
 // Methods for managing favorites
 userSchema.methods.addToFavorites = async function(songId) {
   if (!this.favorites.includes(songId)) {
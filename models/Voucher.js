@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Redeemable plan code (see utils/vouchers.js): bought as a gift, or generated by an admin
+// in a batch. Grants `plan` for one `billingCycle` period through the same activation as a
+// payment. Single use: redemption moves it from 'active' to 'redeemed' atomically.
+const voucherSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  plan: { type: String, required: true },
+  billingCycle: { type: String, enum: ['monthly', 'annual'], default: 'monthly' }, // duration it grants
+  source: { type: String, enum: ['gift', 'batch'], required: true },
+
+  // Gifts: the payment that bought it (refunding it voids the code)
+  purchasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  paymentId: { type: String, default: null, index: true },
+  orderId: { type: String, default: null },
+  provider: { type: String, default: null },
+  amount: { type: Number, default: null }, // minor units of `currency`
+  currency: { type: String, default: null },
+  recipientEmail: { type: String, default: null, lowercase: true, trim: true },
+  recipientName: { type: String, default: null },
+  message: { type: String, default: null },
+
+  // Batches
+  batchId: { type: String, default: null, index: true },
+  label: { type: String, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  status: { type: String, enum: ['active', 'redeemed', 'void'], default: 'active', index: true },
+  expiresAt: { type: Date, default: null }, // null = never
+  redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  redeemedAt: { type: Date, default: null },
+  voidedAt: { type: Date, default: null },
+  voidReason: { type: String, default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Voucher || mongoose.model('Voucher', voucherSchema);
@@ -3,6 +3,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Song = require('../models/Song'); // minimal model, collection 'songs', strict:false
 const User = require('../models/User');
+const { getLoggedInUserId, apiKeyAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { quotaContext, pooledUsage } = require('../utils/organizations');
 
 // ------------------- Config -------------------
 const ADMIN_BASE =
@@ -10,6 +13,7 @@ const ADMIN_BASE =
   'https://vara-admin-backend.onrender.com';
 
 const AI_DEBUG = String(process.env.AI_DEBUG || '').toLowerCase() === 'true';
+const MAX_QUERY_LENGTH = 500;
 
 // OpenAI (GPT‑4o mini) — used for Understand stage (strict JSON)
 let openai = null;
@@ -513,29 +517,6 @@ async function getTaxonomyMapsFromDB() {
   return { genres, subGenres, instruments, moods };
 }
 
-// -------- Plan config for AI limits --------
-const PLAN_CONFIG = {
-  free:      { ai: 5,    downloads: 3,   canDownloadPaid: false },
-  starter:   { ai: 200,  downloads: 50,  canDownloadPaid: true  },
-  pro:       { ai: 500,  downloads: 150, canDownloadPaid: true  },
-  pro_plus:  { ai: 2000, downloads: 400, canDownloadPaid: true  },
-  // Back-compat: legacy 'premium' behaves like 'starter'
-  premium:   { ai: 200,  downloads: 50,  canDownloadPaid: true  }
-};
-
-function normalizePlan(user) {
-  try {
-    const raw = String(user?.subscription_type || 'free').toLowerCase();
-    if (raw === 'premium') return 'starter';
-    if (raw === 'starter' || raw === 'pro' || raw === 'pro_plus' || raw === 'free') return raw;
-    // Fallback: if is_premium true but unknown label, treat as starter
-    if (user?.is_premium) return 'starter';
-    return 'free';
-  } catch {
-    return 'free';
-  }
-}
-
 function getUtcMonthRange(now = new Date()) {
   const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0, 0));
   const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0, 0));
@@ -750,7 +731,7 @@ async function ensureTaxonomyAvailable() {
 }
 
 // ------------------- Route -------------------
-router.post('/recommend', async (req, res) => {
+router.post('/recommend', apiKeyAuth('ai'), rateLimit('aiRecommend'), async (req, res) => {
   try {
     // SAFETY: normalize body if some clients sent a string (Windows CMD curl, proxies, etc.)
     let body = req.body;
@@ -769,8 +750,7 @@ router.post('/recommend', async (req, res) => {
     if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
       return res.status(401).json({ ok: false, error: 'UNAUTHORIZED', message: 'Please log in to use VARA‑AI.' });
     }
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    const userId = typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
+    const userId = getLoggedInUserId(req);
     if (!userId) {
       return res.status(401).json({ ok: false, error: 'UNAUTHORIZED', message: 'Please log in to use VARA‑AI.' });
     }
@@ -780,21 +760,24 @@ router.post('/recommend', async (req, res) => {
     if (!user) {
       return res.status(401).json({ ok: false, error: 'UNAUTHORIZED', message: 'Please log in to use VARA‑AI.' });
     }
-    const plan = normalizePlan(user);
-    const aiLimit = (PLAN_CONFIG[plan]?.ai ?? PLAN_CONFIG.free.ai);
+    // Organization members on a team plan share its AI quota
+    const { planId: plan, ai: aiLimit, pooled, memberIds } = await quotaContext(user);
     const { start, end } = getUtcMonthRange(new Date());
-    const usedThisMonth = Array.isArray(user.aiQueries)
-      ? user.aiQueries.reduce((acc, q) => {
-          const t = q && q.at ? new Date(q.at) : null;
-          return (t && t >= start && t < end) ? acc + 1 : acc;
-        }, 0)
-      : 0;
+    const usedThisMonth = pooled
+      ? (await pooledUsage(memberIds, { start, end })).ai
+      : Array.isArray(user.aiQueries)
+        ? user.aiQueries.reduce((acc, q) => {
+            const t = q && q.at ? new Date(q.at) : null;
+            return (t && t >= start && t < end) ? acc + 1 : acc;
+          }, 0)
+        : 0;
     if (usedThisMonth >= aiLimit) {
       return res.status(429).json({
         ok: false,
         error: 'AI_LIMIT_REACHED',
-        message: 'You’ve reached your monthly VARA‑AI limit for this plan.',
+        message: pooled ? 'Your team has reached its monthly VARA‑AI limit.' : 'You’ve reached your monthly VARA‑AI limit for this plan.',
         plan,
+        pooled,
         monthlyLimit: aiLimit,
         usedThisMonth,
         remaining: 0,
@@ -805,6 +788,14 @@ router.post('/recommend', async (req, res) => {
     const { queryText, vocals, topK } = body || {};
     const limit = Math.max(1, Math.min(Number(topK) || 10, 20));
 
+    // Cheap checks before anything reaches the LLM
+    if (typeof queryText !== 'string' || !queryText.trim()) {
+      return res.status(400).json({ ok: false, error: 'MISSING_QUERY', message: 'queryText is required' });
+    }
+    if (queryText.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ ok: false, error: 'QUERY_TOO_LONG', message: `queryText must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+
     // Use: ensure taxonomy (Admin or DB fallback) before LLM/heuristics
     await ensureTaxonomyAvailable();
 
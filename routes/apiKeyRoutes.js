@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+const MAX_ACTIVE_KEYS = 10;
+
+// Key management is session-only: an API key can never mint or revoke other keys.
+router.use((req, res, next) => {
+  if (!req.user || (typeof req.isAuthenticated === 'function' && !req.isAuthenticated())) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  return next();
+});
+
+// GET /api/user/api-keys?includeRevoked=true
+router.get('/', async (req, res) => {
+  try {
+    const includeRevoked = String(req.query.includeRevoked || '').toLowerCase() === 'true';
+    const filter = { user: req.user._id };
+    if (!includeRevoked) filter.revokedAt = null;
+
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    return res.json({ items: keys.map(k => k.toPublic()), availableScopes: ApiKey.SCOPES });
+  } catch (err) {
+    console.error('GET /api/user/api-keys error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/user/api-keys  { name, scopes: ['licenses:read', 'downloads', 'ai'] }
+// The raw key is returned ONCE in this response; only its hash is stored.
+router.post('/', async (req, res) => {
+  try {
+    const name = String((req.body && req.body.name) || '').trim();
+    const scopesRaw = (req.body && req.body.scopes) || [];
+    const scopes = Array.from(new Set((Array.isArray(scopesRaw) ? scopesRaw : [scopesRaw]).map(String)));
+
+    if (!name) {
+      return res.status(400).json({ error: 'MISSING_FIELDS', message: 'name is required' });
+    }
+    const invalid = scopes.filter(s => !ApiKey.SCOPES.includes(s));
+    if (scopes.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_SCOPES',
+        message: `scopes must be a non-empty list of: ${ApiKey.SCOPES.join(', ')}`,
+        invalid
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(409).json({ error: 'TOO_MANY_KEYS', message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` });
+    }
+
+    const { raw, keyHash, keyPreview } = ApiKey.generateKey();
+    const key = await ApiKey.create({ user: req.user._id, name, scopes, keyHash, keyPreview });
+
+    console.log('🔑 API key created:', { user: req.user.email, keyPreview, scopes });
+    return res.status(201).json({
+      ok: true,
+      key: raw,
+      message: 'Copy this key now. It will not be shown again.',
+      apiKey: key.toPublic()
+    });
+  } catch (err) {
+    console.error('POST /api/user/api-keys error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'API_KEY_CREATE_FAILED', message: (err && err.message) || 'unknown' });
+  }
+});
+
+// DELETE /api/user/api-keys/:id  (revoke; the record is kept for its usage history)
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'INVALID_ID' });
+    }
+    const key = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!key) return res.status(404).json({ error: 'API_KEY_NOT_FOUND' });
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date();
+      await key.save();
+    }
+    return res.json({ ok: true, apiKey: key.toPublic() });
+  } catch (err) {
+    console.error('DELETE /api/user/api-keys/:id error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { requirePermission } = require('../middleware/roles');
+
+const MAX_LIMIT = 200;
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// GET /api/admin/audit-events
+//   ?action=auth.login,billing.*   (comma list; trailing .* matches a prefix)
+//   &actor=<userId> &targetType=user|license|... &targetId=... &ip=...
+//   &from=ISO &to=ISO &limit=50 &cursor=<nextCursor from the previous page>
+// Newest first. Returns { items, nextCursor } (nextCursor is null on the last page).
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const q = req.query || {};
+    const filter = {};
+
+    if (q.action) {
+      const actions = String(q.action).split(',').map(a => a.trim()).filter(Boolean);
+      const exact = actions.filter(a => !a.endsWith('.*'));
+      const prefixes = actions.filter(a => a.endsWith('.*')).map(a => new RegExp(`^${escapeRegex(a.slice(0, -1))}`));
+      filter.action = { $in: [...exact, ...prefixes] };
+    }
+    if (q.actor) {
+      if (!mongoose.Types.ObjectId.isValid(q.actor)) {
+        return res.status(400).json({ error: 'INVALID_ACTOR', message: 'actor must be a user id' });
+      }
+      filter['actor.user'] = new mongoose.Types.ObjectId(q.actor);
+    }
+    if (q.targetType) filter['target.type'] = String(q.targetType);
+    if (q.targetId) filter['target.id'] = String(q.targetId);
+    if (q.ip) filter.ip = String(q.ip);
+
+    const from = parseDate(q.from);
+    const to = parseDate(q.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'INVALID_DATE', message: 'from/to must be ISO dates' });
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lt = to;
+    }
+
+    if (q.cursor) {
+      if (!mongoose.Types.ObjectId.isValid(q.cursor)) {
+        return res.status(400).json({ error: 'INVALID_CURSOR' });
+      }
+      filter._id = { $lt: new mongoose.Types.ObjectId(q.cursor) };
+    }
+
+    const limitRaw = parseInt(q.limit, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(MAX_LIMIT, Math.max(1, limitRaw)) : 50;
+
+    // Fetch one extra to know whether another page exists
+    const docs = await AuditEvent.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+
+    return res.json({
+      items: items.map(e => ({
+        id: String(e._id),
+        action: e.action,
+        actor: e.actor,
+        target: e.target,
+        ip: e.ip,
+        userAgent: e.userAgent,
+        changes: e.changes || null,
+        metadata: e.metadata || null,
+        createdAt: e.createdAt
+      })),
+      nextCursor: hasMore ? String(items[items.length - 1]._id) : null
+    });
+  } catch (err) {
+    console.error('GET /api/admin/audit-events error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
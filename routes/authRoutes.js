@@ -0,0 +1,464 @@
+const express = require('express');
+const router = express.Router();
+const passport = require('passport');
+const User = require('../models/User');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  consumeAuthCode,
+  signMfaToken,
+  verifyMfaToken
+} = require('../utils/tokens');
+const { beginTwoFactorIfRequired } = require('../middleware/auth');
+const { countHit } = require('../middleware/rateLimit');
+const { signOutEverywhere } = require('../utils/sessions');
+const { recordAudit, userActor, userTarget } = require('../utils/audit');
+const { ReferralError, attachReferral } = require('../utils/referrals');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function publicUser(user) {
+  return {
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    emailVerified: Boolean(user.emailVerified)
+  };
+}
+
+// POST /api/auth/signup  { name, email, password, referralCode? }
+// A bad referral code doesn't block the signup; the response says why it wasn't applied.
+router.post('/signup', async (req, res) => {
+  try {
+    const { name, password } = req.body || {};
+    const email = normalizeEmail(req.body && req.body.email);
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'MISSING_FIELDS', message: 'name is required' });
+    }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'INVALID_EMAIL', message: 'A valid email is required' });
+    }
+    const pwError = validatePassword(password);
+    if (pwError) {
+      return res.status(400).json({ error: 'WEAK_PASSWORD', message: pwError });
+    }
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      return res.status(409).json({
+        error: 'EMAIL_IN_USE',
+        message: 'An account with this email already exists. Log in (e.g. with Google) and add a password from your account settings.'
+      });
+    }
+
+    const user = new User({ name: String(name).trim(), email, password });
+    user.addIdentity('local', email, email);
+    const rawToken = user.createEmailVerificationToken();
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user, rawToken);
+    } catch (mailErr) {
+      console.error('[auth] verification email failed:', mailErr && mailErr.message ? mailErr.message : mailErr);
+    }
+
+    let referral = null;
+    if (req.body && req.body.referralCode) {
+      try {
+        await attachReferral({ user, code: req.body.referralCode, source: 'signup', req });
+        referral = { applied: true };
+      } catch (e) {
+        // The account exists by now, so even an unexpected failure only skips the referral
+        if (!(e instanceof ReferralError)) console.error('[auth] referral failed:', e && e.message ? e.message : e);
+        referral = e instanceof ReferralError
+          ? { applied: false, error: e.code, message: e.message }
+          : { applied: false, error: 'REFERRAL_FAILED' };
+      }
+    }
+
+    console.log('✅ Local account created:', email);
+    return res.status(201).json({
+      ok: true,
+      message: 'Account created. Check your email to verify your address.',
+      user: publicUser(user),
+      referral
+    });
+  } catch (err) {
+    if (err && (err.code === 11000 || (err.message && err.message.includes('E11000')))) {
+      return res.status(409).json({ error: 'EMAIL_IN_USE', message: 'An account with this email already exists' });
+    }
+    console.error('POST /api/auth/signup error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'SIGNUP_FAILED', message: 'Could not create account' });
+  }
+});
+
+// POST /api/auth/login  { email, password }
+router.post('/login', (req, res, next) => {
+  passport.authenticate('local', (err, user, info) => {
+    if (err) {
+      console.error('POST /api/auth/login error:', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'LOGIN_FAILED', message: 'Could not log in' });
+    }
+    if (!user) {
+      const code = (info && info.code) || 'INVALID_CREDENTIALS';
+      const status = code === 'EMAIL_NOT_VERIFIED' ? 403 : 401;
+      recordAudit(req, {
+        action: 'auth.login_failed',
+        target: { type: 'user', id: null, label: normalizeEmail(req.body && req.body.email) || null },
+        metadata: { method: 'password', channel: 'session', code }
+      });
+      return res.status(status).json({ error: code, message: (info && info.message) || 'Invalid email or password' });
+    }
+    req.logIn(user, (loginErr) => {
+      if (loginErr) {
+        console.error('POST /api/auth/login session error:', loginErr);
+        return res.status(500).json({ error: 'LOGIN_FAILED', message: 'Could not start session' });
+      }
+      console.log('✅ Local login:', user.email);
+      const twoFactorRequired = beginTwoFactorIfRequired(req, user);
+      recordAudit(req, {
+        action: 'auth.login',
+        target: userTarget(user),
+        metadata: { method: 'password', channel: 'session', twoFactorRequired }
+      });
+      return res.json({ ok: true, twoFactorRequired, user: publicUser(user) });
+    });
+  })(req, res, next);
+});
+
+// POST /api/auth/verify-email  { token }
+router.post('/verify-email', async (req, res) => {
+  try {
+    const token = (req.body && req.body.token) || req.query.token;
+    if (!token) {
+      return res.status(400).json({ error: 'MISSING_TOKEN', message: 'token is required' });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ error: 'INVALID_TOKEN', message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    return res.json({ ok: true, message: 'Email verified', user: publicUser(user) });
+  } catch (err) {
+    console.error('POST /api/auth/verify-email error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'VERIFY_EMAIL_FAILED', message: 'Could not verify email' });
+  }
+});
+
+// POST /api/auth/resend-verification  { email }
+// Always answers 200 so the endpoint can't be used to probe which emails exist.
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body && req.body.email);
+    const user = email ? await User.findOne({ email }) : null;
+    if (user && !user.emailVerified) {
+      const rawToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, rawToken);
+    }
+    return res.json({ ok: true, message: 'If that account needs verification, a new email is on its way.' });
+  } catch (err) {
+    console.error('POST /api/auth/resend-verification error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'RESEND_FAILED', message: 'Could not send verification email' });
+  }
+});
+
+// POST /api/auth/forgot-password  { email }
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body && req.body.email);
+    const user = email ? await User.findOne({ email }) : null;
+    if (user) {
+      const rawToken = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, rawToken);
+    }
+    return res.json({ ok: true, message: 'If an account exists for that email, a reset link is on its way.' });
+  } catch (err) {
+    console.error('POST /api/auth/forgot-password error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'FORGOT_PASSWORD_FAILED', message: 'Could not send reset email' });
+  }
+});
+
+// POST /api/auth/reset-password  { token, password }
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'MISSING_TOKEN', message: 'token is required' });
+    }
+    const pwError = validatePassword(password);
+    if (pwError) {
+      return res.status(400).json({ error: 'WEAK_PASSWORD', message: pwError });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ error: 'INVALID_TOKEN', message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.addIdentity('local', user.email, user.email);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following a link from the inbox proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    // A reset usually means the old password is compromised: end every existing session
+    try {
+      await signOutEverywhere(user._id, { reason: 'password_reset' });
+    } catch (e) {
+      console.error('[auth] sign out everywhere after reset failed:', e && e.message ? e.message : e);
+    }
+
+    return res.json({ ok: true, message: 'Password updated. You can now log in.' });
+  } catch (err) {
+    console.error('POST /api/auth/reset-password error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'RESET_PASSWORD_FAILED', message: 'Could not reset password' });
+  }
+});
+
+// POST /api/auth/2fa/verify  { code } or { recoveryCode }
+// Completes a session login that is waiting on the second factor.
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const userId = req.session && req.session.passport && req.session.passport.user;
+    if (!userId || !req.session.twoFactorPending) {
+      return res.status(400).json({ error: 'NO_PENDING_LOGIN', message: 'There is no login waiting for a 2FA code' });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'MISSING_FIELDS', message: 'code or recoveryCode is required' });
+    }
+
+    const user = await User.findById(userId).select(User.TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(401).json({ error: 'Not authenticated' });
+
+    const check = user.verifyTwoFactor({ code, recoveryCode });
+    if (!check.ok) {
+      req.session.twoFactorAttempts = (req.session.twoFactorAttempts || 0) + 1;
+      recordAudit(req, {
+        action: 'auth.2fa_failed',
+        actor: userActor(user),
+        target: userTarget(user),
+        metadata: { channel: 'session', attempts: req.session.twoFactorAttempts }
+      });
+      if (req.session.twoFactorAttempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        // Too many guesses: throw the half-logged-in session away
+        return req.session.destroy(() => {
+          res.clearCookie('connect.sid');
+          res.status(401).json({ error: 'TOO_MANY_ATTEMPTS', message: 'Too many invalid codes. Please log in again.' });
+        });
+      }
+      return res.status(401).json({
+        error: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid authenticator or recovery code',
+        attemptsLeft: MAX_TWO_FACTOR_ATTEMPTS - req.session.twoFactorAttempts
+      });
+    }
+
+    if (check.method === 'recovery_code') await user.save();
+    delete req.session.twoFactorPending;
+    delete req.session.twoFactorAttempts;
+    recordAudit(req, {
+      action: 'auth.2fa_verified',
+      actor: userActor(user),
+      target: userTarget(user),
+      metadata: { channel: 'session', method: check.method }
+    });
+
+    return res.json({
+      ok: true,
+      method: check.method,
+      remainingRecoveryCodes: check.remainingRecoveryCodes,
+      user: publicUser(user)
+    });
+  } catch (err) {
+    console.error('POST /api/auth/2fa/verify error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TWO_FACTOR_VERIFY_FAILED' });
+  }
+});
+
+// ---------- Token mode (mobile clients) ----------
+
+function tokenMeta(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+}
+
+// First factor passed: either hand out tokens, or an mfa_token to trade in with grant_type=mfa_otp
+async function respondWithTokensOrMfa(req, res, user) {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(401).json({
+      error: 'TWO_FACTOR_REQUIRED',
+      message: 'Enter your authenticator code to continue',
+      mfa_token: signMfaToken(user)
+    });
+  }
+  const { body: tokens } = await issueTokenPair(user, tokenMeta(req));
+  recordAudit(req, {
+    action: 'auth.login',
+    actor: userActor(user),
+    target: userTarget(user),
+    metadata: { method: req.body && req.body.grant_type, channel: 'token' }
+  });
+  return res.json({ ...tokens, user: publicUser(user) });
+}
+
+// POST /api/auth/token
+//   { grant_type: 'authorization_code', code, code_verifier, redirect_uri }  (after GET /api/auth/google?mode=token)
+//   { grant_type: 'refresh_token', refresh_token }
+//   { grant_type: 'password', email, password }
+//   { grant_type: 'mfa_otp', mfa_token, otp | recovery_code }  (after a TWO_FACTOR_REQUIRED answer)
+// Returns { token_type, access_token, expires_in, refresh_token, refresh_expires_at }
+router.post('/token', (req, res, next) => {
+  const body = req.body || {};
+  const grantType = String(body.grant_type || '');
+
+  const fail = (status, error, message) => res.status(status).json({ error, message });
+  const handleError = (err) => {
+    if (err && ['INVALID_GRANT', 'INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_EXPIRED', 'REFRESH_TOKEN_REUSED'].includes(err.code)) {
+      return fail(401, err.code, err.message);
+    }
+    console.error('POST /api/auth/token error:', err && err.stack ? err.stack : err);
+    return fail(500, 'TOKEN_FAILED', 'Could not issue tokens');
+  };
+
+  if (grantType === 'authorization_code') {
+    if (!body.code || !body.code_verifier) {
+      return fail(400, 'MISSING_FIELDS', 'code and code_verifier are required');
+    }
+    return (async () => {
+      const userId = await consumeAuthCode(body.code, body.code_verifier, body.redirect_uri);
+      const user = await User.findById(userId);
+      if (!user) return fail(401, 'INVALID_GRANT', 'User not found');
+      return respondWithTokensOrMfa(req, res, user);
+    })().catch(handleError);
+  }
+
+  if (grantType === 'refresh_token') {
+    if (!body.refresh_token) {
+      return fail(400, 'MISSING_FIELDS', 'refresh_token is required');
+    }
+    return rotateRefreshToken(body.refresh_token, (id) => User.findById(id), tokenMeta(req))
+      .then(({ body: tokens }) => res.json(tokens))
+      .catch(handleError);
+  }
+
+  if (grantType === 'password') {
+    return passport.authenticate('local', { session: false }, (err, user, info) => {
+      if (err) return handleError(err);
+      if (!user) {
+        const code = (info && info.code) || 'INVALID_CREDENTIALS';
+        recordAudit(req, {
+          action: 'auth.login_failed',
+          target: { type: 'user', id: null, label: normalizeEmail(body.email) || null },
+          metadata: { method: 'password', channel: 'token', code }
+        });
+        return fail(code === 'EMAIL_NOT_VERIFIED' ? 403 : 401, code, (info && info.message) || 'Invalid email or password');
+      }
+      return respondWithTokensOrMfa(req, res, user).catch(handleError);
+    })(req, res, next);
+  }
+
+  if (grantType === 'mfa_otp') {
+    const payload = body.mfa_token ? verifyMfaToken(body.mfa_token) : null;
+    if (!payload || !payload.jti) return fail(401, 'INVALID_GRANT', 'mfa_token is invalid or expired');
+    if (!body.otp && !body.recovery_code) return fail(400, 'MISSING_FIELDS', 'otp or recovery_code is required');
+    return (async () => {
+      // Same limit as the session flow: every try counts against the mfa_token, which is
+      // dead after MAX_TWO_FACTOR_ATTEMPTS (a successful one can't be replayed either)
+      const { count: attempts } = await countHit(`mfaOtp:${payload.jti}`, Math.max(1000, payload.exp * 1000 - Date.now()));
+      if (attempts > MAX_TWO_FACTOR_ATTEMPTS) {
+        return fail(401, 'TOO_MANY_ATTEMPTS', 'Too many invalid codes. Please log in again.');
+      }
+      const user = await User.findById(payload.sub).select(User.TWO_FACTOR_SECRET_FIELDS);
+      if (!user) return fail(401, 'INVALID_GRANT', 'User not found');
+      const check = user.verifyTwoFactor({ code: body.otp, recoveryCode: body.recovery_code });
+      if (!check.ok) {
+        recordAudit(req, {
+          action: 'auth.2fa_failed',
+          actor: userActor(user),
+          target: userTarget(user),
+          metadata: { channel: 'token', attempts }
+        });
+        if (attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+          return fail(401, 'TOO_MANY_ATTEMPTS', 'Too many invalid codes. Please log in again.');
+        }
+        return res.status(401).json({
+          error: 'INVALID_TWO_FACTOR_CODE',
+          message: 'Invalid authenticator or recovery code',
+          attemptsLeft: MAX_TWO_FACTOR_ATTEMPTS - attempts
+        });
+      }
+      if (check.method === 'recovery_code') await user.save();
+      const { body: tokens } = await issueTokenPair(user, tokenMeta(req));
+      recordAudit(req, {
+        action: 'auth.login',
+        actor: userActor(user),
+        target: userTarget(user),
+        metadata: { method: 'mfa_otp', channel: 'token', twoFactorMethod: check.method }
+      });
+      return res.json({ ...tokens, user: publicUser(user), twoFactorMethod: check.method });
+    })().catch(handleError);
+  }
+
+  return fail(400, 'UNSUPPORTED_GRANT_TYPE', 'grant_type must be authorization_code, refresh_token, password or mfa_otp');
+});
+
+// POST /api/auth/token/revoke  { refresh_token }
+// Logs a token-mode client out by revoking its whole refresh-token family.
+router.post('/token/revoke', async (req, res) => {
+  try {
+    const raw = req.body && req.body.refresh_token;
+    if (!raw) return res.status(400).json({ error: 'MISSING_FIELDS', message: 'refresh_token is required' });
+    const ownerId = await revokeRefreshToken(raw, 'logout');
+    if (ownerId) {
+      recordAudit(req, {
+        action: 'auth.logout',
+        actor: userActor(ownerId),
+        target: { type: 'user', id: String(ownerId), label: null },
+        metadata: { channel: 'token' }
+      });
+    }
+    // Same answer whether or not the token existed
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('POST /api/auth/token/revoke error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'REVOKE_FAILED' });
+  }
+});
+
+module.exports = router;
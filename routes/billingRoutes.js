@@ -1,18 +1,70 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
 require('dotenv').config();
 const User = require('../models/User');
+const { getLoggedInUserId } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const BillingEvent = require('../models/BillingEvent');
+const { hasPermission, requirePermission } = require('../middleware/roles');
+const { serializeBillingEvent } = require('../utils/billingEvents');
+const Invoice = require('../models/Invoice');
+const { captureBillingDetails, serializeInvoice } = require('../utils/invoices');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const {
+  CouponError,
+  normalizeCode,
+  evaluateCoupon,
+  reserveCoupon,
+  attachOrder,
+  releaseReservation,
+  publicCoupon
+} = require('../utils/coupons');
+const { TRIAL_PLAN, TRIAL_DAYS, TrialError, trialStatus, startTrial } = require('../utils/trials');
+const { recordAudit, planSnapshot, userTarget } = require('../utils/audit');
+const { TOTAL_COUNT, isRenewing } = require('../utils/subscriptions');
+const {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  CurrencyError,
+  normalizeCurrency,
+  resolveCurrency
+} = require('../utils/currency');
+const { activateOrderPayment, redeemVoucher, ActivationError } = require('../utils/paymentActivation');
+const Voucher = require('../models/Voucher');
+const { VoucherError, serializeVoucher } = require('../utils/vouchers');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  PaymentProviderError,
+  sandboxEnabled,
+  getPaymentProvider,
+  providerForCheckout,
+  providerForOrderId
+} = require('../utils/paymentProviders');
+const { getRazorpayClient } = require('../utils/razorpayProvider');
+const { processWebhookPayload } = require('./billingWebhook');
+const PaymentEvent = require('../models/PaymentEvent');
+const {
+  getPlan,
+  listPlans,
+  paidPlanIds,
+  normalizePlanLabel,
+  getPlanPricePaise,
+  getPlanQuotas,
+  getRazorpayPlanId,
+  publicPlan
+} = require('../utils/plans');
+const {
+  getUtcMonthRange,
+  resetCurrentMonthUsage,
+  normalizeCycle,
+  addBillingPeriod,
+  currentPaidPlan,
+  classifyPlanChange,
+  quotePlanChange
+} = require('../utils/billing');
 const DEV_MODE = (process.env.NODE_ENV !== 'production') && (process.env.ENABLE_DEV_ROUTES === 'true');
 
-function getLoggedInUserId(req) {
-  const candidate =
-    req.user ||
-    (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-  return typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
-}
-
 function assertAuth(req, res) {
   if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
     return { ok: false, res: res.status(401).json({ error: 'Not authenticated' }) };
@@ -24,90 +76,24 @@ function assertAuth(req, res) {
   return { ok: true, userId };
 }
 
-function getRazorpayInstance() {
-  const key_id = (process.env.RAZORPAY_KEY_ID || '').trim();
-  const key_secret = (process.env.RAZORPAY_KEY_SECRET || '').trim();
-
-  if (!key_id || !key_secret) {
-    console.error('[Razorpay] Missing credentials', {
-      hasKeyId: Boolean(key_id),
-      hasKeySecret: Boolean(key_secret),
-      nodeEnv: process.env.NODE_ENV,
-      cwd: process.cwd()
-    });
-    throw new Error('Missing Razorpay credentials. Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env');
+// Provider chosen for a checkout ({ provider } in the body picks one explicitly).
+// Returns { ok, provider } or { ok: false, status, body }.
+function readCheckoutProvider(req, currency) {
+  try {
+    return { ok: true, provider: providerForCheckout({ currency, requested: (req.body && req.body.provider) || null }) };
+  } catch (e) {
+    if (e instanceof PaymentProviderError) return { ok: false, status: e.status, body: { error: e.code, message: e.message } };
+    throw e;
   }
-  return new Razorpay({ key_id, key_secret });
-}
-
-function plusDays(baseDate, days) {
-  const ONE_DAY_MS = 24 * 60 * 60 * 1000;
-  return new Date(baseDate.getTime() + days * ONE_DAY_MS);
-}
-
-// Current UTC month window (start inclusive, end exclusive)
-function getUtcMonthRange(now = new Date()) {
-  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0, 0));
-  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0, 0));
-  return { start, end };
-}
-
-// ---------- Plan pricing (paise) ----------
-// Defaults reflect your UI copy; can be overridden via env variables if needed.
-const PLAN_PRICE_PAISE = {
-  starter: {
-    monthly: Number(process.env.RZP_STARTER_MONTHLY_PAISE || 5900),   // ₹59
-    annual:  Number(process.env.RZP_STARTER_ANNUAL_PAISE  || (39 * 100 * 12)) // ₹39 x 12 = ₹468
-  },
-  pro: {
-    monthly: Number(process.env.RZP_PRO_MONTHLY_PAISE     || 9900),   // ₹99
-    annual:  Number(process.env.RZP_PRO_ANNUAL_PAISE      || (79 * 100 * 12)) // ₹79 x 12 = ₹948
-  },
-  pro_plus: {
-    monthly: Number(process.env.RZP_PRO_PLUS_MONTHLY_PAISE|| 19900),  // ₹199
-    annual:  Number(process.env.RZP_PRO_PLUS_ANNUAL_PAISE || (179 * 100 * 12)) // ₹179 x 12 = ₹2148
-  }
-};
-function getPlanPricePaise(plan = 'starter', billingCycle = 'monthly') {
-  const p = String(plan || 'starter').toLowerCase();
-  const c = (billingCycle === 'annual') ? 'annual' : 'monthly';
-  const table = PLAN_PRICE_PAISE[p] || PLAN_PRICE_PAISE.starter;
-  return Number(table[c] || PLAN_PRICE_PAISE.starter.monthly);
-}
-function normalizePlanLabel(plan) {
-  const p = String(plan || '').toLowerCase();
-  if (['starter','pro','pro_plus'].includes(p)) return p;
-  if (p === 'premium') return 'starter'; // legacy mapping
-  return 'starter';
-}
-function resetCurrentMonthUsage(user, now = new Date()) {
-  const { start, end } = getUtcMonthRange(now);
-  // Reset downloads in current UTC month
-  user.downloads = (user.downloads || []).filter(d => {
-    const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
-    return !(dt && dt >= start && dt < end);
-  });
-  // Reset AI usage in current UTC month
-  user.aiQueries = (user.aiQueries || []).filter(q => {
-    const t = q && q.at ? new Date(q.at) : null;
-    return !(t && t >= start && t < end);
-  });
-  return { start, end };
 }
 
 // DEV: quick env check (protected)
 router.get('/dev/env-check', (req, res) => {
   if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
 
-  // token guard like your other dev routes
-  const token =
-    req.headers['x-admin-token'] ||
-    (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-    req.query.token ||
-    req.query.t;
-
-  if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-    return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+  // admin guard like your other dev routes
+  if (!hasPermission(req.user, 'dev:tools')) {
+    return res.status(403).json({ error: 'FORBIDDEN', message: 'Admin permission required' });
   }
 
   const keyId = (process.env.RAZORPAY_KEY_ID || '').trim();
@@ -125,22 +111,66 @@ router.get('/dev/env-check', (req, res) => {
   });
 });
 
-// GET /api/billing/config
-// Returns whether Razorpay keys are configured. Useful for frontend to decide checkout vs dev-simulate.
+// GET /api/billing/config?currency=USD | ?country=US
+// Returns which payment providers are configured, so the frontend knows which checkout to open.
+// Prices are for the currency the visitor would be charged in (see utils/currency.js).
 router.get('/config', (req, res) => {
   const keyId = (process.env.RAZORPAY_KEY_ID || '').trim();
   const keySecret = (process.env.RAZORPAY_KEY_SECRET || '').trim();
   const hasRazorpay = Boolean(keyId && keySecret);
+  const paidPlans = listPlans({ kind: 'paid' });
+
+  let resolved;
+  try {
+    resolved = resolveCurrency(req, {
+      user: req.user || null,
+      isPriced: (c) => paidPlans.some(p => getPlanPricePaise(p.planId, 'monthly', c) != null)
+    });
+  } catch (e) {
+    if (e instanceof CurrencyError) return res.status(e.status).json({ error: e.code, message: e.message });
+    throw e;
+  }
+  const { currency } = resolved;
+
+  const subscriptions = {};
+  const prices = {};
+  for (const p of paidPlans) {
+    // Recurring checkout is offered only for plan/cycle pairs with a Razorpay plan id,
+    // and Razorpay plans are billed in INR
+    subscriptions[p.planId] = {
+      monthly: currency === 'INR' && Boolean(getRazorpayPlanId(p.planId, 'monthly')),
+      annual: currency === 'INR' && Boolean(getRazorpayPlanId(p.planId, 'annual'))
+    };
+    prices[p.planId] = {
+      monthly: getPlanPricePaise(p.planId, 'monthly', currency),
+      annual: getPlanPricePaise(p.planId, 'annual', currency)
+    };
+  }
+  let checkoutProvider = null;
+  try {
+    checkoutProvider = providerForCheckout({ currency }).name;
+  } catch (e) {
+    if (!(e instanceof PaymentProviderError)) throw e;
+  }
   return res.json({
     ok: true,
     hasRazorpay,
-    currency: 'INR',
-    // default amounts so frontend can show a preview if needed
-    prices: {
-      starter: { monthly: PLAN_PRICE_PAISE.starter.monthly, annual: PLAN_PRICE_PAISE.starter.annual },
-      pro:     { monthly: PLAN_PRICE_PAISE.pro.monthly,     annual: PLAN_PRICE_PAISE.pro.annual },
-      pro_plus:{ monthly: PLAN_PRICE_PAISE.pro_plus.monthly,annual: PLAN_PRICE_PAISE.pro_plus.annual }
-    }
+    providers: {
+      razorpay: hasRazorpay,
+      stripe: getPaymentProvider('stripe').isConfigured(),
+      sandbox: sandboxEnabled()
+    },
+    // Provider a create-order in `currency` would use
+    checkoutProvider,
+    subscriptions,
+    currency,
+    currencySource: resolved.source,
+    country: resolved.country,
+    currencies: SUPPORTED_CURRENCIES,
+    // default amounts so frontend can show a preview if needed (minor units of `currency`)
+    prices,
+    // Full catalogue (names, quotas, features) for pricing pages
+    plans: [...listPlans({ kind: 'free' }), ...paidPlans].map(publicPlan)
   });
 });
 
@@ -173,8 +203,57 @@ function extractRazorpayError(err) {
   }
 }
 
-// POST /api/billing/create-order
-router.post('/create-order', async (req, res) => {
+// Plan/cycle for a checkout (a scheduled downgrade is the default renewal), and how it
+// relates to the user's current plan
+function readCheckoutPlan(req, user) {
+  const scheduled = user.scheduled_plan_change || {};
+  const planRaw = (req.body && req.body.plan) || req.query.plan || scheduled.plan || 'starter';
+  const billingCycle = normalizeCycle((req.body && req.body.billingCycle) || req.query.billingCycle || scheduled.billing_cycle);
+  const plan = normalizePlanLabel(planRaw);
+  const kind = classifyPlanChange(currentPaidPlan(user), { plan, billingCycle });
+  return { plan, billingCycle, kind };
+}
+
+// Currency for a new checkout of plan/cycle: explicit choice, account currency or country
+// hint, limited to currencies the plan is priced in. Throws CurrencyError.
+function readCheckoutCurrency(req, user, plan, billingCycle) {
+  return resolveCurrency(req, {
+    user,
+    isPriced: (c) => getPlanPricePaise(plan, billingCycle, c) != null
+  }).currency;
+}
+
+// Plan changes stay in the currency the current plan was paid in, so the credit for
+// unused time and the new price are in the same money. Razorpay subscriptions bill in INR.
+function accountCurrency(user) {
+  if (isRenewing(user)) return DEFAULT_CURRENCY;
+  return normalizeCurrency(user && user.billing_currency) || DEFAULT_CURRENCY;
+}
+
+// Retired plans (or ones without a price for this cycle and currency) can't be bought;
+// existing holders keep them until their period ends. Returns an error body or null.
+function planUnavailable(plan, billingCycle, currency = DEFAULT_CURRENCY) {
+  const p = getPlan(plan);
+  if (p && p.active && p.kind === 'paid' && getPlanPricePaise(plan, billingCycle, currency) != null) return null;
+  return {
+    error: 'PLAN_NOT_AVAILABLE',
+    message: `${(p && p.name) || plan} (${billingCycle}) is not available for purchase in ${currency}`,
+    plans: paidPlanIds()
+  };
+}
+
+// Buying another tier mid-period would silently convert the remaining days; use change-plan
+function planChangeRequired(kind) {
+  return {
+    error: 'PLAN_CHANGE_REQUIRED',
+    message: 'You already have an active plan. Use /api/billing/change-plan to switch plans.',
+    kind
+  };
+}
+
+// POST /api/billing/quote  { plan, billingCycle, couponCode?, currency?, country? }
+// Price of a create-order checkout with the coupon applied. Nothing is reserved here.
+router.post('/quote', async (req, res) => {
   try {
     const auth = assertAuth(req, res);
     if (!auth.ok) return;
@@ -182,35 +261,152 @@ router.post('/create-order', async (req, res) => {
     const user = await User.findById(auth.userId).lean();
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const rzp = getRazorpayInstance();
+    const { plan, billingCycle, kind } = readCheckoutPlan(req, user);
+    if (kind === 'upgrade' || kind === 'downgrade') {
+      return res.status(409).json(planChangeRequired(kind));
+    }
+    let currency;
+    try {
+      currency = readCheckoutCurrency(req, user, plan, billingCycle);
+    } catch (e) {
+      if (e instanceof CurrencyError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    const unavailable = planUnavailable(plan, billingCycle, currency);
+    if (unavailable) return res.status(400).json(unavailable);
 
-    // Replace amount/notes with plan-aware values
-    const planRaw = (req.body && req.body.plan) || req.query.plan || 'starter';
-    const billingCycle = (req.body && req.body.billingCycle) || req.query.billingCycle || 'monthly';
-    const plan = normalizePlanLabel(planRaw);
-    const amountPaise = getPlanPricePaise(plan, billingCycle);
-    const currency = 'INR';
-    const order = await rzp.orders.create({
-      amount: amountPaise,
-      currency,
-      receipt: `vara_${Date.now()}_${String(user._id).slice(-6)}`,
-      payment_capture: 1,
-      notes: {
-        userId: String(user._id),
-        userEmail: user.email || '',
-        plan,
-        billingCycle
+    const pricePaise = getPlanPricePaise(plan, billingCycle, currency);
+    const couponCode = normalizeCode(req.body && req.body.couponCode);
+    let coupon = null;
+    let discountPaise = 0;
+    if (couponCode) {
+      try {
+        const evaluated = await evaluateCoupon({ code: couponCode, user, plan, billingCycle, currency, pricePaise, countOwnReservations: false });
+        coupon = publicCoupon(evaluated.coupon);
+        discountPaise = evaluated.discountPaise;
+      } catch (e) {
+        if (e instanceof CouponError) return res.status(e.status).json({ error: e.code, message: e.message, couponCode });
+        throw e;
       }
+    }
+
+    return res.json({
+      ok: true,
+      plan,
+      billingCycle,
+      currency,
+      pricePaise,
+      discountPaise,
+      amountDuePaise: pricePaise - discountPaise,
+      coupon
     });
+  } catch (err) {
+    console.error('POST /api/billing/quote error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'QUOTE_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// POST /api/billing/create-order  { plan, billingCycle, couponCode?, currency?, country?, billing? }
+//   currency: INR | USD | EUR | GBP; without it the account's or the country's currency is used
+//   provider: razorpay | stripe | fake (sandbox); defaults by currency (see utils/paymentProviders.js)
+//   billing: { name, gstin?, address: { line1, line2, city, state, stateCode, postalCode, country } }
+//   is saved on the account and printed on the GST invoice.
+router.post('/create-order', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const user = await User.findById(auth.userId).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    // Don't take a one-off payment on top of an auto-renewing subscription
+    if (isRenewing(user) && user.subscription_status !== 'created') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_ACTIVE',
+        message: 'Your plan renews automatically. Cancel the subscription before buying a one-off pass.',
+        subscriptionId: user.razorpay_subscription_id
+      });
+    }
+
+    const { plan, billingCycle, kind } = readCheckoutPlan(req, user);
+    if (kind === 'upgrade' || kind === 'downgrade') {
+      return res.status(409).json(planChangeRequired(kind));
+    }
+    let currency;
+    try {
+      currency = readCheckoutCurrency(req, user, plan, billingCycle);
+    } catch (e) {
+      if (e instanceof CurrencyError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    const unavailable = planUnavailable(plan, billingCycle, currency);
+    if (unavailable) return res.status(400).json(unavailable);
+
+    const chosen = readCheckoutProvider(req, currency);
+    if (!chosen.ok) return res.status(chosen.status).json(chosen.body);
+    const { provider } = chosen;
+
+    // Invoice name/address/GSTIN, if sent with the checkout
+    const billing = await captureBillingDetails(user._id, req.body);
+    if (!billing.ok) return res.status(400).json({ error: billing.error, message: billing.message });
+
+    const pricePaise = getPlanPricePaise(plan, billingCycle, currency);
+    const couponCode = normalizeCode(req.body && req.body.couponCode);
+    let couponHold = null;
+    let discountPaise = 0;
+    if (couponCode) {
+      try {
+        // The user's own earlier, unpaid checkout with this code is replaced, not counted
+        const evaluated = await evaluateCoupon({ code: couponCode, user, plan, billingCycle, currency, pricePaise, countOwnReservations: false });
+        couponHold = await reserveCoupon({ coupon: evaluated.coupon, user, plan, billingCycle, currency, pricePaise, discountPaise: evaluated.discountPaise });
+        discountPaise = evaluated.discountPaise;
+      } catch (e) {
+        if (e instanceof CouponError) return res.status(e.status).json({ error: e.code, message: e.message });
+        throw e;
+      }
+    }
+
+    const amountPaise = pricePaise - discountPaise;
+    const notes = {
+      userId: String(user._id),
+      userEmail: user.email || '',
+      plan,
+      billingCycle,
+      // Prices as of checkout: /verify and the webhook check the payment against these
+      listPricePaise: String(pricePaise),
+      amountPaise: String(amountPaise)
+    };
+    if (couponHold) {
+      notes.couponCode = couponHold.code;
+      notes.discountPaise = String(discountPaise);
+    }
+    let checkout;
+    try {
+      checkout = await provider.createCheckout({
+        amount: amountPaise,
+        currency,
+        receipt: `vara_${Date.now()}_${String(user._id).slice(-6)}`,
+        notes,
+        customer: { email: user.email || null, name: user.name || null },
+        description: `Vara ${getPlan(plan).name} (${billingCycle})`
+      });
+    } catch (e) {
+      if (couponHold) await releaseReservation(couponHold).catch(() => {});
+      throw e;
+    }
+    if (couponHold) await attachOrder(couponHold, checkout.orderId);
 
     return res.status(201).json({
       ok: true,
-      keyId: process.env.RAZORPAY_KEY_ID,
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
+      provider: provider.name,
+      ...checkout.client,
+      orderId: checkout.orderId,
+      amount: checkout.amount,
+      currency: checkout.currency,
       plan,
-      billingCycle
+      billingCycle,
+      pricePaise,
+      discountPaise,
+      couponCode: couponHold ? couponHold.code : null
     });
   } catch (err) {
     const debug = extractRazorpayError(err);
@@ -224,69 +420,87 @@ router.post('/create-order', async (req, res) => {
 });
 
 // POST /api/billing/verify
+//   Razorpay / sandbox: { orderId, paymentId, signature } from the checkout handler
+//   Stripe:             { orderId } = the Checkout Session id from the success redirect
 router.post('/verify', async (req, res) => {
   try {
     const auth = assertAuth(req, res);
     if (!auth.ok) return;
 
-    const { orderId, paymentId, signature, razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body || {};
-    const oid = orderId || razorpay_order_id;
+    const { orderId, paymentId, signature, razorpay_order_id, razorpay_payment_id, razorpay_signature, session_id } = req.body || {};
+    const oid = orderId || razorpay_order_id || session_id;
     const pid = paymentId || razorpay_payment_id;
     const sig = signature || razorpay_signature;
 
-    if (!oid || !pid || !sig) {
-      return res.status(400).json({ error: 'MISSING_FIELDS', message: 'orderId, paymentId, signature are required' });
+    if (!oid) {
+      return res.status(400).json({ error: 'MISSING_FIELDS', message: 'orderId is required' });
     }
-
-    const key_secret = (process.env.RAZORPAY_KEY_SECRET || '').trim();
-    if (!key_secret) {
-      return res.status(500).json({ error: 'SERVER_MISCONFIG', message: 'Missing RAZORPAY_KEY_SECRET' });
+    const provider = providerForOrderId(oid);
+    if (!provider) {
+      return res.status(400).json({ error: 'UNKNOWN_ORDER', message: 'orderId was not created by a known payment provider' });
     }
 
-    const expected = require('crypto')
-      .createHmac('sha256', key_secret)
-      .update(`${oid}|${pid}`)
-      .digest('hex');
-
-    if (expected !== sig) {
-      return res.status(400).json({ error: 'INVALID_SIGNATURE', message: 'Signature verification failed' });
+    let verified;
+    try {
+      verified = await provider.verifyPayment({ orderId: oid, paymentId: pid, signature: sig });
+    } catch (e) {
+      if (e instanceof PaymentProviderError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
     }
 
-    // Extract userId from notes (set by create-order)
-    const authNotes = req.body.notes || {};
-    const userId = authNotes.userId || auth.userId;
-    if (!userId) return res.status(401).json({ error: 'Not authenticated' });
-
-    // Determine plan from client (fallback to 'starter' if not provided)
-    const planRaw = (req.body && req.body.plan) || req.query.plan || 'starter';
-    const plan = normalizePlanLabel(planRaw);
+    // Plan, cycle, amount and owner all come from the order we created, never from the client
+    let order;
+    try {
+      order = await provider.fetchOrder(oid);
+    } catch (e) {
+      console.error(`POST /api/billing/verify ${provider.name} fetchOrder failed:`, e && e.message ? e.message : e);
+      return res.status(502).json({ error: 'ORDER_FETCH_FAILED', message: 'Could not confirm the order with the payment provider. Your plan will activate once the payment is confirmed.' });
+    }
 
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    let result;
+    try {
+      result = await activateOrderPayment({
+        order,
+        payment: { id: verified.paymentId },
+        source: 'verify',
+        provider: provider.name,
+        req,
+        expectedUserId: auth.userId
+      });
+    } catch (e) {
+      if (e instanceof ActivationError) {
+        console.warn('[billing] verify rejected:', { code: e.code, provider: provider.name, orderId: oid, paymentId: verified.paymentId, user: String(auth.userId) });
+        return res.status(e.status).json({ error: e.code, message: e.message });
+      }
+      throw e;
+    }
 
-    const now = new Date();
-    const hasActivePaid =
-      (user.subscription_type && user.subscription_type !== 'free') &&
-      user.subscription_end && new Date(user.subscription_end) > now;
-    const base = hasActivePaid ? new Date(user.subscription_end) : now;
-    const newEnd = plusDays(base, 30);
-
-    // Activate selected plan for 30 days
-    user.subscription_type = plan;        // 'starter' | 'pro' | 'pro_plus'
-    user.is_premium = true;
-    user.subscription_start = now;
-    user.subscription_end = newEnd;
-
-    // Fresh counters: reset downloads + AI for current UTC month
-    const { start, end } = resetCurrentMonthUsage(user, now);
-    await user.save();
+    const { user, plan, billingCycle } = result;
+    if (result.voucher) {
+      // Gift order: the buyer's plan is unchanged, they get the code to pass on
+      return res.json({
+        ok: true,
+        message: result.duplicate ? 'This gift was already processed' : `Gift of ${getPlan(plan).name} (${billingCycle}) purchased`,
+        alreadyProcessed: result.duplicate,
+        provider: provider.name,
+        paymentId: verified.paymentId,
+        plan,
+        billingCycle,
+        gift: serializeVoucher(result.voucher)
+      });
+    }
+    const { start, end } = result.usageReset || getUtcMonthRange();
 
     // Return plan-appropriate monthlyLimit for downloads for convenience
-    const monthlyLimit = (plan === 'pro') ? 150 : (plan === 'pro_plus') ? 400 : 50;
+    const monthlyLimit = getPlanQuotas(plan).downloads;
     return res.json({
       ok: true,
-      message: `Plan '${plan}' activated with fresh counters`,
+      message: result.duplicate ? `Plan '${plan}' was already activated for this payment` : `Plan '${plan}' activated with fresh counters`,
+      alreadyProcessed: result.duplicate,
+      provider: provider.name,
+      paymentId: verified.paymentId,
       plan, // detailed plan label
+      billingCycle,
       premium_expires_at: user.subscription_end,
       monthlyLimit,
       usageReset: {
@@ -299,59 +513,891 @@ router.post('/verify', async (req, res) => {
   }
 });
 
-// DEV ONLY: POST /api/billing/dev/simulate-purchase
-// Requires ?token=DEV_ADMIN_TOKEN or header X-Admin-Token. Activates 30 days premium without Razorpay.
-router.post('/dev/simulate-purchase', async (req, res) => {
-  if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
+// ---------- Gifts and vouchers ----------
+// A gift is a one-off order for someone else: once paid, the shared activation turns it into
+// a single-use voucher code (emailed to the recipient if given). Admins issue codes in
+// batches at /api/admin/vouchers. Any code is redeemed at /api/billing/redeem.
 
-  const token =
-    req.headers['x-admin-token'] ||
-    (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-    req.query.token ||
-    req.query.t;
+const GIFT_MESSAGE_MAX = 200;
 
-  if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-    return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+// Recipient fields of a gift checkout. Returns { ok, gift } or { ok: false, error, message }.
+function readGiftRecipient(body) {
+  const b = body || {};
+  const email = String(b.recipientEmail || '').trim().toLowerCase();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { ok: false, error: 'INVALID_EMAIL', message: 'recipientEmail must be a valid email address' };
+  }
+  const message = String(b.message || '').trim();
+  if (message.length > GIFT_MESSAGE_MAX) {
+    return { ok: false, error: 'MESSAGE_TOO_LONG', message: `message must be at most ${GIFT_MESSAGE_MAX} characters` };
   }
+  return {
+    ok: true,
+    gift: { email: email || null, name: String(b.recipientName || '').trim().slice(0, 100) || null, message: message || null }
+  };
+}
 
-  const auth = assertAuth(req, res);
-  if (!auth.ok) return;
+// POST /api/billing/gifts/create-order  { plan, billingCycle, recipientEmail?, recipientName?, message?,
+//                                         currency?, country?, provider?, billing? }
+// Paid with /api/billing/verify like any order; the response carries the voucher code.
+router.post('/gifts/create-order', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const user = await User.findById(auth.userId).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (req.body && req.body.couponCode) {
+      return res.status(400).json({ error: 'COUPON_NOT_SUPPORTED', message: 'Coupons cannot be applied to gifts' });
+    }
+
+    const plan = normalizePlanLabel((req.body && req.body.plan) || 'pro');
+    const billingCycle = normalizeCycle(req.body && req.body.billingCycle);
+    const recipient = readGiftRecipient(req.body);
+    if (!recipient.ok) return res.status(400).json({ error: recipient.error, message: recipient.message });
+
+    let currency;
+    try {
+      currency = readCheckoutCurrency(req, user, plan, billingCycle);
+    } catch (e) {
+      if (e instanceof CurrencyError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    const unavailable = planUnavailable(plan, billingCycle, currency);
+    if (unavailable) return res.status(400).json(unavailable);
+
+    const chosen = readCheckoutProvider(req, currency);
+    if (!chosen.ok) return res.status(chosen.status).json(chosen.body);
+    const { provider } = chosen;
+
+    const billing = await captureBillingDetails(user._id, req.body);
+    if (!billing.ok) return res.status(400).json({ error: billing.error, message: billing.message });
+
+    const pricePaise = getPlanPricePaise(plan, billingCycle, currency);
+    const { gift } = recipient;
+    const notes = {
+      userId: String(user._id),
+      userEmail: user.email || '',
+      plan,
+      billingCycle,
+      kind: 'gift',
+      listPricePaise: String(pricePaise),
+      amountPaise: String(pricePaise)
+    };
+    if (gift.email) notes.giftEmail = gift.email;
+    if (gift.name) notes.giftName = gift.name;
+    if (gift.message) notes.giftMessage = gift.message;
+
+    const checkout = await provider.createCheckout({
+      amount: pricePaise,
+      currency,
+      receipt: `vara_gift_${Date.now()}_${String(user._id).slice(-6)}`,
+      notes,
+      customer: { email: user.email || null, name: user.name || null },
+      description: `Vara ${getPlan(plan).name} (${billingCycle}) - gift`
+    });
+
+    return res.status(201).json({
+      ok: true,
+      provider: provider.name,
+      ...checkout.client,
+      orderId: checkout.orderId,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      plan,
+      billingCycle,
+      pricePaise,
+      recipientEmail: gift.email
+    });
+  } catch (err) {
+    const debug = extractRazorpayError(err);
+    console.error('POST /api/billing/gifts/create-order error:', err && err.stack ? err.stack : err, '\n↳ Parsed:', debug);
+    const payload = { error: 'ORDER_CREATE_FAILED', message: debug.message || 'unknown' };
+    if (DEV_MODE) {
+      payload.debug = debug;
+    }
+    return res.status(500).json(payload);
+  }
+});
+
+// GET /api/billing/gifts — gifts this account bought, with their codes and whether they were used
+router.get('/gifts', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const vouchers = await Voucher.find({ purchasedBy: auth.userId, source: 'gift' })
+      .sort({ createdAt: -1 }).limit(200).lean();
+    return res.json({ items: vouchers.map(serializeVoucher) });
+  } catch (err) {
+    console.error('GET /api/billing/gifts error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
+// POST /api/billing/redeem  { code }
+// Applies a gift or admin-issued voucher to this account: same period logic as a payment
+// (extends the same plan, starts a new one otherwise). Each code works once.
+router.post('/redeem', rateLimit('voucherRedeem'), async (req, res) => {
   try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
     const user = await User.findById(auth.userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const now = new Date();
-    const hasActivePaid =
-      (user.subscription_type && user.subscription_type !== 'free') &&
-      user.subscription_end && new Date(user.subscription_end) > now;
-    const base = hasActivePaid ? new Date(user.subscription_end) : now;
-    const newEnd = plusDays(base, 30);
+    let result;
+    try {
+      result = await redeemVoucher({ code: req.body && req.body.code, user, req });
+    } catch (e) {
+      if (e instanceof VoucherError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+
+    const { plan, billingCycle, usageReset } = result;
+    return res.json({
+      ok: true,
+      message: `${getPlan(plan).name} (${billingCycle}) activated`,
+      plan,
+      billingCycle,
+      premium_expires_at: user.subscription_end,
+      monthlyLimit: getPlanQuotas(plan).downloads,
+      usageReset: {
+        period: { startUtcIso: usageReset.start.toISOString(), endUtcIso: usageReset.end.toISOString() }
+      }
+    });
+  } catch (err) {
+    console.error('POST /api/billing/redeem error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'REDEEM_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// ---------- Recurring subscriptions ----------
+// Razorpay charges the card every cycle; billingWebhook.js applies subscription.* events.
+// The one-off create-order/verify flow above stays available as a fallback
+// (e.g. UPI apps without autopay, or before plan ids are configured).
+
+// POST /api/billing/create-subscription  { plan, billingCycle, billing? }
+router.post('/create-subscription', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
 
     const planRaw = (req.body && req.body.plan) || req.query.plan || 'starter';
+    const billingCycle = normalizeCycle((req.body && req.body.billingCycle) || req.query.billingCycle);
     const plan = normalizePlanLabel(planRaw);
+    if (req.body && req.body.couponCode) {
+      return res.status(400).json({ error: 'COUPON_NOT_SUPPORTED', message: 'Coupons apply to one-off orders only. Use /api/billing/create-order.' });
+    }
+    const unavailable = planUnavailable(plan, billingCycle);
+    if (unavailable) return res.status(400).json(unavailable);
+    const requestedCurrency = (req.body && req.body.currency) || req.query.currency;
+    if (requestedCurrency && normalizeCurrency(requestedCurrency) !== 'INR') {
+      return res.status(400).json({
+        error: 'CURRENCY_NOT_SUPPORTED',
+        message: 'Auto-renewing subscriptions are billed in INR. Use /api/billing/create-order to pay in another currency.',
+        fallback: 'create-order'
+      });
+    }
+    const planId = getRazorpayPlanId(plan, billingCycle);
+    if (!planId) {
+      return res.status(501).json({
+        error: 'SUBSCRIPTIONS_NOT_CONFIGURED',
+        message: `No Razorpay plan configured for ${plan}/${billingCycle}. Use /api/billing/create-order instead.`,
+        fallback: 'create-order'
+      });
+    }
+
+    const user = await User.findById(auth.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (isRenewing(user) && user.subscription_status !== 'created') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_EXISTS',
+        message: 'You already have an active subscription. Cancel it before starting a new one.',
+        subscriptionId: user.razorpay_subscription_id,
+        status: user.subscription_status
+      });
+    }
 
-    user.subscription_type = plan; // 'starter' | 'pro' | 'pro_plus'
-    user.is_premium = true;
-    user.subscription_start = now;
-    user.subscription_end = newEnd;
+    // Invoice name/address/GSTIN, if sent with the checkout
+    const billing = await captureBillingDetails(user._id, req.body);
+    if (!billing.ok) return res.status(400).json({ error: billing.error, message: billing.message });
 
-    const { start, end } = resetCurrentMonthUsage(user, now);
+    const rzp = getRazorpayClient();
+    const subscription = await rzp.subscriptions.create({
+      plan_id: planId,
+      total_count: TOTAL_COUNT[billingCycle],
+      customer_notify: 1,
+      notes: {
+        userId: String(user._id),
+        userEmail: user.email || '',
+        plan,
+        billingCycle
+      }
+    });
+
+    const before = { razorpay_subscription_id: user.razorpay_subscription_id, subscription_status: user.subscription_status };
+    user.razorpay_subscription_id = subscription.id;
+    user.subscription_status = subscription.status || 'created';
     await user.save();
+    recordAudit(req, {
+      action: 'billing.subscription_created',
+      target: userTarget(user),
+      before,
+      after: { razorpay_subscription_id: user.razorpay_subscription_id, subscription_status: user.subscription_status },
+      metadata: { plan, billingCycle, planId }
+    });
 
-    const monthlyLimit = (plan === 'pro') ? 150 : (plan === 'pro_plus') ? 400 : 50;
-    return res.json({
+    return res.status(201).json({
       ok: true,
-      message: `Plan '${plan}' activated (DEV simulate) with fresh counters`,
+      keyId: process.env.RAZORPAY_KEY_ID,
+      subscriptionId: subscription.id,
+      status: user.subscription_status,
+      shortUrl: subscription.short_url || null,
       plan,
-      premium_expires_at: user.subscription_end,
-      monthlyLimit,
-      dev: true,
-      usageReset: { period: { startUtcIso: start.toISOString(), endUtcIso: end.toISOString() } }
+      billingCycle
+    });
+  } catch (err) {
+    const debug = extractRazorpayError(err);
+    console.error('POST /api/billing/create-subscription error:', err && err.stack ? err.stack : err, '\n↳ Parsed:', debug);
+    const payload = { error: 'SUBSCRIPTION_CREATE_FAILED', message: debug.message || 'unknown' };
+    if (DEV_MODE) payload.debug = debug;
+    return res.status(500).json(payload);
+  }
+});
+
+// POST /api/billing/verify-subscription  { razorpay_payment_id, razorpay_subscription_id, razorpay_signature }
+// Confirms the checkout handshake; the plan itself is activated by the subscription.activated/charged webhooks.
+router.post('/verify-subscription', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const { razorpay_payment_id: pid, razorpay_subscription_id: sid, razorpay_signature: sig } = req.body || {};
+    if (!pid || !sid || !sig) {
+      return res.status(400).json({ error: 'MISSING_FIELDS', message: 'razorpay_payment_id, razorpay_subscription_id, razorpay_signature are required' });
+    }
+
+    const key_secret = (process.env.RAZORPAY_KEY_SECRET || '').trim();
+    if (!key_secret) {
+      return res.status(500).json({ error: 'SERVER_MISCONFIG', message: 'Missing RAZORPAY_KEY_SECRET' });
+    }
+    const expected = crypto.createHmac('sha256', key_secret).update(`${pid}|${sid}`).digest('hex');
+    if (expected !== sig) {
+      return res.status(400).json({ error: 'INVALID_SIGNATURE', message: 'Signature verification failed' });
+    }
+
+    const user = await User.findById(auth.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.razorpay_subscription_id !== sid) {
+      return res.status(400).json({ error: 'SUBSCRIPTION_MISMATCH', message: 'This subscription does not belong to the current user' });
+    }
+    if (user.subscription_status === 'created') {
+      user.subscription_status = 'authenticated';
+      await user.save();
+    }
+
+    return res.json({
+      ok: true,
+      subscriptionId: sid,
+      status: user.subscription_status,
+      message: 'Payment authorised. Your plan activates as soon as Razorpay confirms the first charge.'
+    });
+  } catch (err) {
+    console.error('POST /api/billing/verify-subscription error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'VERIFY_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// POST /api/billing/cancel-subscription  { atCycleEnd = true }
+// The paid period is kept either way; Razorpay sends subscription.cancelled when it takes effect.
+router.post('/cancel-subscription', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const user = await User.findById(auth.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!isRenewing(user)) {
+      return res.status(400).json({ error: 'NO_ACTIVE_SUBSCRIPTION' });
+    }
+
+    const atCycleEnd = !(req.body && req.body.atCycleEnd === false);
+    const rzp = getRazorpayClient();
+    const subscription = await rzp.subscriptions.cancel(user.razorpay_subscription_id, atCycleEnd);
+
+    recordAudit(req, {
+      action: 'billing.subscription_cancel_requested',
+      target: userTarget(user),
+      metadata: { subscriptionId: user.razorpay_subscription_id, atCycleEnd }
+    });
+
+    // Immediate cancellations are final now; cycle-end ones stay 'active' until the webhook
+    if (!atCycleEnd) {
+      user.subscription_status = subscription.status || 'cancelled';
+      await user.save();
+    }
+
+    return res.json({
+      ok: true,
+      subscriptionId: user.razorpay_subscription_id,
+      status: subscription.status || user.subscription_status,
+      atCycleEnd,
+      premium_expires_at: user.subscription_end || null
+    });
+  } catch (err) {
+    const debug = extractRazorpayError(err);
+    console.error('POST /api/billing/cancel-subscription error:', err && err.stack ? err.stack : err, '\n↳ Parsed:', debug);
+    return res.status(500).json({ error: 'SUBSCRIPTION_CANCEL_FAILED', message: debug.message || 'unknown' });
+  }
+});
+
+// ---------- Plan changes (upgrade / downgrade) ----------
+// Upgrades apply now: the unused part of the current plan is credited and only the
+// difference is charged. Downgrades keep the current plan until its paid period ends.
+
+function readPlanChangeTarget(req) {
+  const plan = String((req.body && req.body.plan) || req.query.plan || '').toLowerCase();
+  if (!paidPlanIds().includes(plan)) return null;
+  return { plan, billingCycle: normalizeCycle((req.body && req.body.billingCycle) || req.query.billingCycle) };
+}
+
+function publicQuote(quote, currency) {
+  return {
+    kind: quote.kind,
+    from: quote.from,
+    to: quote.to,
+    currency,
+    pricePaise: quote.pricePaise,
+    creditPaise: quote.creditPaise,
+    amountDuePaise: quote.amountDuePaise,
+    effectiveAt: quote.effectiveAt,
+    newPeriodEnd: quote.newPeriodEnd
+  };
+}
+
+// Switch plans right away (used when credit covers the whole upgrade)
+function applyPlanNow(user, to, periodEnd, now = new Date()) {
+  user.subscription_type = to.plan;
+  user.billing_cycle = to.billingCycle;
+  user.is_premium = true;
+  user.subscription_start = now;
+  user.subscription_end = periodEnd;
+  user.scheduled_plan_change = undefined;
+}
+
+// POST /api/billing/change-plan/quote  { plan, billingCycle }
+router.post('/change-plan/quote', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const target = readPlanChangeTarget(req);
+    if (!target) {
+      return res.status(400).json({ error: 'INVALID_PLAN', message: `plan must be one of: ${paidPlanIds().join(', ')}` });
+    }
+    const user = await User.findById(auth.userId).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const currency = accountCurrency(user);
+    const unavailable = planUnavailable(target.plan, target.billingCycle, currency);
+    if (unavailable) return res.status(400).json(unavailable);
+
+    const quote = quotePlanChange(user, target, (plan, cycle) => getPlanPricePaise(plan, cycle, currency));
+    return res.json({ ok: true, quote: publicQuote(quote, currency), scheduledChange: user.scheduled_plan_change || null });
+  } catch (err) {
+    console.error('POST /api/billing/change-plan/quote error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'QUOTE_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// POST /api/billing/change-plan  { plan, billingCycle, billing? }
+//   upgrade   → { orderId, amount, ... } to pay at the provider's checkout, then POST /verify as usual
+//               (or applied immediately when the credit covers it)
+//   downgrade → scheduled for the end of the current period
+router.post('/change-plan', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const target = readPlanChangeTarget(req);
+    if (!target) {
+      return res.status(400).json({ error: 'INVALID_PLAN', message: `plan must be one of: ${paidPlanIds().join(', ')}` });
+    }
+    if (req.body && req.body.couponCode) {
+      return res.status(400).json({ error: 'COUPON_NOT_SUPPORTED', message: 'Coupons cannot be combined with plan-change credit' });
+    }
+    const user = await User.findById(auth.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const currency = accountCurrency(user);
+    const unavailable = planUnavailable(target.plan, target.billingCycle, currency);
+    if (unavailable) return res.status(400).json(unavailable);
+
+    const now = new Date();
+    const quote = quotePlanChange(user, target, (plan, cycle) => getPlanPricePaise(plan, cycle, currency), now);
+
+    if (quote.kind === 'new' || quote.kind === 'renewal') {
+      return res.status(409).json({
+        error: quote.kind === 'new' ? 'NO_ACTIVE_PLAN' : 'SAME_PLAN',
+        message: 'Nothing to change. Use /api/billing/create-order to buy or renew a plan.',
+        quote: publicQuote(quote, currency)
+      });
+    }
+
+    const subscriptionId = isRenewing(user) ? user.razorpay_subscription_id : null;
+    const before = { ...planSnapshot(user), scheduled_plan_change: user.scheduled_plan_change || null };
+
+    // Auto-renewing subscriptions: Razorpay switches the plan (and prorates upgrades) itself
+    if (subscriptionId) {
+      const planId = getRazorpayPlanId(target.plan, target.billingCycle);
+      if (!planId) {
+        return res.status(501).json({
+          error: 'SUBSCRIPTIONS_NOT_CONFIGURED',
+          message: `No Razorpay plan configured for ${target.plan}/${target.billingCycle}`
+        });
+      }
+      const scheduleAt = quote.kind === 'upgrade' ? 'now' : 'cycle_end';
+      await getRazorpayClient().subscriptions.update(subscriptionId, {
+        plan_id: planId,
+        schedule_change_at: scheduleAt,
+        customer_notify: 1
+      });
+      if (quote.kind === 'downgrade') {
+        user.scheduled_plan_change = {
+          plan: target.plan,
+          billing_cycle: target.billingCycle,
+          effective_at: quote.effectiveAt,
+          requested_at: now
+        };
+        await user.save();
+      }
+      recordAudit(req, {
+        action: `billing.plan_${quote.kind}_requested`,
+        target: userTarget(user),
+        before,
+        after: { ...planSnapshot(user), scheduled_plan_change: user.scheduled_plan_change || null },
+        metadata: { subscriptionId, planId, scheduleAt }
+      });
+      return res.json({
+        ok: true,
+        kind: quote.kind,
+        subscriptionId,
+        scheduleAt,
+        quote: publicQuote(quote, currency),
+        message: quote.kind === 'upgrade'
+          ? 'Your subscription is switching now; Razorpay charges the prorated difference.'
+          : `Your plan changes to ${target.plan} on ${quote.effectiveAt.toISOString().slice(0, 10)}.`
+      });
+    }
+
+    if (quote.kind === 'downgrade') {
+      user.scheduled_plan_change = {
+        plan: target.plan,
+        billing_cycle: target.billingCycle,
+        effective_at: quote.effectiveAt,
+        requested_at: now
+      };
+      await user.save();
+      recordAudit(req, {
+        action: 'billing.plan_downgrade_scheduled',
+        target: userTarget(user),
+        before,
+        after: { ...planSnapshot(user), scheduled_plan_change: user.scheduled_plan_change },
+        metadata: { to: target }
+      });
+      return res.json({
+        ok: true,
+        kind: 'downgrade',
+        scheduled: true,
+        quote: publicQuote(quote, currency),
+        message: `You keep ${quote.from.plan} until ${quote.effectiveAt.toISOString().slice(0, 10)}; your next renewal is ${target.plan}.`
+      });
+    }
+
+    // Upgrade fully covered by credit: switch now, no payment
+    if (quote.amountDuePaise === 0) {
+      applyPlanNow(user, quote.to, quote.newPeriodEnd, now);
+      await user.save();
+      recordAudit(req, {
+        action: 'billing.plan_change',
+        target: userTarget(user),
+        before,
+        after: planSnapshot(user),
+        metadata: { source: 'change-plan', creditPaise: quote.creditPaise, amountDuePaise: 0 }
+      });
+      return res.json({
+        ok: true,
+        kind: 'upgrade',
+        applied: true,
+        plan: user.subscription_type,
+        billingCycle: user.billing_cycle,
+        premium_expires_at: user.subscription_end,
+        quote: publicQuote(quote, currency)
+      });
+    }
+
+    const chosen = readCheckoutProvider(req, currency);
+    if (!chosen.ok) return res.status(chosen.status).json(chosen.body);
+    const { provider } = chosen;
+
+    // Invoice name/address/GSTIN, if sent with the checkout
+    const billing = await captureBillingDetails(user._id, req.body);
+    if (!billing.ok) return res.status(400).json({ error: billing.error, message: billing.message });
+
+    // Upgrade: charge only the difference; /verify and the webhook apply it from the order notes
+    const checkout = await provider.createCheckout({
+      amount: quote.amountDuePaise,
+      currency,
+      receipt: `vara_chg_${Date.now()}_${String(user._id).slice(-6)}`,
+      customer: { email: user.email || null, name: user.name || null },
+      description: `Vara ${getPlan(target.plan).name} (${target.billingCycle}) - plan upgrade`,
+      notes: {
+        userId: String(user._id),
+        userEmail: user.email || '',
+        plan: target.plan,
+        billingCycle: target.billingCycle,
+        kind: 'plan_change',
+        fromPlan: quote.from.plan,
+        fromBillingCycle: quote.from.billingCycle,
+        creditPaise: String(quote.creditPaise),
+        listPricePaise: String(quote.pricePaise),
+        amountPaise: String(quote.amountDuePaise)
+      }
+    });
+
+    return res.status(201).json({
+      ok: true,
+      kind: 'upgrade',
+      provider: provider.name,
+      ...checkout.client,
+      orderId: checkout.orderId,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      plan: target.plan,
+      billingCycle: target.billingCycle,
+      quote: publicQuote(quote, currency)
+    });
+  } catch (err) {
+    const debug = extractRazorpayError(err);
+    console.error('POST /api/billing/change-plan error:', err && err.stack ? err.stack : err, '\n↳ Parsed:', debug);
+    const payload = { error: 'PLAN_CHANGE_FAILED', message: debug.message || 'unknown' };
+    if (DEV_MODE) payload.debug = debug;
+    return res.status(500).json(payload);
+  }
+});
+
+// DELETE /api/billing/change-plan — cancel a scheduled downgrade
+router.delete('/change-plan', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const user = await User.findById(auth.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const scheduled = user.scheduled_plan_change;
+    if (!scheduled || !scheduled.plan) {
+      return res.status(400).json({ error: 'NO_SCHEDULED_CHANGE' });
+    }
+
+    if (isRenewing(user)) {
+      await getRazorpayClient().subscriptions.cancelScheduledChanges(user.razorpay_subscription_id);
+    }
+    const before = { plan: scheduled.plan, billing_cycle: scheduled.billing_cycle, effective_at: scheduled.effective_at };
+    user.scheduled_plan_change = undefined;
+    await user.save();
+    recordAudit(req, {
+      action: 'billing.plan_downgrade_cancelled',
+      target: userTarget(user),
+      before: { scheduled_plan_change: before },
+      after: { scheduled_plan_change: null }
+    });
+    return res.json({ ok: true, plan: user.subscription_type, premium_expires_at: user.subscription_end || null });
+  } catch (err) {
+    const debug = extractRazorpayError(err);
+    console.error('DELETE /api/billing/change-plan error:', err && err.stack ? err.stack : err, '\n↳ Parsed:', debug);
+    return res.status(500).json({ error: 'PLAN_CHANGE_CANCEL_FAILED', message: debug.message || 'unknown' });
+  }
+});
+
+// ---------- Free trial ----------
+
+// GET /api/billing/trial
+router.get('/trial', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+    const user = await User.findById(auth.userId).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    return res.json({ ok: true, trial: trialStatus(user), plan: TRIAL_PLAN, days: TRIAL_DAYS });
+  } catch (err) {
+    console.error('GET /api/billing/trial error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TRIAL_STATUS_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// POST /api/billing/trial — start the one free trial this account (and its Google login) gets
+router.post('/trial', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+    const user = await User.findById(auth.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    let trial;
+    try {
+      trial = await startTrial(user, { req });
+    } catch (e) {
+      if (e instanceof TrialError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    return res.status(201).json({ ok: true, trial });
+  } catch (err) {
+    console.error('POST /api/billing/trial error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TRIAL_START_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// ---------- Billing history & invoices ----------
+
+const HISTORY_MAX_LIMIT = 100;
+
+// GET /api/billing/history?limit=25&cursor=...  → invoices for the current user, newest first
+router.get('/history', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const q = req.query || {};
+    const filter = { user: auth.userId };
+    if (q.cursor) {
+      if (!mongoose.Types.ObjectId.isValid(q.cursor)) return res.status(400).json({ error: 'INVALID_CURSOR' });
+      filter._id = { $lt: new mongoose.Types.ObjectId(q.cursor) };
+    }
+    const limitRaw = parseInt(q.limit, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(HISTORY_MAX_LIMIT, Math.max(1, limitRaw)) : 25;
+
+    const [docs, user] = await Promise.all([
+      Invoice.find(filter).sort({ _id: -1 }).limit(limit + 1).lean(),
+      User.findById(auth.userId).select('billing_details').lean()
+    ]);
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    return res.json({
+      items: items.map(serializeInvoice),
+      nextCursor: hasMore ? String(items[items.length - 1]._id) : null,
+      billingDetails: (user && user.billing_details && user.billing_details.updated_at) ? user.billing_details : null
+    });
+  } catch (err) {
+    console.error('GET /api/billing/history error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'HISTORY_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// GET /api/billing/invoices/:id.pdf  → the invoice owner, or staff with billing:read
+router.get('/invoices/:id.pdf', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'INVOICE_NOT_FOUND' });
+    }
+
+    const invoice = await Invoice.findById(req.params.id).lean();
+    const canRead = invoice && (
+      String(invoice.user) === String(auth.userId) ||
+      (req.authMethod !== 'api_key' && hasPermission(req.user, 'billing:read'))
+    );
+    // Same answer for someone else's invoice as for a missing one
+    if (!canRead) return res.status(404).json({ error: 'INVOICE_NOT_FOUND' });
+
+    const filename = `invoice-${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    renderInvoicePdf(invoice, res);
+  } catch (err) {
+    console.error('GET /api/billing/invoices/:id.pdf error:', err && err.stack ? err.stack : err);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'INVOICE_RENDER_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// ---------- Payment timeline ----------
+// Webhook events recorded in billing_events (captures, charges, failures, refunds, disputes).
+
+const TIMELINE_MAX_LIMIT = 100;
+// Events we acknowledged without acting on; staff still see them
+const TIMELINE_HIDDEN_OUTCOMES = ['ignored', 'stale'];
+
+// Newest first, cursor = id of the last item on the previous page
+async function loadTimeline(userId, query, { staff = false } = {}) {
+  const filter = { userId };
+  if (!staff) filter.outcome = { $nin: TIMELINE_HIDDEN_OUTCOMES };
+  if (query.cursor) {
+    if (!mongoose.Types.ObjectId.isValid(query.cursor)) return null;
+    filter._id = { $lt: new mongoose.Types.ObjectId(query.cursor) };
+  }
+  const limitRaw = parseInt(query.limit, 10);
+  const limit = Number.isFinite(limitRaw) ? Math.min(TIMELINE_MAX_LIMIT, Math.max(1, limitRaw)) : 25;
+
+  const docs = await BillingEvent.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items: items.map(e => serializeBillingEvent(e, { staff })),
+    nextCursor: hasMore ? String(items[items.length - 1]._id) : null
+  };
+}
+
+// GET /api/billing/timeline?limit=25&cursor=...
+router.get('/timeline', async (req, res) => {
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+    const page = await loadTimeline(auth.userId, req.query || {});
+    if (!page) return res.status(400).json({ error: 'INVALID_CURSOR' });
+    return res.json(page);
+  } catch (err) {
+    console.error('GET /api/billing/timeline error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TIMELINE_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// GET /api/billing/admin/users/:id/timeline — support view, includes ignored events and the dispute flag
+router.get('/admin/users/:id/timeline', requirePermission('billing:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'INVALID_USER_ID' });
+    }
+    const user = await User.findById(req.params.id)
+      .select('email subscription_type subscription_end billing_cycle subscription_status billing_flag')
+      .lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const page = await loadTimeline(user._id, req.query || {}, { staff: true });
+    if (!page) return res.status(400).json({ error: 'INVALID_CURSOR' });
+    return res.json({
+      user: {
+        id: String(user._id),
+        email: user.email,
+        plan: user.subscription_type || 'free',
+        billingCycle: user.billing_cycle || null,
+        premium_expires_at: user.subscription_end || null,
+        subscription_status: user.subscription_status || null,
+        billing_flag: user.billing_flag && user.billing_flag.active ? user.billing_flag : null
+      },
+      ...page
+    });
+  } catch (err) {
+    console.error('GET /api/billing/admin/users/:id/timeline error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TIMELINE_FAILED', message: err.message || 'unknown' });
+  }
+});
+
+// ---------- Refunds ----------
+
+// POST /api/billing/admin/payments/:paymentId/refund  { amount?, reason? }
+// Full refund unless amount (minor units) is given. Access is taken back when the provider
+// confirms the refund through its webhook, same as a refund issued from its dashboard.
+router.post('/admin/payments/:paymentId/refund', requirePermission('payments:refund'), async (req, res) => {
+  try {
+    const record = await PaymentEvent.findOne({ paymentId: req.params.paymentId }).lean();
+    if (!record || record.status === 'processing') return res.status(404).json({ error: 'PAYMENT_NOT_FOUND' });
+    if (record.status === 'reversed') {
+      return res.status(409).json({ error: 'ALREADY_REVERSED', message: 'This payment has already been refunded or lost in a dispute' });
+    }
+
+    const refundable = Number(record.amount || 0) - Number(record.refundedAmount || 0);
+    let amount = null;
+    if (req.body && req.body.amount != null) {
+      amount = Number(req.body.amount);
+      if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+        return res.status(400).json({ error: 'INVALID_REFUND_AMOUNT', message: `amount must be an integer from 1 to ${refundable}` });
+      }
+    }
+    const reason = String((req.body && req.body.reason) || '').slice(0, 200);
+
+    let provider;
+    let refund;
+    try {
+      provider = getPaymentProvider(record.provider || 'razorpay');
+      refund = await provider.refund(record.paymentId, { amount, notes: { reason, requestedBy: String(req.user._id) } });
+    } catch (e) {
+      if (e instanceof PaymentProviderError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+
+    recordAudit(req, {
+      action: 'billing.refund_requested',
+      target: { type: 'user', id: String(record.userId), label: null },
+      metadata: { provider: provider.name, paymentId: record.paymentId, refundId: refund.id, amount: refund.amount, currency: refund.currency, reason }
+    });
+
+    // The sandbox has no webhook sender; apply its refund event here
+    let applied = null;
+    if (refund.event) applied = (await processWebhookPayload(req, provider, refund.event)).outcome;
+
+    return res.status(201).json({
+      ok: true,
+      refund: { id: refund.id, paymentId: refund.paymentId, amount: refund.amount, currency: refund.currency, status: refund.status },
+      applied
+    });
+  } catch (err) {
+    const debug = extractRazorpayError(err);
+    console.error('POST /api/billing/admin/payments/:paymentId/refund error:', err && err.stack ? err.stack : err, '\n↳ Parsed:', debug);
+    return res.status(500).json({ error: 'REFUND_FAILED', message: debug.message || 'unknown' });
+  }
+});
+
+// ---------- Sandbox (PAYMENT_SANDBOX=true, never in production) ----------
+// Checkout end to end without provider keys, against the in-process fake provider:
+//   1. POST /create-order { plan, billingCycle, provider: 'fake' } (or run with PAYMENT_PROVIDER=fake)
+//   2. POST /sandbox/pay  { orderId }  → { orderId, paymentId, signature }
+//   3. POST /verify       with those three fields, as after Razorpay Checkout
+// Step 2 also delivers the payment webhook in-process, so /verify and the webhook race the
+// way they do in production (whichever is second reports a duplicate).
+
+// POST /api/billing/sandbox/pay  { orderId, outcome?: 'success' | 'failure' }
+router.post('/sandbox/pay', async (req, res) => {
+  if (!sandboxEnabled()) return res.status(404).json({ error: 'Not found' });
+
+  try {
+    const auth = assertAuth(req, res);
+    if (!auth.ok) return;
+
+    const fake = getPaymentProvider('fake');
+    const orderId = String((req.body && req.body.orderId) || '');
+    let paid;
+    try {
+      const order = await fake.fetchOrder(orderId);
+      // Same answer for someone else's order as for a missing one
+      if (String(order.notes.userId) !== String(auth.userId)) {
+        return res.status(404).json({ error: 'ORDER_NOT_FOUND', message: 'Unknown sandbox order' });
+      }
+      paid = fake.completePayment(orderId, { outcome: req.body && req.body.outcome === 'failure' ? 'failure' : 'success' });
+    } catch (e) {
+      if (e instanceof PaymentProviderError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+
+    const delivered = await processWebhookPayload(req, fake, paid.event);
+    if (paid.payment.status !== 'captured') {
+      return res.status(402).json({
+        error: 'PAYMENT_FAILED',
+        message: paid.payment.error_description,
+        orderId,
+        paymentId: paid.payment.id,
+        webhook: delivered.outcome
+      });
+    }
+    return res.json({
+      ok: true,
+      orderId,
+      paymentId: paid.payment.id,
+      signature: paid.signature,
+      webhook: delivered.outcome
     });
   } catch (err) {
-    console.error('POST /api/billing/dev/simulate-purchase error:', err && err.stack ? err.stack : err);
-    return res.status(500).json({ error: 'DEV_SIM_FAILED', message: err.message || 'unknown' });
+    console.error('POST /api/billing/sandbox/pay error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'SANDBOX_PAY_FAILED', message: err.message || 'unknown' });
   }
 });
 
@@ -1,167 +1,543 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
-const Razorpay = require('razorpay');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
 const User = require('../models/User');
-
-// Minimal idempotency store (payment_events collection)
-const paymentEventSchema = new mongoose.Schema({
-  paymentId: { type: String, unique: true, index: true },
-  orderId: String,
-  processedAt: { type: Date, default: Date.now }
-}, { collection: 'payment_events' });
-
-const PaymentEvent =
-  mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', paymentEventSchema);
+const PaymentEvent = require('../models/PaymentEvent');
+const { activateOrderPayment, reversePaymentPeriod, ActivationError } = require('../utils/paymentActivation');
+const { openBillingEvent, closeBillingEvent } = require('../utils/billingEvents');
+const { issueInvoice, markInvoiceRefunded } = require('../utils/invoices');
+const { endTrial } = require('../utils/trials');
+const { recordAudit, planSnapshot, userTarget } = require('../utils/audit');
+const { fromUnix } = require('../utils/subscriptions');
+const { normalizePlanLabel, planFromRazorpayPlanId } = require('../utils/plans');
+const { normalizeCycle, addBillingPeriod, resetCurrentMonthUsage } = require('../utils/billing');
+const { getPaymentProvider, PaymentProviderError } = require('../utils/paymentProviders');
+const { rewardReferral, revokeReferralReward } = require('../utils/referrals');
 
 // Helpers
-function getRazorpayInstance() {
-  const key_id = (process.env.RAZORPAY_KEY_ID || '').trim();
-  const key_secret = (process.env.RAZORPAY_KEY_SECRET || '').trim();
-  if (!key_id || !key_secret) throw new Error('Missing Razorpay credentials');
-  return new Razorpay({ key_id, key_secret });
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
 }
-function plusDays(baseDate, days) {
-  const ONE_DAY_MS = 24 * 60 * 60 * 1000;
-  return new Date(baseDate.getTime() + days * ONE_DAY_MS);
-}
-function getUtcMonthRange(now = new Date()) {
-  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0, 0));
-  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0, 0));
-  return { start, end };
+
+// The payment already counts, so a failed referral credit is only logged: the event is
+// still acknowledged and won't come back. The referral stays pending; an admin re-credits
+// it with POST /api/admin/referrals/:id/reward (rewardReferral is idempotent).
+async function creditReferrer(req, userId, paymentId, provider) {
+  try {
+    return await rewardReferral({ userId, paymentId, provider, req });
+  } catch (e) {
+    console.error('❌ Referral reward failed for payment', paymentId, 'of user', String(userId), e && e.message ? e.message : e);
+    return null;
+  }
 }
-function normalizePlanLabel(plan) {
-  const p = String(plan || '').toLowerCase();
-  if (['starter','pro','pro_plus'].includes(p)) return p;
-  if (p === 'premium') return 'starter';
-  return 'starter';
+
+async function revokeReferralCredit(req, paymentId, reason) {
+  try {
+    return await revokeReferralReward({ paymentId, reason, req });
+  } catch (e) {
+    console.error('❌ Referral revoke failed for payment', paymentId, e && e.message ? e.message : e);
+    return null;
+  }
 }
 
-// Use a raw body ONLY for this route to verify signature
-router.post(
-  '/',
-  express.raw({ type: 'application/json' }),
-  async (req, res) => {
+// subscription.* events. The subscription's own period (current_end) drives access;
+// halted/cancelled/completed only change the status, so the already-paid period is kept.
+async function handleSubscriptionEvent(req, payload) {
+  const event = payload.event;
+  const sub = payload?.payload?.subscription?.entity;
+  if (!sub || !sub.id) {
+    console.warn('[webhook] subscription event without entity:', event);
+    return { outcome: 'ignored', body: { ok: true, ignored: true } };
+  }
+
+  const notes = sub.notes || {};
+  let user = (notes.userId && mongoose.Types.ObjectId.isValid(notes.userId)) ? await User.findById(notes.userId) : null;
+  if (!user) user = await User.findOne({ razorpay_subscription_id: sub.id });
+  if (!user) {
+    console.warn('[webhook] No user for subscription:', sub.id);
+    return { outcome: 'no_user', body: { ok: true, noUser: true } };
+  }
+  // Deleting an account cancels its subscription; nothing may re-apply a plan to it
+  if (user.deletedAt) {
+    return { outcome: 'ignored', userId: user._id, body: { ok: true, ignored: true, deleted: true } };
+  }
+  // Late events from a subscription the user has since replaced
+  if (user.razorpay_subscription_id && user.razorpay_subscription_id !== sub.id) {
+    return { outcome: 'stale', userId: user._id, body: { ok: true, ignored: true, stale: true } };
+  }
+
+  // The plan id is authoritative: notes keep the original plan after a change-plan switch
+  const fromPlanId = planFromRazorpayPlanId(sub.plan_id);
+  const plan = normalizePlanLabel((fromPlanId && fromPlanId.plan) || notes.plan);
+  const billingCycle = normalizeCycle((fromPlanId && fromPlanId.billingCycle) || notes.billingCycle);
+
+  // Each charge is applied once (same store and claim flow as one-off payments)
+  const payment = payload?.payload?.payment?.entity;
+  const claimsCharge = event === 'subscription.charged' && payment && payment.id;
+  if (claimsCharge) {
     try {
-      const secret = (process.env.RAZORPAY_WEBHOOK_SECRET || '').trim();
-      if (!secret) {
-        console.error('[webhook] Missing RAZORPAY_WEBHOOK_SECRET');
-        return res.status(500).json({ ok: false, error: 'SERVER_MISCONFIG' });
+      await PaymentEvent.create({
+        paymentId: payment.id,
+        orderId: payment.order_id || null,
+        userId: user._id,
+        source: 'subscription',
+        plan,
+        billingCycle,
+        amount: payment.amount != null ? Number(payment.amount) : null,
+        currency: payment.currency || null,
+        status: 'processing'
+      });
+    } catch (e) {
+      if (isDuplicateKey(e)) {
+        await creditReferrer(req, user._id, payment.id, 'razorpay');
+        return { outcome: 'dedup', userId: user._id, body: { ok: true, dedup: true } };
       }
+      throw e;
+    }
+  }
 
-      const signature = req.get('x-razorpay-signature') || req.get('X-Razorpay-Signature');
-      const raw = req.body; // Buffer from express.raw
-      const computed = crypto.createHmac('sha256', secret).update(raw).digest('hex');
+  try {
+    return await applySubscriptionEvent(req, { event, sub, user, plan, billingCycle, payment, claimsCharge });
+  } catch (err) {
+    // Release the claim so the redelivered event can apply the charge
+    if (claimsCharge) await PaymentEvent.deleteOne({ paymentId: payment.id, status: 'processing' }).catch(() => {});
+    throw err;
+  }
+}
 
-      if (!signature || computed !== signature) {
-        console.warn('[webhook] Invalid signature');
-        return res.status(400).json({ ok: false, error: 'INVALID_SIGNATURE' });
-      }
+async function applySubscriptionEvent(req, { event, sub, user, plan, billingCycle, payment, claimsCharge }) {
+  const now = new Date();
+  const before = { ...planSnapshot(user), subscription_status: user.subscription_status };
+  let usageReset = null;
 
-      let payload;
-      try {
-        payload = JSON.parse(raw.toString('utf8'));
-      } catch (e) {
-        console.error('[webhook] Failed to parse JSON body');
-        return res.status(400).json({ ok: false, error: 'INVALID_JSON' });
+  switch (event) {
+    case 'subscription.authenticated':
+      if (!user.subscription_status || user.subscription_status === 'created') user.subscription_status = 'authenticated';
+      user.razorpay_subscription_id = sub.id;
+      break;
+    case 'subscription.activated':
+    case 'subscription.charged':
+    case 'subscription.updated':
+    case 'subscription.resumed': {
+      const paidUntil = fromUnix(sub.current_end) || addBillingPeriod(now, billingCycle);
+      const currentEnd = user.subscription_end ? new Date(user.subscription_end) : null;
+      user.razorpay_subscription_id = sub.id;
+      user.subscription_status = sub.status || 'active';
+      user.subscription_type = plan;
+      user.billing_cycle = billingCycle;
+      user.is_premium = true;
+      user.subscription_start = fromUnix(sub.current_start) || now;
+      // Never cut short time the user already paid for with a one-off order
+      user.subscription_end = (currentEnd && currentEnd > paidUntil) ? currentEnd : paidUntil;
+      // A scheduled downgrade has happened once the subscription runs on that plan
+      const scheduled = user.scheduled_plan_change;
+      if (scheduled && scheduled.plan === plan && scheduled.billing_cycle === billingCycle) {
+        user.scheduled_plan_change = undefined;
       }
+      endTrial(user, now);
+      if (event === 'subscription.charged') usageReset = resetCurrentMonthUsage(user, now);
+      break;
+    }
+    case 'subscription.pending':
+    case 'subscription.halted':
+    case 'subscription.paused':
+    case 'subscription.cancelled':
+    case 'subscription.completed':
+      user.subscription_status = sub.status || event.slice('subscription.'.length);
+      break;
+    default:
+      return { outcome: 'ignored', userId: user._id, body: { ok: true, ignored: true, event } };
+  }
 
-      // Only handle payment.captured
-      if (payload.event !== 'payment.captured') {
-        return res.status(200).json({ ok: true, ignored: true, event: payload.event });
-      }
+  await user.save();
+  if (claimsCharge) {
+    await PaymentEvent.updateOne({ paymentId: payment.id }, { $set: { status: 'applied', processedAt: new Date() } });
+  }
+  if (event === 'subscription.charged' && payment && payment.id && payment.amount != null) {
+    await issueInvoice({
+      user,
+      paymentId: payment.id,
+      orderId: payment.order_id || null,
+      subscriptionId: sub.id,
+      kind: 'subscription',
+      plan,
+      billingCycle,
+      amount: Number(payment.amount),
+      currency: payment.currency || 'INR',
+      periodStart: fromUnix(sub.current_start) || now,
+      periodEnd: fromUnix(sub.current_end) || user.subscription_end
+    });
+  }
+  if (claimsCharge) await creditReferrer(req, user._id, payment.id, 'razorpay');
+  recordAudit(req, {
+    action: `billing.${event.replace('.', '_')}`,
+    actor: { type: 'webhook' },
+    target: userTarget(user),
+    before,
+    after: { ...planSnapshot(user), subscription_status: user.subscription_status },
+    metadata: { provider: 'razorpay', event, subscriptionId: sub.id, paymentId: payment ? payment.id : null, plan, billingCycle }
+  });
 
-      const payment = payload?.payload?.payment?.entity;
-      const paymentId = payment?.id;
-      const orderId = payment?.order_id;
-      if (!paymentId || !orderId) {
-        console.warn('[webhook] Missing paymentId/orderId');
-        return res.status(200).json({ ok: true, ignored: true });
-      }
+  console.log('[webhook] subscription event applied:', { event, user: String(user._id), status: user.subscription_status });
+  return {
+    outcome: event === 'subscription.charged' ? 'activated' : 'applied',
+    userId: user._id,
+    body: {
+      ok: true,
+      event,
+      userId: String(user._id),
+      subscriptionId: sub.id,
+      status: user.subscription_status,
+      plan: user.subscription_type,
+      premium_expires_at: user.subscription_end || null,
+      usageReset: usageReset ? { period: { startUtcIso: usageReset.start.toISOString(), endUtcIso: usageReset.end.toISOString() } } : null
+    }
+  };
+}
 
-      // Idempotency: skip if this payment was already processed
-      try {
-        await PaymentEvent.create({ paymentId, orderId });
-      } catch (e) {
-        if (e && (e.code === 11000 || (e.message && e.message.includes('E11000')))) {
-          // Duplicate event, acknowledge
-          return res.status(200).json({ ok: true, dedup: true });
-        }
-        throw e;
-      }
+// Owner of a payment: our activation record first, then the userId notes we set on the
+// order (copied onto the payment, or fetched from the provider's order when asked to).
+async function findPaymentOwner(payment, { provider = null, fetchOrder = false } = {}) {
+  if (!payment) return null;
+  if (payment.id) {
+    const claimed = await PaymentEvent.findOne({ paymentId: payment.id }).select('userId').lean();
+    if (claimed && claimed.userId) {
+      const user = await User.findById(claimed.userId);
+      if (user) return user;
+    }
+  }
+  let userId = payment.notes && payment.notes.userId;
+  if (!userId && fetchOrder && provider && payment.order_id) {
+    try {
+      const order = await provider.fetchOrder(payment.order_id);
+      userId = order && order.notes && order.notes.userId;
+    } catch (e) {
+      console.warn('[webhook] fetchOrder failed while looking up payment owner:', e?.message || e);
+    }
+  }
+  return (userId && mongoose.Types.ObjectId.isValid(userId)) ? User.findById(userId) : null;
+}
 
-      // Fetch order to get notes.userId we set during create-order
-      const rzp = getRazorpayInstance();
-      let orderInfo;
-      try {
-        orderInfo = await rzp.orders.fetch(orderId);
-      } catch (e) {
-        console.error('[webhook] orders.fetch failed:', e?.message || e);
-        return res.status(200).json({ ok: true, fetchOrderFailed: true });
-      }
+// payment.captured for one-off orders
+async function handlePaymentCaptured(req, payload, provider) {
+  const payment = payload?.payload?.payment?.entity;
+  const paymentId = payment?.id;
+  const orderId = payment?.order_id;
+  if (!paymentId || !orderId) {
+    console.warn('[webhook] Missing paymentId/orderId');
+    return { outcome: 'ignored', body: { ok: true, ignored: true } };
+  }
+  // Subscription charges also fire payment.captured; they're applied via subscription.charged
+  if (payment.invoice_id) {
+    return { outcome: 'ignored', body: { ok: true, ignored: true, subscriptionPayment: true } };
+  }
 
-      const userId = orderInfo?.notes?.userId;
-      // Insert: extract plan/billingCycle from notes
-      const planRaw = orderInfo?.notes?.plan || 'starter';
-      const plan = normalizePlanLabel(planRaw);
-      const billingCycle = orderInfo?.notes?.billingCycle || 'monthly'; // reserved
+  // Fetch order to get the notes we set during create-order (plan, cycle, userId, amount)
+  let orderInfo;
+  try {
+    orderInfo = await provider.fetchOrder(orderId);
+  } catch (e) {
+    console.error('[webhook] fetchOrder failed:', e?.message || e);
+    // Provider hiccup: answer 5xx so the payment is redelivered and activated then
+    return { outcome: 'error', error: 'ORDER_FETCH_FAILED', status: 503, body: { ok: false, fetchOrderFailed: true } };
+  }
 
-      if (!userId) {
-        console.warn('[webhook] No userId in order notes');
-        return res.status(200).json({ ok: true, noUser: true });
-      }
+  // Same idempotent routine as /api/billing/verify: whichever runs first activates
+  let result;
+  try {
+    result = await activateOrderPayment({
+      order: orderInfo,
+      payment: { id: paymentId, amount: payment.amount, currency: payment.currency },
+      source: 'webhook',
+      provider: provider.name,
+      req
+    });
+  } catch (e) {
+    if (e instanceof ActivationError) {
+      console.warn('[webhook] payment not activated:', { code: e.code, message: e.message, paymentId, orderId });
+      return { outcome: 'rejected', error: e.code, body: { ok: true, activated: false, error: e.code } };
+    }
+    throw e;
+  }
+  // Whichever of /verify and this event activated it, the capture is the referred user's payment
+  if (!result.voucher) await creditReferrer(req, result.user._id, paymentId, provider.name);
+  if (result.duplicate) {
+    // Duplicate event (or /verify got there first), acknowledge
+    return { outcome: 'dedup', userId: result.user._id, body: { ok: true, dedup: true } };
+  }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        console.warn('[webhook] User not found:', userId);
-        return res.status(200).json({ ok: true, noUser: true });
-      }
+  if (result.voucher) {
+    return {
+      outcome: 'gift_created',
+      userId: result.user._id,
+      body: { ok: true, activated: true, gift: true, plan: result.plan, billingCycle: result.billingCycle, userId: String(result.user._id), paymentId }
+    };
+  }
 
-      // Activate premium for 30 days (extend if already active)
-      const now = new Date();
-      const hasActivePaid =
-        (user.subscription_type && user.subscription_type !== 'free') &&
-        user.subscription_end && new Date(user.subscription_end) > now;
-      const base = hasActivePaid ? new Date(user.subscription_end) : now;
-      const newEnd = plusDays(base, 30);
-
-      // Replace activation block with plan-aware activation + BOTH resets
-      // (old code setting 'premium' and clearing only downloads is removed)
-      user.subscription_type = plan; // 'starter' | 'pro' | 'pro_plus'
-      user.is_premium = true;
-      user.subscription_start = now;
-      user.subscription_end = newEnd;
-
-      // Fresh counters for current UTC month
-      const { start, end } = getUtcMonthRange(now);
-      user.downloads = (user.downloads || []).filter(d => {
-        const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
-        return !(dt && dt >= start && dt < end);
-      });
-      user.aiQueries = (user.aiQueries || []).filter(q => {
-        const t = q && q.at ? new Date(q.at) : null;
-        return !(t && t >= start && t < end);
-      });
-      await user.save();
+  const { start, end } = result.usageReset;
+  return {
+    outcome: 'activated',
+    userId: result.user._id,
+    body: {
+      ok: true,
+      activated: true,
+      plan: result.plan,
+      billingCycle: result.billingCycle,
+      userId: String(result.user._id),
+      paymentId,
+      usageReset: { period: { startUtcIso: start.toISOString(), endUtcIso: end.toISOString() } }
+    }
+  };
+}
 
-      // Updated response includes plan and usage reset period
-      return res.status(200).json({
-        ok: true,
-        activated: true,
-        plan,
-        userId: String(user._id),
-        paymentId,
-        usageReset: { period: { startUtcIso: start.toISOString(), endUtcIso: end.toISOString() } }
+// payment.failed: nothing to undo, but support needs to see it on the user's timeline
+async function handlePaymentFailed(req, payload, provider) {
+  const payment = payload?.payload?.payment?.entity;
+  if (!payment || !payment.id) return { outcome: 'ignored', body: { ok: true, ignored: true } };
+
+  const user = await findPaymentOwner(payment, { provider, fetchOrder: true });
+  console.warn('[webhook] payment failed:', {
+    paymentId: payment.id,
+    orderId: payment.order_id || null,
+    user: user ? String(user._id) : null,
+    code: payment.error_code || null,
+    reason: payment.error_reason || null
+  });
+  if (!user) return { outcome: 'no_user', body: { ok: true, recorded: true, noUser: true } };
+
+  recordAudit(req, {
+    action: 'billing.payment_failed',
+    actor: { type: 'webhook' },
+    target: userTarget(user),
+    metadata: {
+      provider: provider.name,
+      paymentId: payment.id,
+      orderId: payment.order_id || null,
+      amount: payment.amount != null ? Number(payment.amount) : null,
+      method: payment.method || null,
+      errorCode: payment.error_code || null,
+      errorDescription: payment.error_description || null
+    }
+  });
+  return { outcome: 'recorded', userId: user._id, body: { ok: true, recorded: true } };
+}
+
+// refund.processed: a full refund takes back the period the payment granted;
+// partial refunds are only recorded (support adjusts access by hand if needed).
+async function handleRefundProcessed(req, payload, provider) {
+  const refund = payload?.payload?.refund?.entity;
+  const payment = payload?.payload?.payment?.entity || null;
+  const paymentId = refund?.payment_id || payment?.id;
+  if (!refund || !paymentId) return { outcome: 'ignored', body: { ok: true, ignored: true } };
+
+  const user = await findPaymentOwner(payment || { id: paymentId });
+  const paidAmount = payment && payment.amount != null ? Number(payment.amount) : null;
+  const refundedAmount = payment && payment.amount_refunded != null ? Number(payment.amount_refunded) : Number(refund.amount || 0);
+  const fullRefund = Boolean(payment) && (payment.refund_status === 'full' || (paidAmount != null && refundedAmount >= paidAmount));
+
+  await PaymentEvent.updateOne({ paymentId }, { $max: { refundedAmount } });
+  await markInvoiceRefunded(paymentId, refundedAmount);
+
+  if (!fullRefund) {
+    if (user) {
+      recordAudit(req, {
+        action: 'billing.refund_partial',
+        actor: { type: 'webhook' },
+        target: userTarget(user),
+        metadata: { provider: provider.name, paymentId, refundId: refund.id, amount: Number(refund.amount || 0), refundedAmount, paidAmount }
       });
-    } catch (err) {
-      console.error('POST /api/billing/webhook error:', err && err.stack ? err.stack : err);
-      // Respond 200 to avoid Razorpay retry storms; log the error for investigation.
-      return res.status(200).json({ ok: false });
     }
+    return { outcome: 'partial_refund', userId: user ? user._id : null, body: { ok: true, refund: 'partial' } };
+  }
+
+  const reversal = await reversePaymentPeriod({
+    paymentId,
+    reason: 'refund',
+    req,
+    metadata: { refundId: refund.id, amount: Number(refund.amount || 0) }
+  });
+  await revokeReferralCredit(req, paymentId, 'refund');
+  const owner = reversal.user || user;
+  return {
+    outcome: reversal.reversed ? (reversal.revoked ? 'access_revoked' : 'period_shortened') : 'refunded',
+    userId: owner ? owner._id : null,
+    body: {
+      ok: true,
+      refund: 'full',
+      reversed: reversal.reversed,
+      revoked: reversal.revoked,
+      premium_expires_at: reversal.user ? reversal.user.subscription_end || null : undefined
+    }
+  };
+}
+
+function flagSnapshot(user) {
+  const f = (user && user.billing_flag) || {};
+  return { active: Boolean(f.active), dispute_id: f.dispute_id || null, status: f.status || null };
+}
+
+// payment.dispute.*: any open dispute flags the account. Winning clears the flag;
+// losing keeps it and takes back the disputed payment's period like a full refund.
+async function handleDisputeEvent(req, payload, provider) {
+  const event = payload.event;
+  const dispute = payload?.payload?.dispute?.entity;
+  if (!dispute || !dispute.payment_id) return { outcome: 'ignored', body: { ok: true, ignored: true } };
+
+  const user = await findPaymentOwner(payload?.payload?.payment?.entity || { id: dispute.payment_id });
+  if (!user) {
+    console.warn('[webhook] No user for disputed payment:', dispute.payment_id);
+    return { outcome: 'no_user', body: { ok: true, noUser: true } };
+  }
+
+  const phase = event.slice('payment.dispute.'.length); // created | won | lost | closed | under_review | action_required
+  const status = dispute.status || phase;
+  const now = new Date();
+  const flag = user.billing_flag || {};
+  const sameDispute = flag.dispute_id === dispute.id;
+  const before = flagSnapshot(user);
+
+  if (phase === 'won' || phase === 'closed') {
+    // Only the dispute that raised the flag can clear it; a closed-after-lost dispute stays flagged
+    if (sameDispute) {
+      user.billing_flag.status = status;
+      if (phase === 'won' || flag.status !== 'lost') {
+        user.billing_flag.active = false;
+        user.billing_flag.resolved_at = now;
+      }
+    }
+  } else {
+    user.billing_flag = {
+      active: true,
+      reason: 'dispute',
+      dispute_id: dispute.id,
+      payment_id: dispute.payment_id,
+      status,
+      flagged_at: (sameDispute && flag.flagged_at) ? flag.flagged_at : now,
+      resolved_at: null
+    };
+  }
+  await user.save();
+
+  let reversal = null;
+  if (phase === 'lost') {
+    reversal = await reversePaymentPeriod({
+      paymentId: dispute.payment_id,
+      reason: 'dispute_lost',
+      req,
+      metadata: { disputeId: dispute.id, amount: dispute.amount != null ? Number(dispute.amount) : null }
+    });
+    await revokeReferralCredit(req, dispute.payment_id, 'dispute_lost');
+  }
+
+  recordAudit(req, {
+    action: `billing.dispute_${phase}`,
+    actor: { type: 'webhook' },
+    target: userTarget(user),
+    before: { billing_flag: before },
+    after: { billing_flag: flagSnapshot(user) },
+    metadata: {
+      provider: provider.name,
+      disputeId: dispute.id,
+      paymentId: dispute.payment_id,
+      amount: dispute.amount != null ? Number(dispute.amount) : null,
+      reasonCode: dispute.reason_code || null
+    }
+  });
+  console.warn('⚠️ Payment dispute:', { event, user: String(user._id), disputeId: dispute.id, flagged: Boolean(user.billing_flag && user.billing_flag.active) });
+
+  return {
+    outcome: reversal && reversal.reversed ? (reversal.revoked ? 'access_revoked' : 'period_shortened') : (user.billing_flag.active ? 'flagged' : 'unflagged'),
+    userId: user._id,
+    body: { ok: true, event, flagged: Boolean(user.billing_flag.active), reversed: reversal ? reversal.reversed : false }
+  };
+}
+
+// Every handler returns { outcome, userId?, error?, status?, body }; body is the HTTP response,
+// sent with status (200 unless set). Anything that may work on a later try answers 5xx so
+// the provider redelivers; definitive rejects and duplicates answer 200.
+// payload is in the Razorpay shape; other providers translate into it (utils/paymentProviders.js).
+async function dispatchWebhookEvent(req, payload, provider) {
+  const event = String(payload.event || '');
+  // Recurring subscriptions only exist on Razorpay
+  if (event.startsWith('subscription.')) {
+    if (provider.name !== 'razorpay') return { outcome: 'ignored', body: { ok: true, ignored: true, event } };
+    return handleSubscriptionEvent(req, payload);
+  }
+  if (event.startsWith('payment.dispute.')) return handleDisputeEvent(req, payload, provider);
+  switch (event) {
+    case 'payment.captured': return handlePaymentCaptured(req, payload, provider);
+    case 'payment.failed': return handlePaymentFailed(req, payload, provider);
+    case 'refund.processed': return handleRefundProcessed(req, payload, provider);
+    default: return { outcome: 'ignored', body: { ok: true, ignored: true, event: payload.event } };
   }
-);
+}
+
+// Record, dedupe and apply one verified event. Returns the handler's result
+// ({ outcome, userId?, error?, status?, body }). Also used by the sandbox, which has no webhook sender.
+async function processWebhookPayload(req, provider, { eventId = null, payload }) {
+  // Timeline entry first; a redelivered event id has already been handled
+  let opened = { duplicate: false, entry: null };
+  try {
+    opened = await openBillingEvent(payload, eventId, provider.name);
+  } catch (e) {
+    // The timeline must never block an activation
+    console.error('[webhook] failed to record billing event:', e?.message || e);
+  }
+  if (opened.duplicate) {
+    return { outcome: 'dedup', body: { ok: true, dedup: true, eventId } };
+  }
+
+  let result;
+  try {
+    result = await dispatchWebhookEvent(req, payload, provider);
+  } catch (err) {
+    await closeBillingEvent(opened.entry, { outcome: 'error', error: err && err.message ? err.message : String(err) });
+    throw err;
+  }
+  await closeBillingEvent(opened.entry, { outcome: result.outcome, userId: result.userId, error: result.error });
+  return result;
+}
+
+function webhookHandler(providerName) {
+  return async (req, res) => {
+    let provider;
+    try {
+      provider = getPaymentProvider(providerName || req.params.provider);
+    } catch (e) {
+      return res.status(404).json({ ok: false, error: 'UNKNOWN_PROVIDER' });
+    }
+    // Unconfigured providers (the sandbox outside development) don't take events
+    if (!provider.isConfigured()) return res.status(404).json({ ok: false, error: 'UNKNOWN_PROVIDER' });
+    try {
+      let parsed;
+      try {
+        parsed = provider.parseWebhook(req);
+      } catch (e) {
+        if (e instanceof PaymentProviderError) {
+          console.warn(`[webhook] ${provider.name} rejected:`, e.code);
+          return res.status(e.status).json({ ok: false, error: e.code });
+        }
+        throw e;
+      }
+      // Signed, but an event type we don't use
+      if (!parsed) return res.status(200).json({ ok: true, ignored: true });
+
+      const result = await processWebhookPayload(req, provider, parsed);
+      return res.status(result.status || 200).json(result.body);
+    } catch (err) {
+      console.error(`POST /api/billing/webhook (${provider.name}) error:`, err && err.stack ? err.stack : err);
+      // 5xx so the provider redelivers: the event id was freed and any payment claim released
+      return res.status(500).json({ ok: false });
+    }
+  };
+}
+
+// Use a raw body ONLY for these routes to verify signatures.
+// Razorpay posts to /api/billing/webhook; other providers to /api/billing/webhook/<provider>.
+router.post('/', express.raw({ type: 'application/json' }), webhookHandler('razorpay'));
+router.post('/:provider', express.raw({ type: 'application/json' }), webhookHandler(null));
 
 module.exports = router;
+module.exports.processWebhookPayload = processWebhookPayload;
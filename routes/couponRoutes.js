@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { requirePermission } = require('../middleware/roles');
+const { recordAudit } = require('../utils/audit');
+const { normalizeCode } = require('../utils/coupons');
+const { paidPlanIds } = require('../utils/plans');
+const { SUPPORTED_CURRENCIES, normalizeCurrency } = require('../utils/currency');
+
+const CYCLES = ['monthly', 'annual'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Fields an admin can set. `partial` skips required-field checks (PATCH).
+// Returns { ok, fields } or { ok: false, error, message }.
+function readCouponInput(body, { partial = false } = {}) {
+  const b = body || {};
+  const fields = {};
+  const fail = (error, message) => ({ ok: false, error, message });
+
+  if (!partial || b.code !== undefined) {
+    const code = normalizeCode(b.code);
+    if (!CODE_PATTERN.test(code)) return fail('INVALID_CODE', 'code must be 3–32 letters, digits, - or _');
+    fields.code = code;
+  }
+  if (!partial || b.type !== undefined) {
+    if (!['percent', 'flat'].includes(b.type)) return fail('INVALID_TYPE', "type must be 'percent' or 'flat'");
+    fields.type = b.type;
+  }
+  if (!partial || b.value !== undefined) {
+    const value = Number(b.value);
+    const type = fields.type || b.type;
+    if (!Number.isFinite(value) || value <= 0) return fail('INVALID_VALUE', 'value must be a positive number');
+    if (type === 'percent' && value > 100) return fail('INVALID_VALUE', 'percent value must be 1–100');
+    fields.value = type === 'flat' ? Math.floor(value) : value; // flat values are minor units
+  }
+  if (b.currency !== undefined) {
+    const currency = normalizeCurrency(b.currency);
+    if (!currency) return fail('INVALID_CURRENCY', `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    fields.currency = currency;
+  }
+  if (b.description !== undefined) fields.description = String(b.description || '').slice(0, 200);
+  if (b.plans !== undefined) {
+    const plans = Array.isArray(b.plans) ? b.plans.map(String) : [];
+    const known = paidPlanIds();
+    if (plans.some(p => !known.includes(p))) return fail('INVALID_PLANS', `plans must be a subset of: ${known.join(', ')}`);
+    fields.plans = plans;
+  }
+  if (b.billingCycles !== undefined) {
+    const cycles = Array.isArray(b.billingCycles) ? b.billingCycles.map(String) : [];
+    if (cycles.some(c => !CYCLES.includes(c))) return fail('INVALID_BILLING_CYCLES', `billingCycles must be a subset of: ${CYCLES.join(', ')}`);
+    fields.billingCycles = cycles;
+  }
+  for (const key of ['maxRedemptions', 'perUserLimit']) {
+    if (b[key] === undefined) continue;
+    if (b[key] === null) { fields[key] = null; continue; }
+    const n = parseInt(b[key], 10);
+    if (!Number.isFinite(n) || n < 1) return fail('INVALID_LIMIT', `${key} must be a positive integer or null`);
+    fields[key] = n;
+  }
+  for (const key of ['startsAt', 'expiresAt']) {
+    if (b[key] === undefined) continue;
+    if (b[key] === null) { fields[key] = null; continue; }
+    const d = new Date(b[key]);
+    if (Number.isNaN(d.getTime())) return fail('INVALID_DATE', `${key} must be an ISO date`);
+    fields[key] = d;
+  }
+  if (b.firstPurchaseOnly !== undefined) fields.firstPurchaseOnly = Boolean(b.firstPurchaseOnly);
+  if (b.active !== undefined) fields.active = Boolean(b.active);
+  return { ok: true, fields };
+}
+
+function serializeCoupon(c) {
+  return {
+    id: String(c._id),
+    code: c.code,
+    description: c.description || '',
+    type: c.type,
+    value: c.value,
+    currency: c.currency || 'INR',
+    plans: c.plans || [],
+    billingCycles: c.billingCycles || [],
+    maxRedemptions: c.maxRedemptions,
+    perUserLimit: c.perUserLimit,
+    firstPurchaseOnly: Boolean(c.firstPurchaseOnly),
+    startsAt: c.startsAt,
+    expiresAt: c.expiresAt,
+    active: Boolean(c.active),
+    redeemedCount: c.redeemedCount || 0,
+    reservedCount: c.reservedCount || 0,
+    createdAt: c.createdAt
+  };
+}
+
+function couponTarget(c) {
+  return { type: 'coupon', id: String(c._id), label: c.code };
+}
+
+// GET /api/admin/coupons?active=true
+router.get('/', requirePermission('billing:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+    return res.json({ items: coupons.map(serializeCoupon) });
+  } catch (err) {
+    console.error('GET /api/admin/coupons error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/coupons  { code, type, value, currency?, plans?, billingCycles?, maxRedemptions?,
+//                            perUserLimit?, firstPurchaseOnly?, startsAt?, expiresAt?, description? }
+router.post('/', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const input = readCouponInput(req.body);
+    if (!input.ok) return res.status(400).json({ error: input.error, message: input.message });
+
+    let coupon;
+    try {
+      coupon = await Coupon.create({ ...input.fields, createdBy: req.user._id });
+    } catch (e) {
+      if (e && e.code === 11000) return res.status(409).json({ error: 'CODE_TAKEN', message: `Coupon ${input.fields.code} already exists` });
+      throw e;
+    }
+    recordAudit(req, {
+      action: 'coupon.create',
+      target: couponTarget(coupon),
+      after: serializeCoupon(coupon)
+    });
+    return res.status(201).json({ ok: true, coupon: serializeCoupon(coupon) });
+  } catch (err) {
+    console.error('POST /api/admin/coupons error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/coupons/:id — code is fixed; type/value only until the first checkout uses it
+router.patch('/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'COUPON_NOT_FOUND' });
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ error: 'COUPON_NOT_FOUND' });
+
+    const body = { ...(req.body || {}) };
+    delete body.code;
+    if (body.type !== undefined && body.value === undefined) body.value = coupon.value;
+    if (body.value !== undefined && body.type === undefined) body.type = coupon.type;
+    const input = readCouponInput(body, { partial: true });
+    if (!input.ok) return res.status(400).json({ error: input.error, message: input.message });
+
+    const used = (coupon.redeemedCount || 0) + (coupon.reservedCount || 0);
+    const changesDiscount = (input.fields.type !== undefined && input.fields.type !== coupon.type) ||
+      (input.fields.value !== undefined && input.fields.value !== coupon.value) ||
+      (input.fields.currency !== undefined && input.fields.currency !== (coupon.currency || 'INR'));
+    if (used > 0 && changesDiscount) {
+      return res.status(409).json({ error: 'COUPON_IN_USE', message: 'The discount of a coupon that has been used cannot change; create a new code instead' });
+    }
+
+    const before = serializeCoupon(coupon);
+    coupon.set(input.fields);
+    await coupon.save();
+    recordAudit(req, {
+      action: 'coupon.update',
+      target: couponTarget(coupon),
+      before,
+      after: serializeCoupon(coupon)
+    });
+    return res.json({ ok: true, coupon: serializeCoupon(coupon) });
+  } catch (err) {
+    console.error('PATCH /api/admin/coupons/:id error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/coupons/:id/redemptions?status=redeemed
+router.get('/:id/redemptions', requirePermission('billing:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'COUPON_NOT_FOUND' });
+    const filter = { coupon: req.params.id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const rows = await CouponRedemption.find(filter).sort({ _id: -1 }).limit(500)
+      .populate('user', 'email name').lean();
+    return res.json({
+      items: rows.map(r => ({
+        id: String(r._id),
+        status: r.status,
+        user: r.user ? { id: String(r.user._id), email: r.user.email || null, name: r.user.name || null } : null,
+        orderId: r.orderId,
+        paymentId: r.paymentId,
+        plan: r.plan,
+        billingCycle: r.billingCycle,
+        currency: r.currency || 'INR',
+        pricePaise: r.pricePaise,
+        discountPaise: r.discountPaise,
+        createdAt: r.createdAt,
+        redeemedAt: r.redeemedAt
+      }))
+    });
+  } catch (err) {
+    console.error('GET /api/admin/coupons/:id/redemptions error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Song = require('../models/Song'); // minimal model (strict:false), collection: 'songs'
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Node 18+ has global fetch. If you use older Node locally, install node-fetch and require it.
 
@@ -31,7 +32,7 @@ function sanitizeFilename(name, extFromUrl) {
   return `${base.toUpperCase()}${finalExt}`;
 }
 
-router.get('/song/:songId', async (req, res) => {
+router.get('/song/:songId', rateLimit('fileProxy'), async (req, res) => {
   try {
     const { songId } = req.params;
 
@@ -2,12 +2,18 @@ const express = require('express');
 const router = express.Router();
 const License = require('../models/License');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { getLoggedInUserId, apiKeyAuth } = require('../middleware/auth');
+const { hasPermission, requirePermission } = require('../middleware/roles');
+const { recordAudit } = require('../utils/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { isPaidPlanActive, isPlanLapsed, expireLapsedPlanInBackground } = require('../utils/planExpiry');
 
 const DEV_MODE = (process.env.NODE_ENV !== 'production') && (process.env.ENABLE_DEV_ROUTES === 'true');
 
 // Public: GET /api/license/verify?id=VARA-XXXX-XXXX
 // Returns license details if found, including current subscription status of the license holder.
-router.get('/verify', async (req, res) => {
+router.get('/verify', rateLimit('licenseVerify'), async (req, res) => {
   try {
     const id = String(req.query.id || '').trim().toUpperCase();
     const license = await License.findOne({
@@ -20,12 +26,20 @@ router.get('/verify', async (req, res) => {
       });
     }
 
-    // Determine current subscription status from the user now
+    // Determine current subscription status from the user now; team licenses are also
+    // covered by the organization's plan (its owner's) while the organization exists
     let subscriptionStatus = 'Inactive';
     try {
-      const user = await User.findById(license.user).lean();
-      if (user && (user.subscription_type === 'premium' || user.is_premium)) {
-        subscriptionStatus = 'Active';
+      const org = license.organization ? await Organization.findById(license.organization).select('owner').lean() : null;
+      const holderIds = org ? [license.user, org.owner] : [license.user];
+      for (const id of holderIds) {
+        const user = await User.findById(id).lean();
+        if (user && isPaidPlanActive(user)) {
+          subscriptionStatus = 'Active';
+          break;
+        } else if (user && isPlanLapsed(user)) {
+          expireLapsedPlanInBackground(user);
+        }
       }
     } catch (e) {
       // If user lookup fails, keep default "Inactive"
@@ -36,12 +50,14 @@ router.get('/verify', async (req, res) => {
       message: '✅ License Found',
       licenseId: license.license_id || license.licenseId,
       issuedTo: license.issuedToEmail,
+      issuedToName: license.issuedToName || null,
       subscriptionStatus,
       validFor: license.validFor,
       songTitle: license.songTitle,
       issuedAtUtcIso: new Date(license.issuedAt).toISOString(),
       licenseType: license.licenseType,
       planAtIssue: license.planAtIssue,
+      holderAccountClosed: Boolean(license.holderDeletedAt),
       status: license.isRevoked ? 'revoked' : 'valid'
     });
   } catch (err) {
@@ -54,14 +70,8 @@ router.get('/verify', async (req, res) => {
 router.post('/dev/backfill-license-id', async (req, res) => {
   if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
   try {
-    const token =
-      req.headers['x-admin-token'] ||
-      (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-      req.query.token ||
-      req.query.t;
-
-    if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+    if (!hasPermission(req.user, 'dev:tools')) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: 'Admin permission required' });
     }
 
     const docs = await License.find({
@@ -96,18 +106,12 @@ router.post('/dev/backfill-license-id', async (req, res) => {
   }
 });
 
-// DEV ONLY: POST /api/license/dev/fix-indexes?token=DEV_ADMIN_TOKEN
+// DEV ONLY: POST /api/license/dev/fix-indexes (admin)
 router.post('/dev/fix-indexes', async (req, res) => {
   if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
   try {
-    const token =
-      req.headers['x-admin-token'] ||
-      (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-      req.query.token ||
-      req.query.t;
-
-    if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+    if (!hasPermission(req.user, 'dev:tools')) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: 'Admin permission required' });
     }
 
     const indexes = await License.collection.indexes();
@@ -136,18 +140,12 @@ router.post('/dev/fix-indexes', async (req, res) => {
   }
 });
 
-function getLoggedInUserId(req) {
-  const candidate =
-    req.user ||
-    (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-  return typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
-}
-
 // Authenticated: GET /api/license/my?limit=100&skip=0
 // Returns the current user's license history (latest first).
-router.get('/my', async (req, res) => {
+// Also accepts a personal API key with the 'licenses:read' scope.
+router.get('/my', apiKeyAuth('licenses:read'), async (req, res) => {
   try {
-    // Require session auth
+    // Require session (or API key) auth
     if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
@@ -184,5 +182,53 @@ router.get('/my', async (req, res) => {
   }
 });
 
+// Admin: POST /api/license/admin/:id/revoke  { reason }
+//        POST /api/license/admin/:id/restore
+// /verify reports revoked licenses as status 'revoked'.
+async function setRevoked(req, res, revoke) {
+  try {
+    const id = String(req.params.id || '').trim().toUpperCase();
+    const license = await License.findOne({ $or: [{ license_id: id }, { licenseId: id }] });
+    if (!license) return res.status(404).json({ error: 'LICENSE_NOT_FOUND' });
+
+    const before = { isRevoked: Boolean(license.isRevoked), revokedReason: license.revokedReason || null };
+    if (revoke) {
+      const reason = String((req.body && req.body.reason) || '').trim().slice(0, 500);
+      if (!reason) return res.status(400).json({ error: 'MISSING_REASON', message: 'reason is required' });
+      license.isRevoked = true;
+      license.revokedAt = new Date();
+      license.revokedReason = reason;
+    } else {
+      license.isRevoked = false;
+      license.revokedAt = null;
+      license.revokedReason = null;
+    }
+    await license.save();
+
+    recordAudit(req, {
+      action: revoke ? 'license.revoke' : 'license.restore',
+      target: { type: 'license', id: license.licenseId, label: license.songTitle || null },
+      before,
+      after: { isRevoked: license.isRevoked, revokedReason: license.revokedReason },
+      metadata: { userId: String(license.user) }
+    });
+
+    console.log(revoke ? '⛔ License revoked:' : '♻️ License restored:', { licenseId: license.licenseId, by: req.user.email });
+    return res.json({
+      ok: true,
+      licenseId: license.licenseId,
+      status: license.isRevoked ? 'revoked' : 'valid',
+      revokedAt: license.revokedAt,
+      revokedReason: license.revokedReason
+    });
+  } catch (err) {
+    console.error('POST /api/license/admin/:id error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+router.post('/admin/:id/revoke', requirePermission('licenses:manage'), (req, res) => setRevoked(req, res, true));
+router.post('/admin/:id/restore', requirePermission('licenses:manage'), (req, res) => setRevoked(req, res, false));
+
 module.exports = router;
 
@@ -0,0 +1,358 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const License = require('../models/License');
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const { recordAudit } = require('../utils/audit');
+const { getUtcMonthRange } = require('../utils/billing');
+const { getPlanName } = require('../utils/plans');
+const {
+  OrganizationError,
+  hasOrgPermission,
+  memberRole,
+  findOrganizationForUser,
+  ownerPlan,
+  seatUsage,
+  pooledUsage,
+  createOrganization,
+  inviteMember,
+  acceptInvitation,
+  removeMember,
+  changeMemberRole,
+  transferOwnership,
+  deleteOrganization
+} = require('../utils/organizations');
+
+// Organizations are managed from a signed-in session; personal API keys can't reach them
+function requireSessionUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+  if (req.authMethod === 'api_key') {
+    return res.status(403).json({ error: 'FORBIDDEN', message: 'API keys cannot manage organizations' });
+  }
+  return next();
+}
+
+router.use(requireSessionUser);
+
+// Loads req.organization for /:orgId routes; non-members get a 404, not a 403
+function orgPermission(permission) {
+  return async (req, res, next) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.orgId)) return res.status(404).json({ error: 'ORGANIZATION_NOT_FOUND' });
+      const org = await Organization.findById(req.params.orgId);
+      const role = memberRole(org, req.user._id);
+      if (!role) return res.status(404).json({ error: 'ORGANIZATION_NOT_FOUND' });
+      if (!hasOrgPermission(role, permission)) {
+        return res.status(403).json({ error: 'FORBIDDEN', message: `Missing organization permission: ${permission}` });
+      }
+      req.organization = org;
+      req.orgRole = role;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+function sendOrganizationError(res, e) {
+  if (e instanceof OrganizationError) return res.status(e.status).json({ error: e.code, message: e.message });
+  throw e;
+}
+
+// Members with their names and this month's usage
+async function serializeOrganization(org, role, { withUsage = false } = {}) {
+  const plan = await ownerPlan(org);
+  const seats = await seatUsage(org, { plan });
+  const pooled = seats.limit > 1;
+  const { start, end } = getUtcMonthRange();
+  const usage = withUsage || pooled ? await pooledUsage(org.members.map(m => m.user), { start, end }) : null;
+
+  const users = await User.find({ _id: { $in: org.members.map(m => m.user) } }).select('name email picture').lean();
+  const byId = new Map(users.map(u => [String(u._id), u]));
+  const usageById = new Map(((usage && usage.byMember) || []).map(r => [String(r.user), r]));
+
+  return {
+    id: String(org._id),
+    name: org.name,
+    role,
+    ownerId: String(org.owner),
+    plan: { id: plan.planId, name: getPlanName(plan.planId), pooled },
+    seats,
+    // Pooled quotas only exist on a team plan; otherwise each member has their own plan
+    quotas: pooled
+      ? {
+          downloads: { monthlyLimit: plan.downloads, usedThisMonth: usage.downloads, remaining: Math.max(0, plan.downloads - usage.downloads) },
+          ai: { monthlyLimit: plan.ai, usedThisMonth: usage.ai, remaining: Math.max(0, plan.ai - usage.ai) },
+          period: { startUtcIso: start.toISOString(), endUtcIso: end.toISOString() }
+        }
+      : null,
+    members: org.members.map((m) => {
+      const u = byId.get(String(m.user)) || {};
+      const row = {
+        userId: String(m.user),
+        name: u.name || null,
+        email: u.email || null,
+        picture: u.picture || null,
+        role: m.role,
+        joinedAt: m.joinedAt
+      };
+      if (withUsage) {
+        const used = usageById.get(String(m.user)) || { downloads: 0, ai: 0 };
+        row.usageThisMonth = { downloads: used.downloads, ai: used.ai };
+      }
+      return row;
+    }),
+    createdAt: org.createdAt
+  };
+}
+
+function serializeInvitation(i) {
+  return {
+    id: String(i._id),
+    email: i.email,
+    role: i.role,
+    status: i.status,
+    invitedBy: i.invitedBy ? String(i.invitedBy) : null,
+    expiresAt: i.expiresAt,
+    createdAt: i.createdAt
+  };
+}
+
+// POST /api/organizations  { name } — the creator becomes the owner
+router.post('/', async (req, res) => {
+  try {
+    let org;
+    try {
+      org = await createOrganization(req.user, req.body && req.body.name, { req });
+    } catch (e) {
+      return sendOrganizationError(res, e);
+    }
+    return res.status(201).json({ ok: true, organization: await serializeOrganization(org, 'owner') });
+  } catch (err) {
+    console.error('POST /api/organizations error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/organizations/mine — the caller's organization (or null), with seats and pooled quotas
+router.get('/mine', async (req, res) => {
+  try {
+    const org = await findOrganizationForUser(req.user._id);
+    if (!org) return res.json({ organization: null });
+    const role = memberRole(org, req.user._id);
+    return res.json({ organization: await serializeOrganization(org, role, { withUsage: hasOrgPermission(role, 'usage:read') }) });
+  } catch (err) {
+    console.error('GET /api/organizations/mine error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/organizations/invitations/accept  { token } — from the emailed link
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const token = String((req.body && req.body.token) || '').trim();
+    if (!token) return res.status(400).json({ error: 'MISSING_TOKEN', message: 'token is required' });
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+
+    let org;
+    try {
+      org = await acceptInvitation(user, token, { req });
+    } catch (e) {
+      return sendOrganizationError(res, e);
+    }
+    return res.json({ ok: true, organization: await serializeOrganization(org, memberRole(org, user._id)) });
+  } catch (err) {
+    console.error('POST /api/organizations/invitations/accept error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/organizations/:orgId  { name }
+router.patch('/:orgId', orgPermission('org:update'), async (req, res) => {
+  try {
+    const org = req.organization;
+    const name = String((req.body && req.body.name) || '').trim();
+    if (!name || name.length > 80) return res.status(400).json({ error: 'INVALID_NAME', message: 'name must be 1–80 characters' });
+
+    const before = { name: org.name };
+    org.name = name;
+    await org.save();
+    recordAudit(req, {
+      action: 'org.update',
+      target: { type: 'organization', id: String(org._id), label: org.name },
+      before,
+      after: { name }
+    });
+    return res.json({ ok: true, organization: await serializeOrganization(org, req.orgRole) });
+  } catch (err) {
+    console.error('PATCH /api/organizations/:orgId error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/organizations/:orgId — members go back to their own plans; licenses stay valid
+router.delete('/:orgId', orgPermission('org:delete'), async (req, res) => {
+  try {
+    await deleteOrganization(req.organization, { req });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/organizations/:orgId error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/organizations/:orgId/invitations — pending ones
+router.get('/:orgId/invitations', orgPermission('members:invite'), async (req, res) => {
+  try {
+    const items = await OrganizationInvitation.find({
+      organization: req.organization._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 }).lean();
+    return res.json({ items: items.map(serializeInvitation) });
+  } catch (err) {
+    console.error('GET /api/organizations/:orgId/invitations error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/organizations/:orgId/invitations  { email, role?: 'member' | 'admin' }
+// Only the owner can invite admins. Each pending invitation holds a seat.
+router.post('/:orgId/invitations', orgPermission('members:invite'), async (req, res) => {
+  try {
+    const role = String((req.body && req.body.role) || 'member').toLowerCase();
+    if (role === 'admin' && !hasOrgPermission(req.orgRole, 'roles:manage')) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: 'Only the owner can invite admins' });
+    }
+    let result;
+    try {
+      result = await inviteMember(req.organization, req.user, { email: req.body && req.body.email, role }, { req });
+    } catch (e) {
+      return sendOrganizationError(res, e);
+    }
+    return res.status(201).json({ ok: true, invitation: serializeInvitation(result.invitation) });
+  } catch (err) {
+    console.error('POST /api/organizations/:orgId/invitations error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/organizations/:orgId/invitations/:invitationId
+router.delete('/:orgId/invitations/:invitationId', orgPermission('members:invite'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) return res.status(404).json({ error: 'INVITATION_NOT_FOUND' });
+    const invitation = await OrganizationInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, organization: req.organization._id, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) return res.status(404).json({ error: 'INVITATION_NOT_FOUND' });
+    recordAudit(req, {
+      action: 'org.invite_revoke',
+      target: { type: 'organization', id: String(req.organization._id), label: req.organization.name },
+      metadata: { invitationId: String(invitation._id), email: invitation.email }
+    });
+    return res.json({ ok: true, invitation: serializeInvitation(invitation) });
+  } catch (err) {
+    console.error('DELETE /api/organizations/:orgId/invitations/:invitationId error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/organizations/:orgId/members/:userId  { role: 'admin' | 'member' }
+router.patch('/:orgId/members/:userId', orgPermission('roles:manage'), async (req, res) => {
+  try {
+    const role = String((req.body && req.body.role) || '').toLowerCase();
+    let org;
+    try {
+      org = await changeMemberRole(req.organization, req.params.userId, role, { req });
+    } catch (e) {
+      return sendOrganizationError(res, e);
+    }
+    return res.json({ ok: true, organization: await serializeOrganization(org, req.orgRole) });
+  } catch (err) {
+    console.error('PATCH /api/organizations/:orgId/members/:userId error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/organizations/:orgId/members/:userId — remove a member, or leave (your own id)
+router.delete('/:orgId/members/:userId', orgPermission('org:read'), async (req, res) => {
+  try {
+    let org;
+    try {
+      org = await removeMember(req.organization, req.user, req.params.userId, { req });
+    } catch (e) {
+      return sendOrganizationError(res, e);
+    }
+    const leaving = String(req.user._id) === String(req.params.userId);
+    return res.json({ ok: true, organization: leaving ? null : await serializeOrganization(org, req.orgRole) });
+  } catch (err) {
+    console.error('DELETE /api/organizations/:orgId/members/:userId error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/organizations/:orgId/transfer  { userId } — the new owner's plan must cover the team
+router.post('/:orgId/transfer', orgPermission('org:transfer'), async (req, res) => {
+  try {
+    let org;
+    try {
+      // Keep the cookie session making the transfer; the previous owner's other devices sign out
+      const exceptSid = (!req.authMethod && req.sessionID) ? req.sessionID : null;
+      org = await transferOwnership(req.organization, req.body && req.body.userId, { req, exceptSid });
+    } catch (e) {
+      return sendOrganizationError(res, e);
+    }
+    return res.json({ ok: true, organization: await serializeOrganization(org, memberRole(org, req.user._id)) });
+  } catch (err) {
+    console.error('POST /api/organizations/:orgId/transfer error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/organizations/:orgId/licenses?limit=100&skip=0&memberId=
+// Every license issued while the holder was in this organization (latest first)
+router.get('/:orgId/licenses', orgPermission('licenses:read'), async (req, res) => {
+  try {
+    const limitRaw = parseInt(req.query.limit, 10);
+    const skipRaw = parseInt(req.query.skip, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(200, Math.max(1, limitRaw)) : 100;
+    const skip = Number.isFinite(skipRaw) ? Math.max(0, skipRaw) : 0;
+
+    const filter = { organization: req.organization._id };
+    if (req.query.memberId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.memberId)) return res.status(400).json({ error: 'INVALID_ID' });
+      filter.user = req.query.memberId;
+    }
+
+    const [docs, total] = await Promise.all([
+      License.find(filter).sort({ issuedAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      License.countDocuments(filter)
+    ]);
+    const items = docs.map((doc) => {
+      const issuedAt = doc.issuedAt || doc.createdAt || null;
+      return {
+        licenseId: doc.license_id || doc.licenseId || '',
+        songTitle: doc.songTitle || '',
+        songId: doc.songId || null,
+        issuedToName: doc.issuedToName || null,
+        issuedToEmail: doc.issuedToEmail || null,
+        userId: String(doc.user),
+        issuedAtUtcIso: issuedAt ? new Date(issuedAt).toISOString() : null,
+        planAtIssue: doc.planAtIssue || null,
+        status: doc.isRevoked ? 'revoked' : 'valid'
+      };
+    });
+    return res.json({ items, count: items.length, total });
+  } catch (err) {
+    console.error('GET /api/organizations/:orgId/licenses error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
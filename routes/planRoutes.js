@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const Plan = require('../models/Plan');
+const { requirePermission } = require('../middleware/roles');
+const { recordAudit } = require('../utils/audit');
+const { refreshPlans } = require('../utils/plans');
+const { SUPPORTED_CURRENCIES, normalizeCurrency } = require('../utils/currency');
+
+const KINDS = ['free', 'paid', 'trial'];
+const CYCLES = ['monthly', 'annual'];
+const PLAN_ID_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+function nonNegativeInt(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// Fields an admin can set. `partial` skips required-field checks (PATCH).
+// Returns { ok, fields } or { ok: false, error, message }.
+function readPlanInput(body, { partial = false } = {}) {
+  const b = body || {};
+  const fields = {};
+  const fail = (error, message) => ({ ok: false, error, message });
+
+  if (!partial || b.planId !== undefined) {
+    const planId = String(b.planId || '').trim().toLowerCase();
+    if (!PLAN_ID_PATTERN.test(planId)) return fail('INVALID_PLAN_ID', 'planId must be 2–32 lowercase letters, digits or _, starting with a letter');
+    fields.planId = planId;
+  }
+  if (!partial || b.name !== undefined) {
+    const name = String(b.name || '').trim();
+    if (!name || name.length > 60) return fail('INVALID_NAME', 'name must be 1–60 characters');
+    fields.name = name;
+  }
+  if (b.kind !== undefined) {
+    if (!KINDS.includes(b.kind)) return fail('INVALID_KIND', `kind must be one of: ${KINDS.join(', ')}`);
+    fields.kind = b.kind;
+  }
+  if (b.rank !== undefined) {
+    const rank = nonNegativeInt(b.rank);
+    if (rank === null) return fail('INVALID_RANK', 'rank must be a non-negative integer');
+    fields.rank = rank;
+  }
+  // prices: { INR: { monthly, annual }, ... } in minor units; replaces the whole map.
+  // Keep a currency with null prices to stop selling it: a default plan missing a currency
+  // gets the default price back on the next start (see backfillDefaultPrices)
+  if (b.prices !== undefined) {
+    if (!b.prices || typeof b.prices !== 'object' || Array.isArray(b.prices)) {
+      return fail('INVALID_PRICES', 'prices must be an object keyed by currency code');
+    }
+    const prices = {};
+    for (const [code, row] of Object.entries(b.prices)) {
+      const currency = normalizeCurrency(code);
+      if (!currency) return fail('INVALID_CURRENCY', `${code} is not supported; use one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+      const out = {};
+      for (const cycle of CYCLES) {
+        const raw = row && row[cycle];
+        if (raw == null) { out[cycle] = null; continue; }
+        const amount = nonNegativeInt(raw);
+        if (amount === null) return fail('INVALID_PRICES', `prices.${currency}.${cycle} must be a non-negative integer (minor units)`);
+        out[cycle] = amount;
+      }
+      prices[currency] = out;
+    }
+    fields.prices = prices;
+  }
+  if (b.quotas !== undefined) {
+    const q = b.quotas || {};
+    for (const key of ['ai', 'downloads']) {
+      if (q[key] === undefined && partial) continue;
+      const n = nonNegativeInt(q[key]);
+      if (n === null) return fail('INVALID_QUOTAS', `quotas.${key} must be a non-negative integer`);
+      fields[`quotas.${key}`] = n;
+    }
+  }
+  if (b.premiumAccess !== undefined) fields.premiumAccess = Boolean(b.premiumAccess);
+  if (b.seats !== undefined) {
+    const seats = nonNegativeInt(b.seats);
+    if (!seats) return fail('INVALID_SEATS', 'seats must be a positive integer');
+    fields.seats = seats;
+  }
+  if (b.features !== undefined) {
+    if (!Array.isArray(b.features)) return fail('INVALID_FEATURES', 'features must be an array of strings');
+    fields.features = b.features.map(f => String(f).trim().slice(0, 120)).filter(Boolean).slice(0, 30);
+  }
+  if (b.razorpayPlanIds !== undefined) {
+    const ids = b.razorpayPlanIds || {};
+    for (const cycle of CYCLES) {
+      if (ids[cycle] === undefined) continue;
+      fields[`razorpayPlanIds.${cycle}`] = ids[cycle] ? String(ids[cycle]).trim() : null;
+    }
+  }
+  if (b.active !== undefined) fields.active = Boolean(b.active);
+  return { ok: true, fields };
+}
+
+function serializePlan(p) {
+  const prices = p.prices instanceof Map ? Object.fromEntries(p.prices) : (p.prices || {});
+  return {
+    planId: p.planId,
+    name: p.name,
+    kind: p.kind,
+    rank: p.rank,
+    prices: JSON.parse(JSON.stringify(prices)),
+    quotas: { ai: (p.quotas && p.quotas.ai) || 0, downloads: (p.quotas && p.quotas.downloads) || 0 },
+    premiumAccess: Boolean(p.premiumAccess),
+    seats: p.seats || 1,
+    features: p.features || [],
+    razorpayPlanIds: {
+      monthly: (p.razorpayPlanIds && p.razorpayPlanIds.monthly) || null,
+      annual: (p.razorpayPlanIds && p.razorpayPlanIds.annual) || null
+    },
+    active: p.active !== false,
+    updatedAt: p.updatedAt || null
+  };
+}
+
+function planTarget(p) {
+  return { type: 'plan', id: p.planId, label: p.name };
+}
+
+// Other instances pick the change up on their next refresh tick
+async function refreshAfterEdit() {
+  try {
+    await refreshPlans();
+  } catch (err) {
+    console.error('[plans] refresh after edit failed:', err && err.message ? err.message : err);
+  }
+}
+
+// GET /api/admin/plans — every plan, including inactive ones
+router.get('/', requirePermission('billing:read'), async (req, res) => {
+  try {
+    const plans = await Plan.find({}).sort({ rank: 1, planId: 1 }).lean();
+    return res.json({ items: plans.map(serializePlan) });
+  } catch (err) {
+    console.error('GET /api/admin/plans error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/plans  { planId, name, kind?, rank?, prices?, quotas?, premiumAccess?, seats?, features?,
+//                          razorpayPlanIds?, active? }
+router.post('/', requirePermission('plans:manage'), async (req, res) => {
+  try {
+    const input = readPlanInput(req.body);
+    if (!input.ok) return res.status(400).json({ error: input.error, message: input.message });
+
+    let plan;
+    try {
+      plan = new Plan({ kind: 'paid' });
+      plan.set(input.fields);
+      await plan.save();
+    } catch (e) {
+      if (e && e.code === 11000) return res.status(409).json({ error: 'PLAN_EXISTS', message: `Plan ${input.fields.planId} already exists` });
+      throw e;
+    }
+    await refreshAfterEdit();
+    recordAudit(req, {
+      action: 'plan.create',
+      target: planTarget(plan),
+      after: serializePlan(plan)
+    });
+    return res.status(201).json({ ok: true, plan: serializePlan(plan) });
+  } catch (err) {
+    console.error('POST /api/admin/plans error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/plans/:planId — planId is fixed. Retire a plan with { active: false };
+// existing subscribers keep it until their period ends.
+router.patch('/:planId', requirePermission('plans:manage'), async (req, res) => {
+  try {
+    const plan = await Plan.findOne({ planId: String(req.params.planId).toLowerCase() });
+    if (!plan) return res.status(404).json({ error: 'PLAN_NOT_FOUND' });
+
+    const body = { ...(req.body || {}) };
+    delete body.planId;
+    const input = readPlanInput(body, { partial: true });
+    if (!input.ok) return res.status(400).json({ error: input.error, message: input.message });
+
+    // Every user falls back to the free tier, so it must stay usable
+    if (plan.planId === 'free' && (input.fields.active === false || (input.fields.kind && input.fields.kind !== 'free'))) {
+      return res.status(409).json({ error: 'FREE_PLAN_LOCKED', message: 'The free plan cannot be deactivated or change kind' });
+    }
+
+    const before = serializePlan(plan);
+    plan.set(input.fields);
+    await plan.save();
+    await refreshAfterEdit();
+    recordAudit(req, {
+      action: 'plan.update',
+      target: planTarget(plan),
+      before,
+      after: serializePlan(plan)
+    });
+    return res.json({ ok: true, plan: serializePlan(plan) });
+  } catch (err) {
+    console.error('PATCH /api/admin/plans/:planId error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const AuditEvent = require('../models/AuditEvent');
+const { requirePermission } = require('../middleware/roles');
+const { ReferralError, referralStats, retryReferralReward } = require('../utils/referrals');
+
+const STATUSES = ['pending', 'rewarded', 'rejected', 'revoked'];
+
+router.use(requirePermission('billing:read'));
+
+function userSummary(u) {
+  if (!u) return null;
+  return { id: String(u._id), email: u.email || null, name: u.name || null };
+}
+
+// ?from=&to= (ISO dates) → { createdAt } filter; defaults to the last 30 days.
+// Returns { ok, range, filter } or { ok: false, message }.
+function readRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return { ok: false, message: 'from and to must be ISO dates, from before to' };
+  }
+  return { ok: true, range: { from, to }, filter: { $gte: from, $lt: to } };
+}
+
+// GET /api/admin/referrals?status=rewarded&referrerId=...&referredId=...&limit=200
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'INVALID_STATUS', message: `status must be one of: ${STATUSES.join(', ')}` });
+      filter.status = req.query.status;
+    }
+    if (req.query.referrerId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.referrerId)) return res.status(400).json({ error: 'INVALID_USER_ID' });
+      filter.referrer = req.query.referrerId;
+    }
+    if (req.query.referredId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.referredId)) return res.status(400).json({ error: 'INVALID_USER_ID' });
+      filter.referred = req.query.referredId;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const rows = await Referral.find(filter).sort({ createdAt: -1 }).limit(limit)
+      .populate('referrer', 'email name')
+      .populate('referred', 'email name')
+      .lean();
+    return res.json({
+      items: rows.map(r => ({
+        id: String(r._id),
+        referrer: userSummary(r.referrer),
+        referred: userSummary(r.referred),
+        code: r.code,
+        source: r.source,
+        status: r.status,
+        rejectReason: r.rejectReason,
+        paymentId: r.paymentId,
+        rewardType: r.rewardType,
+        rewardAmount: r.rewardAmount || 0,
+        createdAt: r.createdAt,
+        rewardedAt: r.rewardedAt,
+        revokedAt: r.revokedAt,
+        revokeReason: r.revokeReason
+      }))
+    });
+  } catch (err) {
+    console.error('GET /api/admin/referrals error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/referrals/report?from=&to=
+// Referrals made in the period: totals, rewards granted, why some were refused (including
+// codes refused at signup, which only exist in the audit log) and the top referrers.
+router.get('/report', async (req, res) => {
+  try {
+    const period = readRange(req.query);
+    if (!period.ok) return res.status(400).json({ error: 'INVALID_DATE', message: period.message });
+    const inRange = { createdAt: period.filter };
+
+    const [totals, rejectedAtReward, rejectedAtAttach, top] = await Promise.all([
+      referralStats(inRange),
+      Referral.aggregate([
+        { $match: { ...inRange, status: 'rejected' } },
+        { $group: { _id: '$rejectReason', count: { $sum: 1 } } }
+      ]),
+      AuditEvent.aggregate([
+        { $match: { action: 'referral.rejected', 'metadata.stage': 'attach', createdAt: period.filter } },
+        { $group: { _id: '$metadata.reason', count: { $sum: 1 } } }
+      ]),
+      Referral.aggregate([
+        { $match: inRange },
+        {
+          $group: {
+            _id: '$referrer',
+            referrals: { $sum: 1 },
+            rewarded: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, 1, 0] } },
+            daysEarned: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'rewarded'] }, { $eq: ['$rewardType', 'days'] }] }, '$rewardAmount', 0] } },
+            downloadsEarned: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'rewarded'] }, { $eq: ['$rewardType', 'downloads'] }] }, '$rewardAmount', 0] } }
+          }
+        },
+        { $sort: { rewarded: -1, referrals: -1 } },
+        { $limit: 20 }
+      ])
+    ]);
+
+    const users = await User.find({ _id: { $in: top.map(t => t._id) } }).select('email name').lean();
+    const byId = new Map(users.map(u => [String(u._id), u]));
+    const toCounts = rows => Object.fromEntries(rows.map(r => [r._id || 'unknown', r.count]));
+
+    return res.json({
+      period: period.range,
+      totals,
+      conversionRate: totals.total ? Number((totals.rewarded / totals.total).toFixed(4)) : 0,
+      rejections: {
+        atSignup: toCounts(rejectedAtAttach),
+        atReward: toCounts(rejectedAtReward)
+      },
+      topReferrers: top.map(({ _id, ...rest }) => ({ referrer: userSummary(byId.get(String(_id))) || { id: String(_id) }, ...rest }))
+    });
+  } catch (err) {
+    console.error('GET /api/admin/referrals/report error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/referrals/:id/reward
+// Re-credit a referral left pending after the referred user paid (the webhook logs
+// "Referral reward failed" and moves on). Same checks as the webhook; may end up rejected.
+router.post('/:id/reward', requirePermission('referrals:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'INVALID_REFERRAL_ID' });
+    let referral;
+    try {
+      referral = await retryReferralReward(req.params.id, { req });
+    } catch (e) {
+      if (e instanceof ReferralError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    return res.json({
+      ok: true,
+      status: referral.status,
+      rejectReason: referral.rejectReason,
+      paymentId: referral.paymentId,
+      rewardType: referral.rewardType,
+      rewardAmount: referral.rewardAmount || 0
+    });
+  } catch (err) {
+    console.error('POST /api/admin/referrals/:id/reward error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const { rateLimit } = require('../middleware/rateLimit');
+const { maskEmail } = require('../utils/accountDeletion');
+const {
+  REWARD_DAYS,
+  REWARD_DOWNLOADS,
+  APPLY_WINDOW_DAYS,
+  ReferralError,
+  referralLink,
+  ensureReferralCode,
+  attachReferral,
+  referralStats
+} = require('../utils/referrals');
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+  return next();
+}
+
+router.use(requireUser);
+
+// Referred accounts are shown masked: the referrer only needs to recognise them
+function serializeReferral(r) {
+  const referred = r.referred || {};
+  return {
+    id: String(r._id),
+    referred: referred.deletedAt ? 'deleted user' : (referred.name ? `${referred.name} (${maskEmail(referred.email)})` : maskEmail(referred.email)),
+    status: r.status,
+    rewardType: r.rewardType,
+    rewardAmount: r.rewardAmount || 0,
+    joinedAt: r.createdAt,
+    rewardedAt: r.rewardedAt
+  };
+}
+
+// GET /api/referrals/mine — the user's code and link, what referring earns, and their referrals
+router.get('/mine', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('referral_code bonus_downloads').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const code = await ensureReferralCode(user);
+    const [stats, referrals, referredBy] = await Promise.all([
+      referralStats({ referrer: user._id }),
+      Referral.find({ referrer: user._id }).sort({ createdAt: -1 }).limit(200).populate('referred', 'name email deletedAt').lean(),
+      Referral.findOne({ referred: user._id }).populate('referrer', 'name').lean()
+    ]);
+
+    return res.json({
+      code,
+      link: referralLink(code),
+      // Days on an active one-off paid plan, bonus downloads otherwise
+      reward: { days: REWARD_DAYS, downloads: REWARD_DOWNLOADS },
+      bonusDownloads: user.bonus_downloads || 0,
+      stats,
+      referrals: referrals.map(serializeReferral),
+      referredBy: referredBy
+        ? { name: (referredBy.referrer && referredBy.referrer.name) || null, status: referredBy.status, at: referredBy.createdAt }
+        : null
+    });
+  } catch (err) {
+    console.error('GET /api/referrals/mine error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/referrals/apply  { code }
+// For accounts that signed up without the link: within the first days and before any payment.
+router.post('/apply', rateLimit('referralApply'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    try {
+      await attachReferral({ user, code: req.body && req.body.code, source: 'manual', req });
+    } catch (e) {
+      if (e instanceof ReferralError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    return res.status(201).json({
+      ok: true,
+      message: 'Referral code applied. Your referrer is credited when you first pay for a plan.',
+      applyWindowDays: APPLY_WINDOW_DAYS
+    });
+  } catch (err) {
+    console.error('POST /api/referrals/apply error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
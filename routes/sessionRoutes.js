@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { listUserSessions, revokeUserSession, signOutEverywhere } = require('../utils/sessions');
+
+router.use((req, res, next) => {
+  if (!req.user || (typeof req.isAuthenticated === 'function' && !req.isAuthenticated())) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  return next();
+});
+
+// The caller's own entry: its cookie session, or for JWT callers the refresh-token family
+// their access token was issued with
+function currentSid(req) {
+  return (!req.authMethod && req.sessionID) ? req.sessionID : null;
+}
+
+function currentFamily(req) {
+  return req.authMethod === 'jwt' ? (req.tokenFamily || null) : null;
+}
+
+// GET /api/user/sessions
+router.get('/', async (req, res) => {
+  try {
+    const items = await listUserSessions(req.user._id, { currentSid: currentSid(req), currentFamily: currentFamily(req) });
+    return res.json({ items, count: items.length });
+  } catch (err) {
+    console.error('GET /api/user/sessions error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/user/sessions/revoke-others
+// Signs out every other browser session and token device; the caller stays logged in.
+router.post('/revoke-others', async (req, res) => {
+  try {
+    const result = await signOutEverywhere(req.user._id, {
+      exceptSid: currentSid(req),
+      exceptFamily: currentFamily(req),
+      reason: 'user_revoked_others'
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('POST /api/user/sessions/revoke-others error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/user/sessions/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await revokeUserSession(req.user._id, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'SESSION_NOT_FOUND' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/user/sessions/:id error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
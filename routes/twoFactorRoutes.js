@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { isPaidPlanActive } = require('../utils/planExpiry');
+
+router.use((req, res, next) => {
+  if (!req.user || (typeof req.isAuthenticated === 'function' && !req.isAuthenticated())) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  return next();
+});
+
+// 2FA enrollment is offered to paid accounts (they hold the license histories worth protecting).
+// An account that later drops to free keeps 2FA on; we never silently weaken it.
+function isPaidAccount(user) {
+  return isPaidPlanActive(user);
+}
+
+async function loadUserWithSecrets(req) {
+  return User.findById(req.user._id).select(User.TWO_FACTOR_SECRET_FIELDS);
+}
+
+// GET /api/user/2fa
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const tf = user.twoFactor || {};
+    return res.json({
+      enabled: Boolean(tf.enabled),
+      enabledAt: tf.enabledAt || null,
+      enrollmentPending: Boolean(tf.pendingSecret),
+      recoveryCodesRemaining: Array.isArray(tf.recoveryCodes) ? tf.recoveryCodes.length : 0,
+      eligible: isPaidAccount(user)
+    });
+  } catch (err) {
+    console.error('GET /api/user/2fa error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/user/2fa/setup
+// Returns an otpauth:// URI (render as QR) and the base32 secret for manual entry.
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!isPaidAccount(user)) {
+      return res.status(403).json({ error: 'PAID_PLAN_REQUIRED', message: 'Two-factor authentication is available on paid plans' });
+    }
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'TWO_FACTOR_ALREADY_ENABLED', message: 'Disable 2FA first to enroll a new device' });
+    }
+
+    const { secret, otpauthUri } = user.startTwoFactorEnrollment(process.env.TOTP_ISSUER || 'VARA Music');
+    await user.save();
+    return res.json({ ok: true, otpauthUri, secret });
+  } catch (err) {
+    console.error('POST /api/user/2fa/setup error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TWO_FACTOR_SETUP_FAILED' });
+  }
+});
+
+// POST /api/user/2fa/confirm  { code }
+// Turns 2FA on and returns recovery codes ONCE.
+router.post('/confirm', async (req, res) => {
+  try {
+    const code = req.body && req.body.code;
+    if (!code) return res.status(400).json({ error: 'MISSING_FIELDS', message: 'code is required' });
+
+    const user = await loadUserWithSecrets(req);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'NO_PENDING_ENROLLMENT', message: 'Start with /api/user/2fa/setup' });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorEnrollment(code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'INVALID_TWO_FACTOR_CODE', message: 'That code did not match. Check your authenticator app clock.' });
+    }
+    await user.save();
+
+    console.log('🔐 2FA enabled for user:', user.email);
+    return res.json({
+      ok: true,
+      enabled: true,
+      recoveryCodes,
+      message: 'Save these recovery codes somewhere safe. Each can be used once.'
+    });
+  } catch (err) {
+    console.error('POST /api/user/2fa/confirm error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'TWO_FACTOR_CONFIRM_FAILED' });
+  }
+});
+
+// POST /api/user/2fa/recovery-codes  { code }
+// Replaces all recovery codes (requires a current TOTP code).
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+    const check = user.verifyTwoFactor({ code: req.body && req.body.code });
+    if (!check.ok) {
+      return res.status(401).json({ error: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid authenticator code' });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    console.error('POST /api/user/2fa/recovery-codes error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/user/2fa/disable  { code } or { recoveryCode }
+router.post('/disable', async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    const user = await loadUserWithSecrets(req);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+    const check = user.verifyTwoFactor({ code, recoveryCode });
+    if (!check.ok) {
+      return res.status(401).json({ error: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid authenticator or recovery code' });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    console.log('🔓 2FA disabled for user:', user.email);
+    return res.json({ ok: true, enabled: false });
+  } catch (err) {
+    console.error('POST /api/user/2fa/disable error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -5,32 +5,20 @@ const User = require('../models/User');
 const License = require('../models/License');
 const UserTasteProfile = require('../models/UserTasteProfile'); // Ensure this import exists ONCE at the top
 const Song = require('../models/Song'); // minimal Song model for gating
+const passport = require('passport');
+const { getLoggedInUserId, apiKeyAuth } = require('../middleware/auth');
+const { buildExport, scheduleDeletion, cancelDeletion, DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+const { hasPermission, requirePermission, permissionsForRole, getRole, ROLES } = require('../middleware/roles');
+const { recordAudit, planSnapshot, userTarget } = require('../utils/audit');
+const { isRenewing } = require('../utils/subscriptions');
+const { isPlanLapsed, expireLapsedPlanInBackground } = require('../utils/planExpiry');
+const { trialStatus, TRIAL_QUOTA_KEY } = require('../utils/trials');
+const { quotaContext, pooledUsage, findOrganizationForUser, memberRole } = require('../utils/organizations');
+const { paidPlanIds, normalizePlanLabel } = require('../utils/plans');
 
 const DEV_MODE = (process.env.NODE_ENV !== 'production') &&
                  (String(process.env.ENABLE_DEV_ROUTES || '').toLowerCase() === 'true');
 
-// -------- Plan config (downloads + AI + premium gating) --------
-const PLAN_CONFIG = {
-  free:      { ai: 5,    downloads: 3,   canDownloadPaid: false },
-  starter:   { ai: 200,  downloads: 50,  canDownloadPaid: true  },
-  pro:       { ai: 500,  downloads: 150, canDownloadPaid: true  },
-  pro_plus:  { ai: 2000, downloads: 400, canDownloadPaid: true  },
-  // Back-compat: legacy 'premium' behaves like 'starter'
-  premium:   { ai: 200,  downloads: 50,  canDownloadPaid: true  }
-};
-
-function normalizePlan(user) {
-  try {
-    const raw = String(user?.subscription_type || 'free').toLowerCase();
-    if (raw === 'premium') return 'starter'; // legacy → starter behavior
-    if (raw === 'starter' || raw === 'pro' || raw === 'pro_plus' || raw === 'free') return raw;
-    if (user?.is_premium) return 'starter'; // unknown label but flagged premium → starter
-    return 'free';
-  } catch {
-    return 'free';
-  }
-}
-
 function getUtcMonthRange(now = new Date()) {
   const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0, 0));
   const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0, 0));
@@ -57,6 +45,9 @@ router.get('/', async (req, res) => {
 
     const picture = user.picture || null;
     const profilePicture = user.profilePicture || null;
+    const lapsed = isPlanLapsed(user);
+    if (lapsed) expireLapsedPlanInBackground(user);
+    const org = await findOrganizationForUser(user._id);
 
     res.json({
       _id: user._id,
@@ -64,11 +55,19 @@ router.get('/', async (req, res) => {
       name: user.name,
       picture: picture,
       profilePicture: profilePicture,
-      is_premium: user.is_premium || false,
-      subscription_type: user.subscription_type || 'free',
+      is_premium: lapsed ? false : (user.is_premium || false),
+      subscription_type: lapsed ? 'free' : (user.subscription_type || 'free'),
       // FIX: premium_expires_at must mirror subscription_end in schema
       premium_expires_at: user.subscription_end || null,
-      role: user.role || 'user',
+      billing_cycle: (!lapsed && user.subscription_type && user.subscription_type !== 'free') ? (user.billing_cycle || 'monthly') : null,
+      subscription_status: user.subscription_status || null,
+      auto_renew: isRenewing(user),
+      trial: trialStatus(user),
+      organization: org ? { id: String(org._id), name: org.name, role: memberRole(org, user._id) } : null,
+      role: getRole(user),
+      permissions: permissionsForRole(getRole(user)),
+      emailVerified: Boolean(user.emailVerified),
+      deletionScheduledFor: user.deletionScheduledFor || null,
       youtube_channel_link: user.youtube_channel_link || null,
       youtube_channel_name: user.youtube_channel_name || null,
       youtube_original_url: user.youtube_original_url || null
@@ -80,6 +79,190 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ---------- Linked login providers ----------
+
+function serializeIdentities(user) {
+  const identities = user.getIdentities();
+  return identities.map(i => ({
+    provider: i.provider,
+    email: i.email || null,
+    linkedAt: i.linkedAt || null,
+    // The last remaining login method can never be unlinked
+    canUnlink: identities.length > 1
+  }));
+}
+
+// GET /api/user/identities
+router.get('/identities', async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    return res.json({ identities: serializeIdentities(user) });
+  } catch (error) {
+    console.error('❌ Error listing identities:', error);
+    return res.status(500).json({ message: 'Error fetching linked accounts' });
+  }
+});
+
+// GET /api/user/identities/google/link
+// Starts the Google OAuth flow in "link" mode; the shared callback attaches the Google account to this user.
+router.get('/identities/google/link', (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  req.session.linkGoogleUserId = String(req.user._id);
+  req.session.save((err) => {
+    if (err) return next(err);
+    passport.authenticate('google', { scope: ['profile', 'email'], prompt: 'select_account' })(req, res, next);
+  });
+});
+
+// POST /api/user/identities/local  { password }
+// Adds an email + password login (using the account email) to an account that doesn't have one.
+router.post('/identities/local', async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  try {
+    const { password } = req.body || {};
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'WEAK_PASSWORD', message: 'Password must be at least 8 characters' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.hasIdentity('local')) {
+      return res.status(409).json({ error: 'IDENTITY_EXISTS', message: 'A password login is already set up. Use reset password to change it.' });
+    }
+    // Google-linked accounts have a provider-verified email even if they predate emailVerified
+    if (!user.emailVerified && !user.hasIdentity('google')) {
+      return res.status(403).json({ error: 'EMAIL_NOT_VERIFIED', message: 'Verify your email before adding a password login' });
+    }
+
+    user.password = password;
+    user.emailVerified = true;
+    user.addIdentity('local', user.email, user.email);
+    await user.save();
+
+    return res.status(201).json({ ok: true, identities: serializeIdentities(user) });
+  } catch (error) {
+    console.error('❌ Error linking local identity:', error);
+    return res.status(500).json({ message: 'Error adding password login' });
+  }
+});
+
+// DELETE /api/user/identities/:provider
+router.delete('/identities/:provider', async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  try {
+    const provider = String(req.params.provider || '').toLowerCase();
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    try {
+      user.removeIdentity(provider);
+    } catch (e) {
+      if (e.code === 'IDENTITY_NOT_FOUND') return res.status(404).json({ error: e.code, message: e.message });
+      if (e.code === 'LAST_LOGIN_METHOD') return res.status(409).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    await user.save();
+
+    return res.json({ ok: true, identities: serializeIdentities(user) });
+  } catch (error) {
+    console.error('❌ Error unlinking identity:', error);
+    return res.status(500).json({ message: 'Error removing linked account' });
+  }
+});
+
+// ---------- Personal data export & account deletion ----------
+
+// GET /api/user/export  → JSON bundle of everything we hold about the current user
+router.get('/export', async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  try {
+    const bundle = await buildExport(req.user._id);
+    if (!bundle) return res.status(404).json({ error: 'User not found' });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="vara-export-${stamp}.json"`);
+    return res.json(bundle);
+  } catch (error) {
+    console.error('❌ Error exporting user data:', error);
+    return res.status(500).json({ message: 'Error exporting user data' });
+  }
+});
+
+// POST /api/user/delete  { confirm: 'DELETE', code? }
+// Schedules anonymisation after a grace period; logging in and calling /delete/cancel undoes it.
+router.post('/delete', async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  try {
+    const { confirm, code, recoveryCode } = req.body || {};
+    if (confirm !== 'DELETE') {
+      return res.status(400).json({ error: 'CONFIRMATION_REQUIRED', message: "Send { confirm: 'DELETE' } to delete your account" });
+    }
+
+    const user = await User.findById(req.user._id).select(User.TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const check = user.verifyTwoFactor({ code, recoveryCode });
+      if (!check.ok) {
+        return res.status(401).json({ error: 'TWO_FACTOR_REQUIRED', message: 'Enter your authenticator code to delete your account' });
+      }
+    }
+    if (user.deletionScheduledFor) {
+      return res.json({ ok: true, alreadyScheduled: true, deletionScheduledFor: user.deletionScheduledFor });
+    }
+    // An auto-renewing subscription would keep charging the deleted account
+    if (isRenewing(user)) {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_ACTIVE',
+        message: 'Cancel your subscription (POST /api/billing/cancel-subscription) before deleting your account',
+        subscriptionId: user.razorpay_subscription_id
+      });
+    }
+
+    const scheduledFor = scheduleDeletion(user);
+    await user.save();
+    recordAudit(req, { action: 'account.deletion_scheduled', target: userTarget(user), metadata: { scheduledFor } });
+
+    console.log('🗑️ Account deletion scheduled:', { user: user.email, scheduledFor });
+    return res.json({
+      ok: true,
+      deletionScheduledFor: scheduledFor,
+      graceDays: DELETION_GRACE_DAYS,
+      message: `Your account will be deleted on ${scheduledFor.toISOString().slice(0, 10)}. Log in before then to cancel. Licenses you were issued stay verifiable.`
+    });
+  } catch (error) {
+    console.error('❌ Error scheduling account deletion:', error);
+    return res.status(500).json({ message: 'Error deleting account' });
+  }
+});
+
+// POST /api/user/delete/cancel
+router.post('/delete/cancel', async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ error: 'NO_DELETION_SCHEDULED' });
+    }
+    cancelDeletion(user);
+    await user.save();
+    recordAudit(req, { action: 'account.deletion_cancelled', target: userTarget(user) });
+    return res.json({ ok: true, message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling account deletion:', error);
+    return res.status(500).json({ message: 'Error cancelling deletion' });
+  }
+});
+
 // Get user's favorites
 router.get('/favorites', async (req, res) => {
   if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
@@ -311,11 +494,7 @@ router.get('/recommendations', async (req, res) => {
 });
 
 // NEW: Admin endpoint to trigger monthly decay
-router.post('/admin/decay-taste-profiles', async (req, res) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-
+router.post('/admin/decay-taste-profiles', requirePermission('taste:maintain'), async (req, res) => {
   try {
     const result = await UserTasteProfile.runMonthlyDecay();
     res.json(result);
@@ -325,6 +504,47 @@ router.post('/admin/decay-taste-profiles', async (req, res) => {
   }
 });
 
+// Admin: change a user's role
+// PATCH /api/user/admin/users/:id/role  { role: 'user' | 'support' | 'admin' }
+router.patch('/admin/users/:id/role', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = String((req.body && req.body.role) || '').toLowerCase();
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'INVALID_ROLE', message: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'INVALID_ID' });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    // Never leave the system without an admin
+    if (getRole(target) === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(409).json({ error: 'LAST_ADMIN', message: 'Cannot demote the last admin' });
+      }
+    }
+
+    const previousRole = getRole(target);
+    target.role = role;
+    await target.save();
+    recordAudit(req, {
+      action: 'admin.role_change',
+      target: userTarget(target),
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    console.log('🛡️ Role changed:', { by: req.user.email, user: target.email, from: previousRole, to: role });
+    return res.json({ ok: true, userId: String(target._id), role, previousRole });
+  } catch (error) {
+    console.error('❌ Error changing role:', error);
+    return res.status(500).json({ message: 'Error changing role' });
+  }
+});
+
 // NEW: Update user's YouTube channel link
 router.post('/youtube-link', async (req, res) => {
   if (!req.user) {
@@ -360,15 +580,25 @@ router.post('/youtube-link', async (req, res) => {
       youtube_channel_name: youtubeChannelName || null  // Store extracted name for display
     };
 
-    const user = await User.findByIdAndUpdate(
+    const previous = await User.findByIdAndUpdate(
       req.user._id,
       updateObj,
-      { new: true }
+      { new: false }
     );
 
-    if (!user) {
+    if (!previous) {
       return res.status(404).json({ message: 'User not found' });
     }
+    recordAudit(req, {
+      action: 'user.youtube_link_change',
+      target: userTarget(previous),
+      before: {
+        youtube_original_url: previous.youtube_original_url || null,
+        youtube_channel_link: previous.youtube_channel_link || null,
+        youtube_channel_name: previous.youtube_channel_name || null
+      },
+      after: updateObj
+    });
 
     console.log('✅ YouTube link updated successfully');
     console.log('📝 Stored original URL:', youtubeLink);
@@ -387,7 +617,7 @@ router.post('/youtube-link', async (req, res) => {
 });
 
 // Track download
-router.post('/track-download', async (req, res) => {
+router.post('/track-download', apiKeyAuth('downloads'), async (req, res) => {
   try {
     console.log('[track-download] start');
 
@@ -395,12 +625,7 @@ router.post('/track-download', async (req, res) => {
       console.log('[track-download] not authenticated via isAuthenticated');
       return res.status(401).json({ error: 'Not authenticated' });
     }
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    if (!candidate) {
-      console.log('[track-download] no candidate user in session');
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-    const userId = typeof candidate === 'string' ? candidate : (candidate._id || candidate.id);
+    const userId = getLoggedInUserId(req);
     if (!userId) {
       console.log('[track-download] missing userId');
       return res.status(401).json({ error: 'Not authenticated' });
@@ -437,11 +662,11 @@ router.post('/track-download', async (req, res) => {
       return res.status(404).json({ error: 'SONG_NOT_FOUND' });
     }
 
-    // Replace old premium logic with plan-tier logic:
-    const planNormalized = normalizePlan(user); // 'free' | 'starter' | 'pro' | 'pro_plus'
-    const cfg = PLAN_CONFIG[planNormalized] || PLAN_CONFIG.free;
+    // Plan-tier logic; organization members on a team plan share its quotas
+    const cfg = await quotaContext(user); // plan catalogue quotas after expiry/trial
+    const planNormalized = cfg.planId;
     const monthlyLimit = cfg.downloads;
-    const canDownloadPaid = !!cfg.canDownloadPaid;
+    const canDownloadPaid = cfg.premiumAccess;
     const isPremiumTrack = (songDoc.collectionType === 'paid');
 
     if (isPremiumTrack && !canDownloadPaid) {
@@ -461,21 +686,27 @@ router.post('/track-download', async (req, res) => {
           return { start: s, end: e };
         })();
 
-    const usedThisMonth = Array.isArray(user.downloads)
-      ? user.downloads.reduce((acc, d) => {
-          const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
-          return (dt && dt >= start && dt < end) ? acc + 1 : acc;
-        }, 0)
-      : 0;
-
-    console.log('[track-download] plan/usage:', { planNormalized, monthlyLimit, usedThisMonth });
-
-    if (usedThisMonth >= monthlyLimit) {
+    const usedThisMonth = cfg.pooled
+      ? (await pooledUsage(cfg.memberIds, { start, end })).downloads
+      : Array.isArray(user.downloads)
+        ? user.downloads.reduce((acc, d) => {
+            const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
+            return (dt && dt >= start && dt < end) ? acc + 1 : acc;
+          }, 0)
+        : 0;
+
+    console.log('[track-download] plan/usage:', { planNormalized, monthlyLimit, usedThisMonth, pooled: cfg.pooled });
+
+    // Referral bonus downloads cover what the monthly quota doesn't
+    const bonusAvailable = Math.max(0, user.bonus_downloads || 0);
+    const usingBonus = usedThisMonth >= monthlyLimit && bonusAvailable > 0;
+    if (usedThisMonth >= monthlyLimit && !usingBonus) {
       console.log('[track-download] limit reached, blocking');
       return res.status(429).json({
         error: 'LIMIT_REACHED',
-        message: 'Monthly download limit reached',
+        message: cfg.pooled ? 'Your team has used its monthly download limit' : 'Monthly download limit reached',
         plan: planNormalized,
+        pooled: cfg.pooled,
         monthlyLimit,
         usedThisMonth,
         remaining: 0,
@@ -488,9 +719,9 @@ router.post('/track-download', async (req, res) => {
     try {
       // Use provided title or the DB title as fallback
       const effectiveTitle = songTitle || songDoc.title || 'Unknown Title';
-      // Ensure License.planAtIssue remains 'free' or 'premium'
-      const planForLicense = (planNormalized === 'free') ? 'free' : 'premium';
-      licenseInfo = await createLicenseWithRetries(user, songId, effectiveTitle, planForLicense, 5);
+      // License.planAtIssue is 'free', 'premium' or 'trial'
+      const planForLicense = (planNormalized === 'free') ? 'free' : (planNormalized === TRIAL_QUOTA_KEY ? 'trial' : 'premium');
+      licenseInfo = await createLicenseWithRetries(user, songId, effectiveTitle, planForLicense, 5, cfg.organization);
     } catch (err) {
       console.error('[track-download] issue license error:', err && err.stack ? err.stack : err);
       return res.status(500).json({
@@ -509,6 +740,7 @@ router.post('/track-download', async (req, res) => {
       // NOTE: if later you add `isPremiumTrack` to User.downloads sub-schema,
       // you can also store: isPremiumTrack
     });
+    if (usingBonus) user.bonus_downloads = bonusAvailable - 1;
 
     try {
       await user.save();
@@ -520,6 +752,17 @@ router.post('/track-download', async (req, res) => {
       return res.status(500).json({ error: 'DOWNLOAD_RECORD_FAILED' });
     }
 
+    recordAudit(req, {
+      action: 'license.issue',
+      target: { type: 'license', id: licenseInfo.licenseId, label: songTitle || songDoc.title || null },
+      metadata: {
+        userId: String(user._id),
+        songId: String(safeSongId),
+        plan: planNormalized,
+        organizationId: cfg.organization ? String(cfg.organization._id) : undefined
+      }
+    });
+
     // Final response payload (back-compat + detailed plan)
     const newUsed = usedThisMonth + 1;
     const remaining = Math.max(0, monthlyLimit - newUsed);
@@ -535,9 +778,13 @@ router.post('/track-download', async (req, res) => {
       monthlyLimit,
       usedThisMonth: newUsed,
       remaining,
+      bonusDownloads: user.bonus_downloads || 0,
+      usedBonusDownload: usingBonus,
       period: { startUtcIso: start.toISOString(), endUtcIso: end.toISOString() },
       licenseId: licenseInfo.licenseId,
       issuedToEmail: licenseInfo.issuedToEmail,
+      issuedToName: licenseInfo.issuedToName,
+      organization: cfg.organization ? { id: String(cfg.organization._id), name: cfg.organization.name, pooled: cfg.pooled } : null,
       subscriptionStatus,
       validFor: 'Use on YouTube & Social Platforms'
     });
@@ -549,7 +796,8 @@ router.post('/track-download', async (req, res) => {
 });
 
 // Helper: create license with retries (handles duplicate key errors)
-async function createLicenseWithRetries(user, songId, songTitle, plan, maxAttempts = 5) {
+// Members of an organization get licenses issued to the organization.
+async function createLicenseWithRetries(user, songId, songTitle, plan, maxAttempts = 5, organization = null) {
   const issuedToEmailCandidates = [
     user.email,
     user.googleEmail,
@@ -559,7 +807,9 @@ async function createLicenseWithRetries(user, songId, songTitle, plan, maxAttemp
   const issuedToEmail = String(issuedToEmailCandidates[0] || 'unknown@vara.ai');
 
   const issuedToNameCandidates = [user.channelName, user.brandName, user.displayName, user.name];
-  const issuedToName = String((issuedToNameCandidates.find(Boolean)) || '');
+  const issuedToName = organization
+    ? String(organization.name)
+    : String((issuedToNameCandidates.find(Boolean)) || '');
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     const licenseId = await getUniqueLicenseId();
@@ -569,6 +819,7 @@ async function createLicenseWithRetries(user, songId, songTitle, plan, maxAttemp
         user: user._id,
         issuedToEmail,
         issuedToName,
+        organization: organization ? organization._id : null,
         songId: String(songId),
         songTitle: String(songTitle),
         planAtIssue: plan
@@ -624,12 +875,7 @@ router.get('/limits', async (req, res) => {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    if (!candidate) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const userId = typeof candidate === 'string' ? candidate : (candidate._id || candidate.id);
+    const userId = getLoggedInUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
@@ -639,26 +885,32 @@ router.get('/limits', async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    const planNormalized = normalizePlan(user);
-    const cfg = PLAN_CONFIG[planNormalized] || PLAN_CONFIG.free;
+    const cfg = await quotaContext(user);
+    const planNormalized = cfg.planId;
     const dlMonthlyLimit = cfg.downloads;
     const aiMonthlyLimit = cfg.ai;
 
     const { start, end } = getUtcMonthRange();
-    const dlUsedThisMonth = Array.isArray(user.downloads)
-      ? user.downloads.reduce((acc, d) => {
-          const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
-          return (dt && dt >= start && dt < end) ? acc + 1 : acc;
-        }, 0)
-      : 0;
+    // Team plans count every member's usage
+    const pool = cfg.pooled ? await pooledUsage(cfg.memberIds, { start, end }) : null;
+    const dlUsedThisMonth = pool
+      ? pool.downloads
+      : Array.isArray(user.downloads)
+        ? user.downloads.reduce((acc, d) => {
+            const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
+            return (dt && dt >= start && dt < end) ? acc + 1 : acc;
+          }, 0)
+        : 0;
     const dlRemaining = Math.max(0, dlMonthlyLimit - dlUsedThisMonth);
 
-    const aiUsedThisMonth = Array.isArray(user.aiQueries)
-      ? user.aiQueries.reduce((acc, q) => {
-          const t = q && q.at ? new Date(q.at) : null;
-          return (t && t >= start && t < end) ? acc + 1 : acc;
-        }, 0)
-      : 0;
+    const aiUsedThisMonth = pool
+      ? pool.ai
+      : Array.isArray(user.aiQueries)
+        ? user.aiQueries.reduce((acc, q) => {
+            const t = q && q.at ? new Date(q.at) : null;
+            return (t && t >= start && t < end) ? acc + 1 : acc;
+          }, 0)
+        : 0;
     const aiRemaining = Math.max(0, aiMonthlyLimit - aiUsedThisMonth);
 
     return res.json({
@@ -666,10 +918,18 @@ router.get('/limits', async (req, res) => {
       plan: (planNormalized === 'free') ? 'free' : 'premium',
       // Also expose detailed plan:
       subscription_type: planNormalized,
+      // How the plan is billed; quotas below still reset every UTC month
+      billingCycle: (planNormalized === 'free' || planNormalized === TRIAL_QUOTA_KEY) ? null : (user.billing_cycle || 'monthly'),
+      premium_expires_at: user.subscription_end || null,
+      trial_ends_at: planNormalized === TRIAL_QUOTA_KEY ? user.trialEndsAt : null,
+      // Set when the quotas below are shared with an organization
+      organization: cfg.organization ? { id: String(cfg.organization._id), name: cfg.organization.name, pooled: cfg.pooled } : null,
       // Downloads (back-compat fields preserved)
       monthlyLimit: dlMonthlyLimit,
       usedThisMonth: dlUsedThisMonth,
       remaining: dlRemaining,
+      // Referral rewards, used once `remaining` is 0
+      bonusDownloads: user.bonus_downloads || 0,
       period: { startUtcIso: start.toISOString(), endUtcIso: end.toISOString() },
       // New: AI limits
       ai: {
@@ -687,28 +947,19 @@ router.get('/limits', async (req, res) => {
 
 // DEV-ONLY: Reset current month downloads for the logged-in user
 // Path: POST /api/user/dev/reset-month-usage
-// Protection: requires header X-Admin-Token that matches process.env.DEV_ADMIN_TOKEN
+// Protection: requires a logged-in user with the 'dev:tools' permission (admin)
 router.post('/dev/reset-month-usage', async (req, res) => {
   if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
 
   try {
-    const token =
-      req.headers['x-admin-token'] ||
-      (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-      req.query.token ||
-      req.query.t;
-    if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+    if (!hasPermission(req.user, 'dev:tools')) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: 'Admin permission required' });
     }
 
     if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    if (!candidate) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-    const userId = typeof candidate === 'string' ? candidate : (candidate._id || candidate.id);
+    const userId = getLoggedInUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
@@ -747,19 +998,13 @@ router.post('/dev/reset-month-usage', async (req, res) => {
 router.post('/dev/reset-ai-usage', async (req, res) => {
   if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
   try {
-    const token =
-      req.headers['x-admin-token'] ||
-      (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-      req.query.token ||
-      req.query.t;
-    if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+    if (!hasPermission(req.user, 'dev:tools')) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: 'Admin permission required' });
     }
     if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    const userId = typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
+    const userId = getLoggedInUserId(req);
     if (!userId) return res.status(401).json({ error: 'Not authenticated' });
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
@@ -795,8 +1040,7 @@ router.post('/dev/diag-license', async (req, res) => {
     if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    const userId = typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
+    const userId = getLoggedInUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
@@ -828,26 +1072,20 @@ router.post('/dev/diag-license', async (req, res) => {
 
 // DEV-ONLY: Explicitly set current user's plan to 'free' or 'premium'
 // Path: POST /api/user/dev/set-plan?plan=free|premium
-// Protection: requires X-Admin-Token header or `?token=` query to match process.env.DEV_ADMIN_TOKEN
+// Protection: requires a logged-in user with the 'dev:tools' permission (admin)
 router.post('/dev/set-plan', async (req, res) => {
   if (!DEV_MODE) return res.status(404).json({ error: 'Not found' });
 
   try {
-    const token =
-      req.headers['x-admin-token'] ||
-      (req.get && (req.get('X-Admin-Token') || req.get('x-admin-token'))) ||
-      req.query.token ||
-      req.query.t;
-    if (!token || token !== process.env.DEV_ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'FORBIDDEN', message: 'Missing or invalid admin token' });
+    if (!hasPermission(req.user, 'dev:tools')) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: 'Admin permission required' });
     }
 
     // Require auth (session cookie)
     if (typeof req.isAuthenticated === 'function' && !req.isAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
-    const candidate = req.user || (req.session && (req.session.user || (req.session.passport && req.session.passport.user)));
-    const userId = typeof candidate === 'string' ? candidate : (candidate && (candidate._id || candidate.id));
+    const userId = getLoggedInUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
@@ -855,10 +1093,11 @@ router.post('/dev/set-plan', async (req, res) => {
     // Accept plan from body OR query (?plan=)
     const planRaw = (req.body && req.body.plan) || req.query.plan;
     const plan = planRaw ? String(planRaw).toLowerCase().trim() : '';
-    if (!['free', 'premium', 'starter', 'pro', 'pro_plus'].includes(plan)) {
+    const allowedPlans = ['free', 'premium', ...paidPlanIds()];
+    if (!allowedPlans.includes(plan)) {
       return res.status(400).json({
         error: 'INVALID_PLAN',
-        message: "plan must be one of: free, premium, starter, pro, pro_plus"
+        message: `plan must be one of: ${allowedPlans.join(', ')}`
       });
     }
 
@@ -867,10 +1106,12 @@ router.post('/dev/set-plan', async (req, res) => {
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     // Map legacy 'premium' → behave like 'starter'
-    const normalized = (plan === 'premium') ? 'starter' : plan;
+    const normalized = (plan === 'free') ? 'free' : normalizePlanLabel(plan);
+    const before = planSnapshot(user);
     user.subscription_type = normalized;
     user.is_premium = (normalized !== 'free');
     await user.save();
+    recordAudit(req, { action: 'dev.set_plan', target: userTarget(user), before, after: planSnapshot(user) });
 
     return res.json({
       ok: true,
@@ -889,7 +1130,7 @@ function isPremiumActive(user) {
   try {
     const basePremium = (user && (user.subscription_type === 'premium' || Boolean(user.is_premium)));
     if (!basePremium) return false;
-    // 30-day pass window: treat as active if subscription_end is in the future.
+    // Paid window (30 days, or 12 months for annual): treat as active if subscription_end is in the future.
     // If subscription_end is missing (dev override), still treat as active.
     const end = user && user.subscription_end ? new Date(user.subscription_end) : null;
     if (!end) return true; // dev/test convenience (no date set)
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const Voucher = require('../models/Voucher');
+const { requirePermission } = require('../middleware/roles');
+const { recordAudit } = require('../utils/audit');
+const {
+  MAX_BATCH_SIZE,
+  VoucherError,
+  normalizeVoucherCode,
+  createVoucherBatch,
+  voidVoucher,
+  serializeVoucher
+} = require('../utils/vouchers');
+const { getPlan, paidPlanIds, normalizePlanLabel } = require('../utils/plans');
+
+const CYCLES = ['monthly', 'annual'];
+const STATUSES = ['active', 'redeemed', 'void'];
+
+function voucherTarget(v) {
+  return { type: 'voucher', id: String(v._id), label: v.code };
+}
+
+function userSummary(u) {
+  if (!u) return null;
+  if (!u._id) return { id: String(u) };
+  return { id: String(u._id), email: u.email || null, name: u.name || null };
+}
+
+// Batch fields. Returns { ok, fields } or { ok: false, error, message }.
+function readBatchInput(body) {
+  const b = body || {};
+  const fail = (error, message) => ({ ok: false, error, message });
+
+  const plan = normalizePlanLabel(b.plan);
+  const p = getPlan(plan);
+  if (!b.plan || !p || p.kind !== 'paid') return fail('INVALID_PLAN', `plan must be one of: ${paidPlanIds().join(', ')}`);
+  const billingCycle = b.billingCycle || 'monthly';
+  if (!CYCLES.includes(billingCycle)) return fail('INVALID_BILLING_CYCLE', `billingCycle must be one of: ${CYCLES.join(', ')}`);
+  const count = parseInt(b.count, 10);
+  if (!Number.isFinite(count) || count < 1 || count > MAX_BATCH_SIZE) return fail('INVALID_COUNT', `count must be 1–${MAX_BATCH_SIZE}`);
+  let expiresAt = null;
+  if (b.expiresAt != null) {
+    expiresAt = new Date(b.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) return fail('INVALID_DATE', 'expiresAt must be an ISO date');
+    if (expiresAt <= new Date()) return fail('INVALID_DATE', 'expiresAt must be in the future');
+  }
+  const label = String(b.label || '').trim().slice(0, 100);
+  if (!label) return fail('LABEL_REQUIRED', 'label is required (e.g. the event the codes are for)');
+  return { ok: true, fields: { plan, billingCycle, count, expiresAt, label, prefix: b.prefix } };
+}
+
+// GET /api/admin/vouchers?status=active&source=batch&batchId=...&limit=200
+router.get('/', requirePermission('billing:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'INVALID_STATUS', message: `status must be one of: ${STATUSES.join(', ')}` });
+      filter.status = req.query.status;
+    }
+    if (req.query.source) filter.source = String(req.query.source);
+    if (req.query.batchId) filter.batchId = String(req.query.batchId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), MAX_BATCH_SIZE);
+    const vouchers = await Voucher.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({ items: vouchers.map(serializeVoucher) });
+  } catch (err) {
+    console.error('GET /api/admin/vouchers error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/vouchers/batches — per-batch counts by status
+router.get('/batches', requirePermission('billing:read'), async (req, res) => {
+  try {
+    const rows = await Voucher.aggregate([
+      { $match: { source: 'batch' } },
+      {
+        $group: {
+          _id: '$batchId',
+          label: { $first: '$label' },
+          plan: { $first: '$plan' },
+          billingCycle: { $first: '$billingCycle' },
+          expiresAt: { $first: '$expiresAt' },
+          createdAt: { $min: '$createdAt' },
+          total: { $sum: 1 },
+          active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+          redeemed: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, 1, 0] } },
+          void: { $sum: { $cond: [{ $eq: ['$status', 'void'] }, 1, 0] } }
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      { $limit: 500 }
+    ]);
+    return res.json({ items: rows.map(({ _id, ...rest }) => ({ batchId: _id, ...rest })) });
+  } catch (err) {
+    console.error('GET /api/admin/vouchers/batches error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/vouchers/batches  { plan, billingCycle, count, label, expiresAt?, prefix? }
+// Returns the codes; they can be listed again with GET /api/admin/vouchers?batchId=
+router.post('/batches', requirePermission('vouchers:manage'), async (req, res) => {
+  try {
+    const input = readBatchInput(req.body);
+    if (!input.ok) return res.status(400).json({ error: input.error, message: input.message });
+
+    let batch;
+    try {
+      batch = await createVoucherBatch({ ...input.fields, createdBy: req.user._id });
+    } catch (e) {
+      if (e instanceof VoucherError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    const { plan, billingCycle, count, expiresAt, label } = input.fields;
+    recordAudit(req, {
+      action: 'voucher.batch_create',
+      target: { type: 'voucher_batch', id: batch.batchId, label },
+      metadata: { plan, billingCycle, count, expiresAt }
+    });
+    return res.status(201).json({
+      ok: true,
+      batchId: batch.batchId,
+      label,
+      plan,
+      billingCycle,
+      expiresAt,
+      codes: batch.vouchers.map(v => v.code)
+    });
+  } catch (err) {
+    console.error('POST /api/admin/vouchers/batches error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/vouchers/batches/:batchId/void  { reason? } — voids every unused code in the batch
+router.post('/batches/:batchId/void', requirePermission('vouchers:manage'), async (req, res) => {
+  try {
+    const batchId = String(req.params.batchId);
+    const reason = String((req.body && req.body.reason) || 'admin').slice(0, 200);
+    const result = await Voucher.updateMany(
+      { batchId, status: 'active' },
+      { $set: { status: 'void', voidedAt: new Date(), voidReason: reason } }
+    );
+    if (!result.matchedCount && !(await Voucher.exists({ batchId }))) {
+      return res.status(404).json({ error: 'BATCH_NOT_FOUND' });
+    }
+    recordAudit(req, {
+      action: 'voucher.batch_void',
+      target: { type: 'voucher_batch', id: batchId },
+      metadata: { reason, voided: result.modifiedCount }
+    });
+    return res.json({ ok: true, batchId, voided: result.modifiedCount });
+  } catch (err) {
+    console.error('POST /api/admin/vouchers/batches/:batchId/void error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/vouchers/:code — one code, with who bought, issued and redeemed it
+router.get('/:code', requirePermission('billing:read'), async (req, res) => {
+  try {
+    const voucher = await Voucher.findOne({ code: normalizeVoucherCode(req.params.code) })
+      .populate('purchasedBy', 'email name')
+      .populate('createdBy', 'email name')
+      .populate('redeemedBy', 'email name')
+      .lean();
+    if (!voucher) return res.status(404).json({ error: 'VOUCHER_NOT_FOUND' });
+    return res.json({
+      voucher: {
+        ...serializeVoucher(voucher),
+        purchasedBy: userSummary(voucher.purchasedBy),
+        createdBy: userSummary(voucher.createdBy),
+        redeemedBy: userSummary(voucher.redeemedBy),
+        paymentId: voucher.paymentId || null,
+        orderId: voucher.orderId || null,
+        amount: voucher.amount,
+        currency: voucher.currency || null,
+        voidReason: voucher.voidReason || null
+      }
+    });
+  } catch (err) {
+    console.error('GET /api/admin/vouchers/:code error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/vouchers/:code/void  { reason? } — unused codes only. Voiding a paid gift
+// does not refund it; use the payment refund endpoint for that (which voids the code too).
+router.post('/:code/void', requirePermission('vouchers:manage'), async (req, res) => {
+  try {
+    const code = normalizeVoucherCode(req.params.code);
+    const reason = String((req.body && req.body.reason) || 'admin').slice(0, 200);
+    const voided = await voidVoucher({ code }, { reason });
+    if (!voided) {
+      const existing = await Voucher.findOne({ code }).lean();
+      if (!existing) return res.status(404).json({ error: 'VOUCHER_NOT_FOUND' });
+      return res.status(409).json({ error: 'VOUCHER_NOT_ACTIVE', message: `This code is already ${existing.status}` });
+    }
+    recordAudit(req, {
+      action: 'voucher.void',
+      target: voucherTarget(voided),
+      before: { status: 'active' },
+      after: { status: 'void' },
+      metadata: { reason, source: voided.source, batchId: voided.batchId || undefined }
+    });
+    return res.json({ ok: true, voucher: serializeVoucher(voided) });
+  } catch (err) {
+    console.error('POST /api/admin/vouchers/:code/void error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
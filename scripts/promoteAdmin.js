@@ -0,0 +1,48 @@
+// Bootstrap the first admin (or fix roles from a shell).
+// Usage: npm run promote-admin -- someone@example.com [role]
+//   role defaults to 'admin'; 'support' and 'user' also work.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/roles');
+
+async function main() {
+  const email = String(process.argv[2] || '').trim().toLowerCase();
+  const role = String(process.argv[3] || 'admin').trim().toLowerCase();
+
+  if (!email) {
+    console.error('Usage: npm run promote-admin -- <email> [role]');
+    process.exit(1);
+  }
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Unknown role '${role}'. Use one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    // Emails from older Google signups may not be lowercase
+    const escaped = email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const user = await User.findOne({ email: new RegExp(`^${escaped}$`, 'i') });
+    if (!user) {
+      console.error(`❌ No user with email ${email}. Log in once first, then re-run.`);
+      process.exitCode = 1;
+      return;
+    }
+    const previous = user.role || 'user';
+    user.role = role;
+    await user.save();
+    console.log(`✅ ${user.email}: ${previous} → ${role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ promote-admin failed:', err && err.stack ? err.stack : err);
+  process.exit(1);
+});
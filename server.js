@@ -2,19 +2,39 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const session = require('express-session');
-const MongoStore = require('connect-mongo');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
 const cron = require('node-cron');
 
 // Import models
 const User = require('./models/User');
 const UserTasteProfile = require('./models/UserTasteProfile');
+const { processDueDeletions } = require('./utils/accountDeletion');
+const { processExpiredPlans, PLAN_GRACE_DAYS } = require('./utils/planExpiry');
+const { processEndedTrials } = require('./utils/trials');
+const { startPlanCatalog } = require('./utils/plans');
 const licenseRoutes = require('./routes/licenseRoutes');
 const billingRoutes = require('./routes/billingRoutes');
 const billingWebhookRoutes = require('./routes/billingWebhook'); // <-- Add this require
 const aiRoutes = require('./routes/aiRoutes');
 const fileRoutes = require('./routes/downloadRoutes');
+const authRoutes = require('./routes/authRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const { jwtAuth, requireTwoFactorComplete, beginTwoFactorIfRequired } = require('./middleware/auth');
+const { createSessionStore, trackSessionMeta } = require('./utils/sessions');
+const sessionRoutes = require('./routes/sessionRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const planRoutes = require('./routes/planRoutes');
+const voucherRoutes = require('./routes/voucherRoutes');
+const referralRoutes = require('./routes/referralRoutes');
+const referralAdminRoutes = require('./routes/referralAdminRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const { isValidCodeChallenge, isAllowedRedirectUri, createAuthCode } = require('./utils/tokens');
+const { recordAudit, userTarget } = require('./utils/audit');
+const { attachReferral } = require('./utils/referrals');
 
 require('dotenv').config();
 
@@ -35,7 +55,8 @@ app.use(cors({
     'https://vara-user-frontend.pages.dev', // For Cloudflare previews
     'https://varamusic.com'                // For your live production site
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 app.options('*', cors());
 app.use('/api/billing/webhook', billingWebhookRoutes); // <-- Mount webhook BEFORE express.json
@@ -46,9 +67,7 @@ app.use(session({
   secret: process.env.SESSION_SECRET || 'vara-music-secret',
   resave: false,
   saveUninitialized: false,
-  store: MongoStore.create({
-    mongoUrl: process.env.MONGODB_URI
-  }),
+  store: createSessionStore(),
   cookie: {
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',                  // required for SameSite=None
@@ -59,27 +78,56 @@ app.use(session({
 
 app.use(passport.initialize());
 app.use(passport.session());
+// Token mode: Authorization: Bearer <access token> populates req.user when there is no session
+app.use(jwtAuth);
+// Device / IP / last-seen info for the session list at /api/user/sessions
+app.use(trackSessionMeta);
 
 // Google OAuth Strategy
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
   clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: process.env.GOOGLE_CALLBACK_URL
-}, async (accessToken, refreshToken, profile, done) => {
+  callbackURL: process.env.GOOGLE_CALLBACK_URL,
+  passReqToCallback: true
+}, async (req, accessToken, refreshToken, profile, done) => {
   try {
-    let user = await User.findOne({ googleId: profile.id });
-    
-    if (user) {
-      return done(null, user);
-    } else {
-      user = await User.create({
-        googleId: profile.id,
-        name: profile.displayName,
-        email: profile.emails[0].value,
-        picture: profile.photos[0].value
+    // Set by GET /api/user/identities/google/link when a logged-in user is adding Google
+    const linkUserId = req.session && req.session.linkGoogleUserId;
+    if (req.session) delete req.session.linkGoogleUserId;
+
+    // Set by GET /api/auth/google?ref=CODE; only a newly created account can be referred
+    const referralCode = req.session && req.session.referralCode;
+    if (req.session) delete req.session.referralCode;
+
+    const result = await User.findOrLinkGoogle(profile, { linkUserId });
+    if (result.user && result.created && referralCode) {
+      await attachReferral({ user: result.user, code: referralCode, source: 'google', req }).catch((e) => {
+        console.warn('[OAUTH] referral not applied:', e && e.code ? e.code : e);
       });
-      return done(null, user);
     }
+    if (!result.user) {
+      return done(null, false, { code: result.code, message: result.message, linking: Boolean(linkUserId) });
+    }
+    return done(null, result.user, { linked: Boolean(result.linked), created: Boolean(result.created), linking: Boolean(linkUserId) });
+  } catch (error) {
+    return done(error, null);
+  }
+}));
+
+// Local (email + password) Strategy
+passport.use(new LocalStrategy({
+  usernameField: 'email',
+  passwordField: 'password'
+}, async (email, password, done) => {
+  try {
+    const user = await User.findOne({ email: String(email || '').trim().toLowerCase() }).select('+password');
+    if (!user || !(await user.matchPassword(password))) {
+      return done(null, false, { code: 'INVALID_CREDENTIALS', message: 'Invalid email or password' });
+    }
+    if (!user.emailVerified) {
+      return done(null, false, { code: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email before logging in' });
+    }
+    return done(null, user);
   } catch (error) {
     return done(error, null);
   }
@@ -128,7 +176,33 @@ app.get('/api/auth/google', (req, res, next) => {
   console.log('🔗 Full request URL:', req.protocol + '://' + req.get('host') + req.originalUrl);
   console.log('🔗 Host header:', req.get('host'));
   console.log('🔗 Origin header:', req.get('origin'));
-  
+
+  // Referral link: /api/auth/google?ref=CODE, applied if this login creates the account
+  if (req.query.ref) req.session.referralCode = String(req.query.ref).slice(0, 32);
+
+  // Token mode (mobile): /api/auth/google?mode=token&code_challenge=...&code_challenge_method=S256&redirect_uri=...&state=...
+  // The callback then redirects to redirect_uri with a one-time code instead of starting a cookie session.
+  if (req.query.mode === 'token') {
+    const codeChallenge = String(req.query.code_challenge || '');
+    const method = String(req.query.code_challenge_method || 'S256');
+    const redirectUri = String(req.query.redirect_uri || '');
+    if (method !== 'S256' || !isValidCodeChallenge(codeChallenge)) {
+      return res.status(400).json({ error: 'INVALID_CODE_CHALLENGE', message: 'A S256 code_challenge is required' });
+    }
+    if (!isAllowedRedirectUri(redirectUri)) {
+      return res.status(400).json({ error: 'INVALID_REDIRECT_URI', message: 'redirect_uri is not registered' });
+    }
+    req.session.tokenRequest = {
+      codeChallenge,
+      redirectUri,
+      state: req.query.state ? String(req.query.state) : null
+    };
+    return req.session.save((err) => {
+      if (err) return next(err);
+      passport.authenticate('google', { scope: ['profile', 'email'] })(req, res, next);
+    });
+  }
+
   passport.authenticate('google', {
     scope: ['profile', 'email']
   })(req, res, next);
@@ -136,21 +210,50 @@ app.get('/api/auth/google', (req, res, next) => {
 
 app.get('/api/auth/google/callback',
   (req, res, next) => {
-    // This middleware will now dynamically set the failure redirect
     console.log('🔄 Processing Google OAuth callback...');
     console.log('Query params:', req.query);
 
     // Get the frontend URL from your Render environment variables
-    const frontendUrl = process.env.FRONTEND_URL;
-    
-    // Define the URL to send users to if they cancel (e.g., back to the login page)
     // We'll use your live site as a fallback in case the env var is missing
-    const safeFrontendUrl = frontendUrl || 'https://varamusic.com';
-    const failureRedirectUrl = `${safeFrontendUrl}/login?error=cancelled`;
+    const safeFrontendUrl = process.env.FRONTEND_URL || 'https://varamusic.com';
 
-    // Now, call passport.authenticate with the dynamic failure URL
-    passport.authenticate('google', { 
-      failureRedirect: failureRedirectUrl 
+    passport.authenticate('google', (err, user, info) => {
+      if (err) return next(err);
+
+      const tokenRequest = req.session && req.session.tokenRequest;
+      if (tokenRequest) {
+        delete req.session.tokenRequest;
+        return handleTokenModeCallback(req, res, next, tokenRequest, user, info);
+      }
+
+      if (!user) {
+        // Cancelled at Google, or the profile could not be linked (e.g. IDENTITY_IN_USE)
+        const code = (info && info.code) || 'cancelled';
+        const target = (info && info.linking)
+          ? `${safeFrontendUrl}/account?link=failed&error=${encodeURIComponent(code)}`
+          : `${safeFrontendUrl}/login?error=${encodeURIComponent(code)}`;
+        console.log('[OAUTH] failed, redirecting user to:', target);
+        return res.redirect(target);
+      }
+      req.logIn(user, (loginErr) => {
+        if (loginErr) return next(loginErr);
+        req.authInfo = info;
+        // Linking happens from an already verified session, so it never re-prompts for 2FA
+        if (!(info && info.linking)) {
+          req.authInfo.twoFactorRequired = beginTwoFactorIfRequired(req, user);
+        }
+        recordAudit(req, {
+          action: (info && info.linking) ? 'auth.identity_link' : 'auth.login',
+          target: userTarget(user),
+          metadata: {
+            method: 'google',
+            channel: 'session',
+            created: Boolean(info && info.created),
+            twoFactorRequired: Boolean(req.authInfo.twoFactorRequired)
+          }
+        });
+        next();
+      });
     })(req, res, next);
   },
   // This next function will ONLY be called if authentication succeeds
@@ -161,14 +264,41 @@ app.get('/api/auth/google/callback',
       console.error('❌ FRONTEND_URL env var is missing. Set it in Render.');
       return res.status(500).send('Server misconfigured: FRONTEND_URL not set');
     }
-    const target = `${frontendUrl}?login=success`;
+    const target = (req.authInfo && req.authInfo.linking)
+      ? `${frontendUrl}/account?link=success&provider=google`
+      : (req.authInfo && req.authInfo.twoFactorRequired)
+        ? `${frontendUrl}/login/2fa`
+        : `${frontendUrl}?login=success`;
     console.log('[OAUTH] redirecting user to:', target);
     return res.redirect(target);
   }
 );
 
+// Token mode: hand the app a one-time PKCE code on its registered redirect URI; no cookie session is created
+function handleTokenModeCallback(req, res, next, tokenRequest, user, info) {
+  const target = new URL(tokenRequest.redirectUri);
+  if (tokenRequest.state) target.searchParams.set('state', tokenRequest.state);
+
+  if (!user) {
+    target.searchParams.set('error', (info && info.code) || 'cancelled');
+    console.log('[OAUTH] token mode failed, redirecting app to:', target.origin + target.pathname);
+    return res.redirect(target.toString());
+  }
+
+  createAuthCode(user, tokenRequest)
+    .then((code) => {
+      target.searchParams.set('code', code);
+      console.log('[OAUTH] token mode success, redirecting app to:', target.origin + target.pathname);
+      return res.redirect(target.toString());
+    })
+    .catch(next);
+}
+
 app.post('/api/logout', (req, res) => {
   console.log('🔄 Logout requested...');
+  if (req.user) {
+    recordAudit(req, { action: 'auth.logout', target: userTarget(req.user), metadata: { channel: 'session' } });
+  }
   req.logout((err) => {
     if (err) {
       return res.status(500).json({ message: 'Error logging out' });
@@ -183,10 +313,27 @@ app.post('/api/logout', (req, res) => {
   });
 });
 
+// Local account routes (signup, login, verification, password reset)
+app.use('/api/auth', authRoutes);
+
+// Sessions waiting on a 2FA code can only use the login, 2FA and logout endpoints above;
+// every router mounted below needs the second factor first
+app.use(requireTwoFactorComplete);
+
 // User routes
+app.use('/api/user/2fa', twoFactorRoutes);
+app.use('/api/user/api-keys', apiKeyRoutes);
+app.use('/api/user/sessions', sessionRoutes);
 app.use('/api/user', require('./routes/userRoutes'));
 app.use('/api/license', licenseRoutes);
 app.use('/api/billing', billingRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/referrals', referralRoutes);
+app.use('/api/admin/audit-events', auditRoutes);
+app.use('/api/admin/coupons', couponRoutes);
+app.use('/api/admin/plans', planRoutes);
+app.use('/api/admin/vouchers', voucherRoutes);
+app.use('/api/admin/referrals', referralAdminRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/files', fileRoutes);
 
@@ -213,11 +360,51 @@ cron.schedule('0 2 1 * *', async () => {
 
 console.log('✅ Monthly taste profile decay cron job scheduled (1st of every month at 2 AM)');
 
+// Hourly cron job: downgrade paid plans that ended more than the grace period ago,
+// and clear free trials that have run out
+cron.schedule('15 * * * *', async () => {
+  try {
+    const result = await processExpiredPlans();
+    if (result.expired) console.log('✅ Plan expiry cron job completed:', result);
+  } catch (error) {
+    console.error('❌ Plan expiry cron job failed:', error);
+  }
+  try {
+    const trials = await processEndedTrials();
+    if (trials.ended) console.log('✅ Trial expiry cron job completed:', trials);
+  } catch (error) {
+    console.error('❌ Trial expiry cron job failed:', error);
+  }
+});
+
+console.log(`✅ Hourly plan expiry cron job scheduled (grace period: ${PLAN_GRACE_DAYS} days)`);
+
+// Daily cron job: anonymise accounts whose deletion grace period has ended (3 AM)
+cron.schedule('0 3 * * *', async () => {
+  console.log('🗑️ Running scheduled account deletions...');
+  try {
+    const result = await processDueDeletions();
+    console.log('✅ Account deletion cron job completed:', result);
+  } catch (error) {
+    console.error('❌ Account deletion cron job failed:', error);
+  }
+});
+
+console.log('✅ Daily account deletion cron job scheduled (3 AM)');
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI)
   .then(async () => {
     console.log('✅ Connected to MongoDB');
-    
+
+    // Seed missing default plans and load the catalogue (built-in defaults serve until then)
+    try {
+      const count = await startPlanCatalog();
+      console.log(`💳 Plan catalogue loaded (${count} plans)`);
+    } catch (err) {
+      console.error('❌ Plan catalogue load failed, using built-in defaults:', err && err.message ? err.message : err);
+    }
+
     const port = process.env.PORT || 5000;
     app.listen(port, () => {
       console.log(`🚀 Auth server running on port ${port}`);
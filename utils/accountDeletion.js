@@ -0,0 +1,202 @@
+const User = require('../models/User');
+const License = require('../models/License');
+const UserTasteProfile = require('../models/UserTasteProfile');
+const ApiKey = require('../models/ApiKey');
+const { signOutEverywhere } = require('./sessions');
+const { recordAudit } = require('./audit');
+const { detachDeletedUser } = require('./organizations');
+const { isRenewing } = require('./subscriptions');
+const { getRazorpayClient } = require('./razorpayProvider');
+
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+
+// "rajat@example.com" → "r***@example.com"
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!local || !domain) return 'deleted user';
+  return `${local[0]}***@${domain}`;
+}
+
+// Everything we hold about a user, for GET /api/user/export
+async function buildExport(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [tasteProfile, licenses, apiKeys] = await Promise.all([
+    UserTasteProfile.findOne({ userId }).lean(),
+    License.find({ user: userId }).sort({ issuedAt: -1 }).lean(),
+    ApiKey.find({ user: userId }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    format: 'vara-user-export/v1',
+    profile: {
+      id: String(user._id),
+      name: user.name,
+      email: user.email,
+      emailVerified: Boolean(user.emailVerified),
+      picture: user.picture || null,
+      role: user.role || 'user',
+      createdAt: user.createdAt || null,
+      lastActive: user.lastActive || null,
+      youtube_channel_link: user.youtube_channel_link || null,
+      youtube_channel_name: user.youtube_channel_name || null,
+      youtube_original_url: user.youtube_original_url || null,
+      loginMethods: (user.identities || []).map(i => ({ provider: i.provider, email: i.email || null, linkedAt: i.linkedAt || null })),
+      twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+      deletionScheduledFor: user.deletionScheduledFor || null
+    },
+    subscription: {
+      is_premium: Boolean(user.is_premium),
+      subscription_type: user.subscription_type || 'free',
+      subscription_start: user.subscription_start || null,
+      subscription_end: user.subscription_end || null
+    },
+    favorites: (user.favorites || []).map(String),
+    downloads: (user.downloads || []).map(d => ({
+      songId: d.songId ? String(d.songId) : null,
+      songTitle: d.songTitle || null,
+      downloadedAt: d.downloadedAt || null
+    })),
+    aiQueries: (user.aiQueries || []).map(q => ({ at: q.at || null, topK: q.topK == null ? null : q.topK })),
+    tasteProfile: tasteProfile
+      ? {
+          genres: (tasteProfile.genres || []).map(g => ({ genreId: g.genreId, genreName: g.genreName, score: g.score })),
+          subGenres: (tasteProfile.subGenres || []).map(sg => ({
+            subGenreId: sg.subGenreId,
+            subGenreName: sg.subGenreName,
+            parentGenreId: sg.parentGenreId,
+            score: sg.score
+          })),
+          totalInteractions: tasteProfile.totalInteractions || 0,
+          lastUpdated: tasteProfile.lastUpdated || null
+        }
+      : null,
+    licenses: licenses.map(l => ({
+      licenseId: l.license_id || l.licenseId,
+      songId: l.songId,
+      songTitle: l.songTitle,
+      issuedToEmail: l.issuedToEmail,
+      issuedToName: l.issuedToName || null,
+      planAtIssue: l.planAtIssue,
+      licenseType: l.licenseType,
+      validFor: l.validFor,
+      issuedAt: l.issuedAt,
+      isRevoked: Boolean(l.isRevoked)
+    })),
+    apiKeys: apiKeys.map(k => ({
+      name: k.name,
+      keyPreview: k.keyPreview,
+      scopes: k.scopes,
+      createdAt: k.createdAt,
+      lastUsedAt: k.lastUsedAt,
+      revokedAt: k.revokedAt
+    }))
+  };
+}
+
+function scheduleDeletion(user, now = new Date()) {
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  return user.deletionScheduledFor;
+}
+
+function cancelDeletion(user) {
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+}
+
+// Irreversibly strip personal data. Licenses are kept (creators' videos depend on them)
+// but their contact details are masked; /api/license/verify keeps working.
+async function anonymizeUser(userId) {
+  const user = await User.findById(userId).select('+password');
+  if (!user || user.deletedAt) return false;
+
+  const originalEmail = user.email;
+  const now = new Date();
+
+  // /delete refuses renewing accounts, but one can be started during the grace period.
+  // Cancel it now; if Razorpay fails, stop here and let the next cron run retry.
+  if (isRenewing(user)) {
+    const subscriptionId = user.razorpay_subscription_id;
+    const subscription = await getRazorpayClient().subscriptions.cancel(subscriptionId, false);
+    user.subscription_status = (subscription && subscription.status) || 'cancelled';
+    await recordAudit(null, {
+      action: 'billing.subscription_cancel_requested',
+      actor: { type: 'system' },
+      target: { type: 'user', id: String(user._id), label: maskEmail(originalEmail) },
+      metadata: { subscriptionId, atCycleEnd: false, reason: 'account_deleted' }
+    });
+  }
+
+  await License.updateMany(
+    { user: user._id },
+    { $set: { issuedToEmail: maskEmail(originalEmail), holderDeletedAt: now } }
+  );
+  // An individual license names the person (channel, brand or real name), which the public
+  // verify endpoint shows; organization licenses keep the organization's name
+  await License.updateMany(
+    { user: user._id, organization: null },
+    { $set: { issuedToName: 'Deleted user' } }
+  );
+  await UserTasteProfile.deleteOne({ userId: user._id });
+  await ApiKey.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: now } });
+  await signOutEverywhere(user._id, { reason: 'account_deleted' });
+  await detachDeletedUser(user._id);
+
+  user.name = 'Deleted user';
+  user.email = `deleted+${user._id}@deleted.varamusic.invalid`;
+  user.emailVerified = false;
+  user.picture = undefined;
+  user.password = undefined;
+  user.googleId = undefined;
+  user.identities = [];
+  user.referral_code = undefined;
+  user.bonus_downloads = 0;
+  user.disableTwoFactor();
+  user.youtube_channel_link = null;
+  user.youtube_original_url = null;
+  user.youtube_channel_name = null;
+  user.favorites = [];
+  user.downloads = [];
+  user.aiQueries = [];
+  user.is_premium = false;
+  user.subscription_type = 'free';
+  user.role = 'user';
+  user.deletionScheduledFor = null;
+  user.deletedAt = now;
+  await user.save();
+  await recordAudit(null, {
+    action: 'account.anonymized',
+    actor: { type: 'system' },
+    target: { type: 'user', id: String(user._id), label: maskEmail(originalEmail) }
+  });
+
+  console.log('🗑️ Account anonymised:', String(user._id));
+  return true;
+}
+
+// Cron: anonymise every account whose grace period has passed
+async function processDueDeletions(now = new Date()) {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: now }, deletedAt: null }).select('_id').lean();
+  let processed = 0;
+  for (const { _id } of due) {
+    try {
+      if (await anonymizeUser(_id)) processed++;
+    } catch (err) {
+      console.error('❌ Account deletion failed for', String(_id), err && err.message ? err.message : err);
+    }
+  }
+  return { success: true, due: due.length, processed };
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  maskEmail,
+  buildExport,
+  scheduleDeletion,
+  cancelDeletion,
+  anonymizeUser,
+  processDueDeletions
+};
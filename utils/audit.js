@@ -0,0 +1,82 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Keep only keys whose values differ, so events show exactly what changed
+function diffFields(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const out = { before: {}, after: {} };
+  for (const key of keys) {
+    const a = normalizeValue(before ? before[key] : undefined);
+    const b = normalizeValue(after ? after[key] : undefined);
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      out.before[key] = a;
+      out.after[key] = b;
+    }
+  }
+  return out;
+}
+
+function normalizeValue(v) {
+  if (v === undefined) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (v && typeof v === 'object' && typeof v.toHexString === 'function') return v.toHexString();
+  return v;
+}
+
+// Plan-related fields captured before/after billing changes
+function planSnapshot(user) {
+  return {
+    subscription_type: user ? user.subscription_type : null,
+    is_premium: user ? Boolean(user.is_premium) : null,
+    subscription_start: user ? user.subscription_start : null,
+    subscription_end: user ? user.subscription_end : null,
+    billing_cycle: user ? user.billing_cycle || null : null
+  };
+}
+
+// Actor for events where the user isn't on req yet (token grants, webhooks acting for a buyer)
+function userActor(user, type = 'user') {
+  if (!user) return { type: 'system' };
+  return {
+    type,
+    user: user._id || user,
+    email: user.email || null,
+    role: user.role || null
+  };
+}
+
+function actorFromRequest(req) {
+  const user = req && req.user;
+  if (!user) return { type: 'system' };
+  return userActor(user, req.authMethod === 'api_key' ? 'api_key' : 'user');
+}
+
+// Record an audit event. Never throws: auditing must not break the action being audited.
+//   recordAudit(req, { action, target: { type, id, label }, before, after, metadata, actor })
+async function recordAudit(req, { action, actor, target, before, after, metadata } = {}) {
+  try {
+    const changes = (before || after) ? diffFields(before, after) : undefined;
+    await AuditEvent.create({
+      action,
+      actor: actor || actorFromRequest(req),
+      target: target || {},
+      ip: (req && req.ip) || null,
+      userAgent: (req && req.get && req.get('user-agent')) || null,
+      changes,
+      metadata
+    });
+  } catch (err) {
+    console.error('[audit] failed to record', action, err && err.message ? err.message : err);
+  }
+}
+
+function userTarget(user) {
+  return user ? { type: 'user', id: String(user._id), label: user.email || null } : {};
+}
+
+module.exports = {
+  recordAudit,
+  diffFields,
+  planSnapshot,
+  userActor,
+  userTarget
+};
@@ -0,0 +1,146 @@
+// Billing period helpers shared by the order, verify, webhook and subscription flows.
+// Paid access is bought per billing cycle; usage quotas still reset per UTC calendar month.
+// Plan names, prices and ranks come from the plan catalogue (utils/plans.js).
+const { getPlanRank, normalizePlanLabel } = require('./plans');
+
+const BILLING_CYCLES = ['monthly', 'annual'];
+
+// Monthly passes have always been 30 days; annual ones run 12 calendar months
+const MONTHLY_PERIOD_DAYS = 30;
+const ANNUAL_PERIOD_MONTHS = 12;
+
+function normalizeCycle(billingCycle) {
+  return String(billingCycle || '').toLowerCase() === 'annual' ? 'annual' : 'monthly';
+}
+
+function plusDays(baseDate, days) {
+  const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+  return new Date(baseDate.getTime() + days * ONE_DAY_MS);
+}
+
+// Calendar months in UTC, clamped to the last day (Jan 31 + 1 month → Feb 28/29)
+function plusUtcMonths(baseDate, months) {
+  const d = new Date(baseDate.getTime());
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+function addBillingPeriod(baseDate, billingCycle) {
+  return normalizeCycle(billingCycle) === 'annual'
+    ? plusUtcMonths(baseDate, ANNUAL_PERIOD_MONTHS)
+    : plusDays(baseDate, MONTHLY_PERIOD_DAYS);
+}
+
+// Current UTC month window (start inclusive, end exclusive)
+function getUtcMonthRange(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0, 0));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0, 0));
+  return { start, end };
+}
+
+function resetCurrentMonthUsage(user, now = new Date()) {
+  const { start, end } = getUtcMonthRange(now);
+  // Reset downloads in current UTC month
+  user.downloads = (user.downloads || []).filter(d => {
+    const dt = d && d.downloadedAt ? new Date(d.downloadedAt) : null;
+    return !(dt && dt >= start && dt < end);
+  });
+  // Reset AI usage in current UTC month
+  user.aiQueries = (user.aiQueries || []).filter(q => {
+    const t = q && q.at ? new Date(q.at) : null;
+    return !(t && t >= start && t < end);
+  });
+  return { start, end };
+}
+
+// ---------- Plan changes ----------
+
+// Razorpay won't create orders below ₹1
+const MIN_ORDER_PAISE = 100;
+
+function currentPaidPlan(user, now = new Date()) {
+  const raw = String((user && user.subscription_type) || 'free').toLowerCase();
+  if (raw === 'free') return null;
+  const plan = normalizePlanLabel(raw); // legacy 'premium' → starter
+  const end = user && user.subscription_end ? new Date(user.subscription_end) : null;
+  if (!end || end <= now) return null;
+  return { plan, billingCycle: normalizeCycle(user.billing_cycle), periodEnd: end };
+}
+
+// 'upgrade' applies now; 'downgrade' waits for the end of the paid period.
+// Moving monthly → annual on the same tier counts as an upgrade, annual → monthly as a downgrade.
+function classifyPlanChange(from, to) {
+  if (!from) return 'new';
+  if (from.plan === to.plan && from.billingCycle === to.billingCycle) return 'renewal';
+  const diff = getPlanRank(to.plan) - getPlanRank(from.plan);
+  if (diff > 0) return 'upgrade';
+  if (diff < 0) return 'downgrade';
+  return to.billingCycle === 'annual' ? 'upgrade' : 'downgrade';
+}
+
+// Quote switching `user` to `target` ({ plan, billingCycle }).
+// priceOf(plan, billingCycle) → paise. Credit is the unused share of what the current
+// plan costs per period, so stacked renewals are credited in full.
+function quotePlanChange(user, target, priceOf, now = new Date()) {
+  const to = { plan: target.plan, billingCycle: normalizeCycle(target.billingCycle) };
+  const from = currentPaidPlan(user, now);
+  const kind = classifyPlanChange(from, to);
+  const pricePaise = priceOf(to.plan, to.billingCycle);
+
+  const quote = {
+    kind,
+    from: from
+      ? {
+          plan: from.plan,
+          billingCycle: from.billingCycle,
+          periodEnd: from.periodEnd,
+          remainingDays: Math.ceil((from.periodEnd.getTime() - now.getTime()) / (24 * 60 * 60 * 1000))
+        }
+      : null,
+    to,
+    pricePaise,
+    creditPaise: 0,
+    amountDuePaise: pricePaise,
+    effectiveAt: now,
+    newPeriodEnd: addBillingPeriod(now, to.billingCycle)
+  };
+
+  if (kind === 'upgrade') {
+    const periodMs = addBillingPeriod(now, from.billingCycle).getTime() - now.getTime();
+    const remainingMs = from.periodEnd.getTime() - now.getTime();
+    const creditPaise = Math.floor(priceOf(from.plan, from.billingCycle) * remainingMs / periodMs);
+    quote.creditPaise = creditPaise;
+    quote.amountDuePaise = Math.max(0, pricePaise - creditPaise);
+    // Credit beyond the new price becomes extra time on the new plan
+    if (creditPaise > pricePaise && pricePaise > 0) {
+      const newPeriodMs = quote.newPeriodEnd.getTime() - now.getTime();
+      quote.newPeriodEnd = new Date(quote.newPeriodEnd.getTime() + Math.floor(newPeriodMs * (creditPaise - pricePaise) / pricePaise));
+    }
+    // Too small to charge: the switch is free
+    if (quote.amountDuePaise < MIN_ORDER_PAISE) quote.amountDuePaise = 0;
+  } else if (kind === 'downgrade') {
+    // Nothing is charged now; the lower plan is billed when the current period ends
+    quote.amountDuePaise = 0;
+    quote.effectiveAt = from.periodEnd;
+    quote.newPeriodEnd = addBillingPeriod(from.periodEnd, to.billingCycle);
+  }
+  return quote;
+}
+
+module.exports = {
+  BILLING_CYCLES,
+  getUtcMonthRange,
+  resetCurrentMonthUsage,
+  MIN_ORDER_PAISE,
+  normalizeCycle,
+  plusDays,
+  plusUtcMonths,
+  addBillingPeriod,
+  currentPaidPlan,
+  classifyPlanChange,
+  quotePlanChange
+};
@@ -0,0 +1,109 @@
+// Persists every processed payment webhook to billing_events (the payment timeline).
+// The webhook opens an entry as soon as the signature checks out and closes it with the
+// outcome once the handler has run. Like recordAudit(), closing never throws.
+const BillingEvent = require('../models/BillingEvent');
+
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
+}
+
+function entityOf(payload, name) {
+  return (payload && payload.payload && payload.payload[name] && payload.payload[name].entity) || null;
+}
+
+// Ids, amounts and statuses from the webhook payload. The most specific entity
+// (refund > dispute > payment > subscription) supplies amount and status.
+function describeWebhook(payload) {
+  const payment = entityOf(payload, 'payment');
+  const refund = entityOf(payload, 'refund');
+  const dispute = entityOf(payload, 'dispute');
+  const subscription = entityOf(payload, 'subscription');
+  const primary = refund || dispute || payment || subscription || {};
+
+  const details = {};
+  if (payment) {
+    if (payment.method) details.method = payment.method;
+    if (payment.error_code) details.errorCode = payment.error_code;
+    if (payment.error_description) details.errorDescription = payment.error_description;
+    if (payment.error_reason) details.errorReason = payment.error_reason;
+    if (payment.refund_status) details.refundStatus = payment.refund_status;
+    if (payment.amount_refunded != null) details.amountRefunded = Number(payment.amount_refunded);
+  }
+  if (dispute) {
+    if (dispute.reason_code) details.reasonCode = dispute.reason_code;
+    if (dispute.phase) details.phase = dispute.phase;
+    if (dispute.respond_by) details.respondBy = new Date(Number(dispute.respond_by) * 1000);
+  }
+
+  return {
+    event: String(payload.event || 'unknown'),
+    paymentId: (payment && payment.id) || (refund && refund.payment_id) || (dispute && dispute.payment_id) || null,
+    orderId: (payment && payment.order_id) || null,
+    subscriptionId: (subscription && subscription.id) || null,
+    refundId: (refund && refund.id) || null,
+    disputeId: (dispute && dispute.id) || null,
+    amount: primary.amount != null ? Number(primary.amount) : null,
+    currency: primary.currency || null,
+    status: primary.status || null,
+    details: Object.keys(details).length ? details : null
+  };
+}
+
+// Returns { duplicate: true } for a redelivered event id, otherwise { entry }.
+// payload is in the Razorpay shape (other providers' events are translated first).
+async function openBillingEvent(payload, eventId = null, provider = 'razorpay') {
+  try {
+    const entry = await BillingEvent.create({ ...describeWebhook(payload), provider, eventId: eventId || undefined });
+    return { duplicate: false, entry };
+  } catch (e) {
+    if (eventId && isDuplicateKey(e)) return { duplicate: true, entry: null };
+    throw e;
+  }
+}
+
+// fields: { outcome, userId?, error?, details? }. An 'error' outcome frees the event id
+// so a redelivery of the same event is processed again.
+async function closeBillingEvent(entry, fields = {}) {
+  if (!entry) return;
+  try {
+    const $set = { outcome: fields.outcome || 'processed' };
+    if (fields.userId) $set.userId = fields.userId;
+    if (fields.error) $set.error = String(fields.error);
+    if (fields.details) $set.details = { ...(entry.details || {}), ...fields.details };
+    const update = { $set };
+    if ($set.outcome === 'error') update.$unset = { eventId: 1 };
+    await BillingEvent.updateOne({ _id: entry._id }, update);
+  } catch (err) {
+    console.error('[billing-events] failed to close event:', err && err.message ? err.message : err);
+  }
+}
+
+function serializeBillingEvent(e, { staff = false } = {}) {
+  const item = {
+    id: String(e._id),
+    event: e.event,
+    outcome: e.outcome,
+    paymentId: e.paymentId,
+    orderId: e.orderId,
+    subscriptionId: e.subscriptionId,
+    refundId: e.refundId,
+    disputeId: e.disputeId,
+    amount: e.amount,
+    currency: e.currency,
+    status: e.status,
+    at: e.receivedAt
+  };
+  if (staff) {
+    item.eventId = e.eventId || null;
+    item.error = e.error || null;
+    item.details = e.details || null;
+  }
+  return item;
+}
+
+module.exports = {
+  describeWebhook,
+  openBillingEvent,
+  closeBillingEvent,
+  serializeBillingEvent
+};
@@ -0,0 +1,192 @@
+// Coupon checks and the reserve → redeem lifecycle used by checkout.
+//   /api/billing/quote        evaluateCoupon()         (no side effects)
+//   /api/billing/create-order evaluateCoupon() + reserveCoupon(), then attachOrder()
+//   verify / webhook          redeemCouponForOrder()   (from the shared activation)
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const PaymentEvent = require('../models/PaymentEvent');
+const { MIN_ORDER_PAISE } = require('./billing');
+
+// How long an unpaid checkout holds a redemption slot
+const RESERVATION_MINUTES = Number(process.env.COUPON_RESERVATION_MINUTES || 30);
+
+class CouponError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Discount in minor units of the order currency. Never takes the order below Razorpay's
+// minimum, so a 100% code still leaves ₹1 (or 1.00 of any other currency) to pay.
+function computeDiscount(coupon, pricePaise) {
+  const raw = coupon.type === 'percent'
+    ? Math.floor(pricePaise * Math.min(100, coupon.value) / 100)
+    : Math.floor(coupon.value);
+  return Math.max(0, Math.min(raw, pricePaise - MIN_ORDER_PAISE));
+}
+
+// Reservations past their window give their slot back
+async function releaseStaleReservations(couponId, now = new Date()) {
+  const stale = await CouponRedemption.find({ coupon: couponId, status: 'reserved', reservedUntil: { $lt: now } })
+    .select('_id').lean();
+  for (const { _id } of stale) {
+    const released = await CouponRedemption.findOneAndUpdate({ _id, status: 'reserved' }, { $set: { status: 'released' } });
+    if (released) await Coupon.updateOne({ _id: couponId }, { $inc: { reservedCount: -1 } });
+  }
+}
+
+// Release the user's own open checkouts with this coupon (they're starting a new one)
+async function releaseUserReservations(couponId, userId) {
+  const open = await CouponRedemption.find({ coupon: couponId, user: userId, status: 'reserved' }).select('_id').lean();
+  for (const { _id } of open) {
+    const released = await CouponRedemption.findOneAndUpdate({ _id, status: 'reserved' }, { $set: { status: 'released' } });
+    if (released) await Coupon.updateOne({ _id: couponId }, { $inc: { reservedCount: -1 } });
+  }
+}
+
+// Check a code against a purchase. Throws CouponError; returns { coupon, discountPaise, amountDuePaise }.
+//   countOwnReservations: false when the caller is about to replace the user's open checkout
+async function evaluateCoupon({ code, user, plan, billingCycle, pricePaise, currency = 'INR', now = new Date(), countOwnReservations = true }) {
+  const normalized = normalizeCode(code);
+  if (!normalized) throw new CouponError('COUPON_REQUIRED', 'Enter a coupon code');
+
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon) throw new CouponError('COUPON_NOT_FOUND', 'This coupon code does not exist', 404);
+  if (!coupon.active) throw new CouponError('COUPON_INACTIVE', 'This coupon is no longer active');
+  if (coupon.startsAt && coupon.startsAt > now) throw new CouponError('COUPON_NOT_STARTED', 'This coupon is not valid yet');
+  if (coupon.expiresAt && coupon.expiresAt <= now) throw new CouponError('COUPON_EXPIRED', 'This coupon has expired');
+  if (coupon.plans.length && !coupon.plans.includes(plan)) {
+    throw new CouponError('COUPON_NOT_APPLICABLE', `This coupon is only valid for: ${coupon.plans.join(', ')}`);
+  }
+  if (coupon.billingCycles.length && !coupon.billingCycles.includes(billingCycle)) {
+    throw new CouponError('COUPON_NOT_APPLICABLE', `This coupon is only valid for ${coupon.billingCycles.join('/')} billing`);
+  }
+  // A flat amount only means something in the currency it was set in
+  if (coupon.type === 'flat' && (coupon.currency || 'INR') !== currency) {
+    throw new CouponError('COUPON_NOT_APPLICABLE', `This coupon is only valid for payments in ${coupon.currency || 'INR'}`);
+  }
+
+  await releaseStaleReservations(coupon._id, now);
+  const fresh = await Coupon.findById(coupon._id).select('reservedCount redeemedCount').lean();
+  if (coupon.maxRedemptions != null && (fresh.reservedCount + fresh.redeemedCount) >= coupon.maxRedemptions) {
+    throw new CouponError('COUPON_EXHAUSTED', 'This coupon has been fully redeemed', 409);
+  }
+
+  const statuses = countOwnReservations ? ['reserved', 'redeemed'] : ['redeemed'];
+  const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: user._id, status: { $in: statuses } });
+  if (coupon.perUserLimit && used >= coupon.perUserLimit) {
+    throw new CouponError('COUPON_USER_LIMIT', 'You have already used this coupon', 409);
+  }
+
+  if (coupon.firstPurchaseOnly) {
+    const paidBefore = await PaymentEvent.exists({ userId: user._id, status: { $in: ['applied', 'reversed'] } });
+    if (paidBefore) throw new CouponError('COUPON_FIRST_PURCHASE_ONLY', 'This coupon is only valid on your first purchase', 409);
+  }
+
+  const discountPaise = computeDiscount(coupon, pricePaise);
+  return { coupon, discountPaise, amountDuePaise: pricePaise - discountPaise };
+}
+
+// Take a slot for a checkout. The conditional $inc is what enforces maxRedemptions under
+// concurrency; evaluateCoupon() only gives the early, friendly error.
+async function reserveCoupon({ coupon, user, plan, billingCycle, currency = 'INR', pricePaise, discountPaise, now = new Date() }) {
+  await releaseUserReservations(coupon._id, user._id);
+
+  const filter = { _id: coupon._id, active: true };
+  if (coupon.maxRedemptions != null) {
+    filter.$expr = { $lt: [{ $add: ['$reservedCount', '$redeemedCount'] }, coupon.maxRedemptions] };
+  }
+  const claimed = await Coupon.findOneAndUpdate(filter, { $inc: { reservedCount: 1 } });
+  if (!claimed) throw new CouponError('COUPON_EXHAUSTED', 'This coupon has been fully redeemed', 409);
+
+  return CouponRedemption.create({
+    coupon: coupon._id,
+    code: coupon.code,
+    user: user._id,
+    plan,
+    billingCycle,
+    currency,
+    pricePaise,
+    discountPaise,
+    reservedUntil: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000)
+  });
+}
+
+async function attachOrder(redemption, orderId) {
+  await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { orderId } });
+}
+
+// Order creation failed: give the slot back
+async function releaseReservation(redemption) {
+  const released = await CouponRedemption.findOneAndUpdate({ _id: redemption._id, status: 'reserved' }, { $set: { status: 'released' } });
+  if (released) await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { reservedCount: -1 } });
+}
+
+// Paid orders are checked against the coupon's limits again: each checkout releases the
+// user's earlier reservation and reservations lapse, but those orders stay payable. Throws
+// CouponError when this payment would take the coupon past a limit.
+async function checkRedemptionLimits(redemption, coupon, paymentId) {
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: redemption.user, status: 'redeemed' });
+    if (used >= coupon.perUserLimit) throw new CouponError('COUPON_USER_LIMIT', 'This coupon was already used on another payment', 409);
+  }
+  if (coupon.firstPurchaseOnly) {
+    const paidBefore = await PaymentEvent.exists({ userId: redemption.user, paymentId: { $ne: paymentId }, status: { $in: ['applied', 'reversed'] } });
+    if (paidBefore) throw new CouponError('COUPON_FIRST_PURCHASE_ONLY', 'This coupon is only valid on a first purchase', 409);
+  }
+  if (redemption.status !== 'released') return;
+
+  // A released reservation gave its slot back: take one again, or the coupon is used up
+  const filter = { _id: coupon._id };
+  if (coupon.maxRedemptions != null) {
+    filter.$expr = { $lt: [{ $add: ['$reservedCount', '$redeemedCount'] }, coupon.maxRedemptions] };
+  }
+  const claimed = await Coupon.findOneAndUpdate(filter, { $inc: { reservedCount: 1 } });
+  if (!claimed) throw new CouponError('COUPON_EXHAUSTED', 'This coupon has been fully redeemed', 409);
+  const reclaimed = await CouponRedemption.findOneAndUpdate({ _id: redemption._id, status: 'released' }, { $set: { status: 'reserved' } });
+  if (!reclaimed) await Coupon.updateOne({ _id: coupon._id }, { $inc: { reservedCount: -1 } });
+}
+
+// The order was paid: record the redemption against the payment, after checkRedemptionLimits()
+async function redeemCouponForOrder({ orderId, paymentId, now = new Date() }) {
+  const redemption = await CouponRedemption.findOne({ orderId, status: { $in: ['reserved', 'released'] } }).lean();
+  if (!redemption) return null;
+  const coupon = await Coupon.findById(redemption.coupon).lean();
+  if (coupon) await checkRedemptionLimits(redemption, coupon, paymentId);
+
+  const previous = await CouponRedemption.findOneAndUpdate(
+    { _id: redemption._id, status: 'reserved' },
+    { $set: { status: 'redeemed', paymentId, redeemedAt: now } }
+  );
+  if (!previous) return null;
+  await Coupon.updateOne({ _id: previous.coupon }, { $inc: { redeemedCount: 1, reservedCount: -1 } });
+  return previous;
+}
+
+function publicCoupon(coupon) {
+  return {
+    code: coupon.code,
+    description: coupon.description || '',
+    type: coupon.type,
+    value: coupon.value,
+    currency: coupon.type === 'flat' ? (coupon.currency || 'INR') : null
+  };
+}
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  computeDiscount,
+  evaluateCoupon,
+  reserveCoupon,
+  attachOrder,
+  releaseReservation,
+  redeemCouponForOrder,
+  publicCoupon
+};
@@ -0,0 +1,95 @@
+// Checkout currency: which price book a customer is charged from.
+// Prices live per currency on each plan (utils/plans.js). A checkout uses, in order:
+//   1. an explicit { currency } in the request
+//   2. the currency the account last paid in (so renewals and upgrades stay in one currency)
+//   3. a country hint ({ country } in the request, or the CDN's geo header)
+//   4. INR
+// All amounts are in the currency's minor unit (paise, cents, pence); every supported
+// currency has two decimals, so the *Paise names used across billing still hold.
+const DEFAULT_CURRENCY = 'INR';
+const SUPPORTED_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+
+// Euro-area members; any other country outside India and the UK gets USD
+const EUROZONE = [
+  'AT', 'BE', 'HR', 'CY', 'EE', 'FI', 'FR', 'DE', 'GR', 'IE', 'IT', 'LV', 'LT',
+  'LU', 'MT', 'NL', 'PT', 'SK', 'SI', 'ES'
+];
+
+// Geo headers set by the proxies we deploy behind
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'x-country-code'];
+
+class CurrencyError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function normalizeCurrency(currency) {
+  const c = String(currency || '').trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(c) ? c : null;
+}
+
+// ISO 3166 alpha-2, or null ('XX' / 'T1' are Cloudflare's unknown / Tor markers)
+function normalizeCountry(country) {
+  const c = String(country || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(c) && c !== 'XX' && c !== 'T1' ? c : null;
+}
+
+function currencyForCountry(country) {
+  const c = normalizeCountry(country);
+  if (!c) return null;
+  if (c === 'IN') return 'INR';
+  if (c === 'GB') return 'GBP';
+  if (EUROZONE.includes(c)) return 'EUR';
+  return 'USD';
+}
+
+function countryHint(req) {
+  const fromRequest = (req.body && req.body.country) || (req.query && req.query.country);
+  if (fromRequest) return normalizeCountry(fromRequest);
+  for (const header of COUNTRY_HEADERS) {
+    const c = normalizeCountry(req.headers && req.headers[header]);
+    if (c) return c;
+  }
+  return null;
+}
+
+// Pick the checkout currency. `isPriced(currency)` says whether the plan being bought has a
+// price in it; hints that aren't priced fall through to the next rule, an explicit choice
+// that isn't priced is an error. Returns { currency, source, country }. Throws CurrencyError.
+function resolveCurrency(req, { user = null, isPriced = () => true } = {}) {
+  const country = countryHint(req);
+  const explicit = (req.body && req.body.currency) || (req.query && req.query.currency);
+  if (explicit) {
+    const currency = normalizeCurrency(explicit);
+    if (!currency) {
+      throw new CurrencyError('UNSUPPORTED_CURRENCY', `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+    if (!isPriced(currency)) {
+      throw new CurrencyError('CURRENCY_NOT_AVAILABLE', `This plan is not sold in ${currency}`);
+    }
+    return { currency, source: 'explicit', country };
+  }
+
+  const candidates = [
+    [normalizeCurrency(user && user.billing_currency), 'account'],
+    [currencyForCountry(country), 'country']
+  ];
+  for (const [currency, source] of candidates) {
+    if (currency && isPriced(currency)) return { currency, source, country };
+  }
+  return { currency: DEFAULT_CURRENCY, source: 'default', country };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  CurrencyError,
+  normalizeCurrency,
+  normalizeCountry,
+  currencyForCountry,
+  countryHint,
+  resolveCurrency
+};
@@ -0,0 +1,180 @@
+// In-process fake provider for the sandbox (PAYMENT_SANDBOX=true, never in production).
+// Same interface as the real providers (see utils/paymentProviders.js), no network, no keys:
+// ids come from a counter behind a random per-process run prefix (fake_order_<run>_000001,
+// fake_pay_<run>_000002, ...), so they follow a fixed order within a run but never repeat
+// ids already stored in Mongo by an earlier one. Signatures are the Razorpay-style HMAC
+// with PAYMENT_SANDBOX_SECRET.
+// There is no webhook sender: completePayment() and refund() return the webhook event the
+// caller delivers in-process, the way the real provider would have called us.
+// State lives in memory and is gone on restart.
+const crypto = require('crypto');
+const { PaymentProviderError, sandboxEnabled } = require('./paymentProviders');
+
+const name = 'fake';
+
+const orders = new Map();
+const payments = new Map();
+let run = newRunPrefix();
+let seq = 0;
+
+function newRunPrefix() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function nextId(prefix) {
+  seq += 1;
+  return `${prefix}_${run}_${String(seq).padStart(6, '0')}`;
+}
+
+// Read on use: without it the provider just reports itself unconfigured. No default, since
+// a known key would let anyone sign sandbox webhooks.
+function sandboxSecret() {
+  return (process.env.PAYMENT_SANDBOX_SECRET || '').trim() || null;
+}
+
+function sign(data) {
+  const secret = sandboxSecret();
+  if (!secret) throw new PaymentProviderError('SERVER_MISCONFIG', 'PAYMENT_SANDBOX_SECRET is not set', 500);
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+function isConfigured() {
+  return sandboxEnabled() && Boolean(sandboxSecret());
+}
+
+function ownsOrderId(orderId) {
+  return /^fake_order_/.test(orderId);
+}
+
+function webhookEvent(event, entities) {
+  const payload = {};
+  for (const [key, entity] of Object.entries(entities)) payload[key] = { entity: { ...entity } };
+  return { eventId: nextId('fake_evt'), payload: { event, payload } };
+}
+
+async function createCheckout({ amount, currency, receipt, notes }) {
+  const order = { id: nextId('fake_order'), amount, currency, receipt, notes: { ...notes }, status: 'created' };
+  orders.set(order.id, order);
+  return {
+    orderId: order.id,
+    amount,
+    currency,
+    client: { sandbox: true, payUrl: '/api/billing/sandbox/pay' }
+  };
+}
+
+// Stand-in for the customer paying at checkout.
+// Returns { payment, signature, event }; signature is what /verify expects.
+function completePayment(orderId, { outcome = 'success' } = {}) {
+  const order = orders.get(orderId);
+  if (!order) throw new PaymentProviderError('ORDER_NOT_FOUND', 'Unknown sandbox order', 404);
+  if (order.status === 'paid') throw new PaymentProviderError('ORDER_ALREADY_PAID', 'This sandbox order is already paid', 409);
+
+  const captured = outcome !== 'failure';
+  const payment = {
+    id: nextId('fake_pay'),
+    order_id: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    status: captured ? 'captured' : 'failed',
+    method: 'sandbox',
+    notes: { ...order.notes },
+    amount_refunded: 0,
+    refund_status: null
+  };
+  if (!captured) {
+    payment.error_code = 'SANDBOX_DECLINED';
+    payment.error_description = 'Declined by the sandbox';
+  }
+  payments.set(payment.id, payment);
+  if (captured) order.status = 'paid';
+
+  return {
+    payment,
+    signature: captured ? sign(`${order.id}|${payment.id}`) : null,
+    event: webhookEvent(captured ? 'payment.captured' : 'payment.failed', { payment })
+  };
+}
+
+async function verifyPayment({ orderId, paymentId, signature }) {
+  if (!orderId || !paymentId || !signature) {
+    throw new PaymentProviderError('MISSING_FIELDS', 'orderId, paymentId, signature are required');
+  }
+  if (sign(`${orderId}|${paymentId}`) !== signature) {
+    throw new PaymentProviderError('INVALID_SIGNATURE', 'Signature verification failed');
+  }
+  const payment = payments.get(paymentId);
+  if (!payment || payment.order_id !== orderId || payment.status !== 'captured') {
+    throw new PaymentProviderError('PAYMENT_NOT_COMPLETED', 'This sandbox payment was not captured', 409);
+  }
+  return { paymentId };
+}
+
+async function fetchOrder(orderId) {
+  const order = orders.get(orderId);
+  if (!order) throw new PaymentProviderError('ORDER_NOT_FOUND', 'Unknown sandbox order', 404);
+  return { ...order, notes: { ...order.notes } };
+}
+
+// Signed like Razorpay (x-sandbox-signature = HMAC of the raw body), so tests can post
+// events to /api/billing/webhook/fake
+function parseWebhook(req) {
+  const signature = req.get('x-sandbox-signature');
+  if (!signature || sign(req.body) !== signature) {
+    throw new PaymentProviderError('INVALID_SIGNATURE', 'Invalid webhook signature');
+  }
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (e) {
+    throw new PaymentProviderError('INVALID_JSON', 'Webhook body is not JSON');
+  }
+  return { eventId: req.get('x-sandbox-event-id') || null, payload };
+}
+
+// Returns the refund plus the refund.processed event to deliver
+async function refund(paymentId, { amount } = {}) {
+  const payment = payments.get(paymentId);
+  if (!payment || payment.status !== 'captured') {
+    throw new PaymentProviderError('PAYMENT_NOT_FOUND', 'Unknown or uncaptured sandbox payment', 404);
+  }
+  const remaining = payment.amount - payment.amount_refunded;
+  const value = amount != null ? Number(amount) : remaining;
+  if (!Number.isInteger(value) || value <= 0 || value > remaining) {
+    throw new PaymentProviderError('INVALID_REFUND_AMOUNT', `Refund amount must be 1–${remaining}`);
+  }
+  payment.amount_refunded += value;
+  payment.refund_status = payment.amount_refunded >= payment.amount ? 'full' : 'partial';
+
+  const r = { id: nextId('fake_rfnd'), payment_id: paymentId, amount: value, currency: payment.currency, status: 'processed' };
+  return {
+    id: r.id,
+    paymentId,
+    amount: value,
+    currency: payment.currency,
+    status: r.status,
+    event: webhookEvent('refund.processed', { refund: r, payment })
+  };
+}
+
+// Clears all sandbox state (for test suites)
+function reset() {
+  orders.clear();
+  payments.clear();
+  run = newRunPrefix();
+  seq = 0;
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  ownsOrderId,
+  createCheckout,
+  verifyPayment,
+  fetchOrder,
+  parseWebhook,
+  refund,
+  completePayment,
+  sign,
+  reset
+};
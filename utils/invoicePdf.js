@@ -0,0 +1,128 @@
+// Renders an Invoice document as a one-page A4 tax invoice (pdfkit).
+// The built-in Helvetica has no ₹ glyph, so amounts are printed as "INR 1,234.00" (or
+// "USD 1,234.00" etc. — invoices stay in the currency the order was charged in).
+const PDFDocument = require('pdfkit');
+const { getPlanName } = require('./plans');
+
+function money(minor, currency = 'INR') {
+  const value = (Number(minor) || 0) / 100;
+  // Lakh grouping only makes sense for rupees
+  const locale = currency === 'INR' ? 'en-IN' : 'en-GB';
+  return `${currency} ${value.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function day(d) {
+  if (!d) return '-';
+  return new Date(d).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+function addressLines(address) {
+  if (!address) return [];
+  const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+}
+
+// Writes the PDF to `stream` (e.g. an Express response) and ends it
+function renderInvoicePdf(invoice, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+  doc.pipe(stream);
+
+  const seller = invoice.seller || {};
+  const billing = invoice.billing || {};
+  const currency = invoice.currency || 'INR';
+  const left = 50;
+  const right = doc.page.width - 50;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, 50);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Invoice no: ${invoice.invoiceNumber}`, 350, 50, { width: right - 350, align: 'right' })
+    .text(`Date: ${day(invoice.issuedAt)}`, { width: right - 350, align: 'right' })
+    .text(`Status: ${invoice.status === 'paid' ? 'Paid' : invoice.status.replace('_', ' ')}`, { width: right - 350, align: 'right' });
+
+  // Seller / buyer
+  doc.moveDown(2);
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text('From', left, top);
+  doc.font('Helvetica').text(seller.name || '-');
+  if (seller.address) doc.text(seller.address, { width: 230 });
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+  const sellerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Billed to', 310, top);
+  doc.font('Helvetica').text(billing.name || billing.email || '-', 310, doc.y, { width: right - 310 });
+  for (const line of addressLines(billing.address)) doc.text(line, { width: right - 310 });
+  if (billing.email && billing.name) doc.text(billing.email, { width: right - 310 });
+  if (billing.gstin) doc.text(`GSTIN: ${billing.gstin}`, { width: right - 310 });
+  const exportSale = invoice.taxType === 'export';
+  doc.text(`Place of supply: ${exportSale ? 'Outside India' : (invoice.placeOfSupply || seller.stateCode || '-')}`, { width: right - 310 });
+
+  // Line item
+  let y = Math.max(sellerBottom, doc.y) + 30;
+  doc.font('Helvetica-Bold')
+    .text('Description', left, y)
+    .text('SAC', 330, y)
+    .text('Amount', 420, y, { width: right - 420, align: 'right' });
+  y += 16;
+  doc.moveTo(left, y).lineTo(right, y).stroke();
+  y += 8;
+
+  const planLabel = getPlanName(invoice.plan);
+  const cycleLabel = invoice.billingCycle === 'annual' ? 'annual' : 'monthly';
+  const description = invoice.kind === 'plan_change'
+    ? `Vara ${planLabel} (${cycleLabel}) - plan upgrade`
+    : invoice.kind === 'gift'
+    ? `Vara ${planLabel} (${cycleLabel}) - gift voucher`
+    : `Vara ${planLabel} (${cycleLabel})${invoice.kind === 'subscription' ? ' - subscription' : ''}`;
+  doc.font('Helvetica')
+    .text(description, left, y, { width: 270 })
+    .text(seller.sac || '-', 330, y)
+    .text(money(invoice.listPrice, currency), 420, y, { width: right - 420, align: 'right' });
+  y = doc.y + 2;
+  if (invoice.periodStart || invoice.periodEnd) {
+    doc.fontSize(9).fillColor('#555').text(`Service period: ${day(invoice.periodStart)} to ${day(invoice.periodEnd)}`, left, y);
+    doc.fillColor('#000').fontSize(10);
+    y = doc.y + 2;
+  }
+  if (invoice.discount) {
+    doc.text(`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, left, y, { width: 270 })
+      .text(`- ${money(invoice.discount, currency)}`, 420, y, { width: right - 420, align: 'right' });
+    y = doc.y + 2;
+  }
+  if (invoice.credit) {
+    doc.text('Credit for unused time on previous plan', left, y, { width: 270 })
+      .text(`- ${money(invoice.credit, currency)}`, 420, y, { width: right - 420, align: 'right' });
+    y = doc.y + 2;
+  }
+
+  // Totals
+  y += 12;
+  doc.moveTo(300, y).lineTo(right, y).stroke();
+  y += 8;
+  const row = (label, value, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 300, y, { width: 150 })
+      .text(value, 420, y, { width: right - 420, align: 'right' });
+    y = doc.y + 4;
+  };
+  row('Taxable value', money(invoice.taxableAmount, currency));
+  if (exportSale) {
+    row('GST (zero-rated export)', money(0, currency));
+  } else if (invoice.taxType === 'inter_state') {
+    row(`IGST @ ${invoice.taxRate}%`, money(invoice.igst, currency));
+  } else {
+    row(`CGST @ ${invoice.taxRate / 2}%`, money(invoice.cgst, currency));
+    row(`SGST @ ${invoice.taxRate / 2}%`, money(invoice.sgst, currency));
+  }
+  row(exportSale ? 'Total' : 'Total (incl. GST)', money(invoice.amount, currency), true);
+  if (invoice.refundedAmount) row('Refunded', `- ${money(invoice.refundedAmount, currency)}`);
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555')
+    .text(`Payment reference: ${invoice.paymentId}${invoice.orderId ? ` / ${invoice.orderId}` : ''}`, left, y + 30);
+  if (exportSale) doc.text('Export of services: supply meant for export without payment of integrated tax.');
+  doc.text('This is a computer-generated invoice and does not require a signature.');
+
+  doc.end();
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,238 @@
+// GST invoices for captured payments.
+// issueInvoice() is called from the shared activation (verify + webhook) and from
+// subscription.charged; the payment id is unique, so a payment is invoiced once.
+// Numbers run sequentially per Indian financial year: <prefix>/<FY>/<5-digit sequence>.
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+
+const GST_RATE_PERCENT = Number(process.env.GST_RATE_PERCENT || 18);
+const INVOICE_PREFIX = (process.env.INVOICE_PREFIX || 'VR').trim();
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+function getSeller() {
+  const gstin = (process.env.INVOICE_SELLER_GSTIN || '').trim().toUpperCase();
+  return {
+    name: (process.env.INVOICE_SELLER_NAME || 'Vara Music').trim(),
+    gstin,
+    address: (process.env.INVOICE_SELLER_ADDRESS || '').trim(),
+    // Supplier's state decides CGST+SGST vs IGST; the GSTIN starts with it
+    stateCode: (process.env.INVOICE_SELLER_STATE_CODE || gstin.slice(0, 2) || '').trim(),
+    sac: (process.env.INVOICE_SAC_CODE || '').trim()
+  };
+}
+
+// '2026-27' for any date from 1 Apr 2026 to 31 Mar 2027, India time
+function financialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+// GST only applies to Indian sales: paid in INR by a buyer without a foreign address.
+// Anything else is an export of services, invoiced zero-rated.
+function isExportSale(currency, billing) {
+  if ((currency || 'INR') !== 'INR') return true;
+  const country = billing && billing.address && billing.address.country;
+  return Boolean(country && !/^(india|in|ind)$/i.test(String(country).trim()));
+}
+
+// Prices are GST-inclusive. Same state as the seller → CGST + SGST, otherwise IGST.
+// Without a known place of supply an Indian sale is treated as intra-state (B2C default).
+// Exports carry no GST: the whole amount is the taxable value.
+function computeTax(amountPaise, placeOfSupply, sellerStateCode, ratePercent = GST_RATE_PERCENT, { exportSale = false } = {}) {
+  const amount = Number(amountPaise) || 0;
+  if (exportSale) {
+    return { taxableAmount: amount, taxRate: 0, taxType: 'export', cgst: 0, sgst: 0, igst: 0 };
+  }
+  const taxableAmount = Math.round(amount * 100 / (100 + ratePercent));
+  const tax = amount - taxableAmount;
+  const interState = Boolean(placeOfSupply && sellerStateCode && placeOfSupply !== sellerStateCode);
+  if (interState) {
+    return { taxableAmount, taxRate: ratePercent, taxType: 'inter_state', cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = Math.floor(tax / 2);
+  return { taxableAmount, taxRate: ratePercent, taxType: 'intra_state', cgst, sgst: tax - cgst, igst: 0 };
+}
+
+function clean(v, max = 200) {
+  const s = String(v == null ? '' : v).trim();
+  return s ? s.slice(0, max) : undefined;
+}
+
+// Billing name/address/GSTIN sent with a checkout request (create-order, create-subscription,
+// change-plan). Returns { ok, details } or { ok: false, error, message }; details is null when
+// nothing was sent.
+function parseBillingDetails(input) {
+  if (input == null) return { ok: true, details: null };
+  if (typeof input !== 'object') {
+    return { ok: false, error: 'INVALID_BILLING_DETAILS', message: 'billing must be an object' };
+  }
+  const gstin = clean(input.gstin, 15);
+  const normalizedGstin = gstin ? gstin.toUpperCase() : null;
+  if (normalizedGstin && !GSTIN_PATTERN.test(normalizedGstin)) {
+    return { ok: false, error: 'INVALID_GSTIN', message: 'GSTIN must be 15 characters, e.g. 29ABCDE1234F1Z5' };
+  }
+  const a = (input.address && typeof input.address === 'object') ? input.address : {};
+  const stateCode = clean(a.stateCode || a.state_code, 2) || (normalizedGstin ? normalizedGstin.slice(0, 2) : undefined);
+  if (stateCode && !/^[0-9]{2}$/.test(stateCode)) {
+    return { ok: false, error: 'INVALID_STATE_CODE', message: 'address.stateCode must be a 2-digit GST state code' };
+  }
+  const name = clean(input.name, 120);
+  if (normalizedGstin && !name) {
+    return { ok: false, error: 'MISSING_BILLING_NAME', message: 'A registered business name is required with a GSTIN' };
+  }
+  return {
+    ok: true,
+    details: {
+      name: name || null,
+      gstin: normalizedGstin,
+      address: {
+        line1: clean(a.line1),
+        line2: clean(a.line2),
+        city: clean(a.city, 80),
+        state: clean(a.state, 80),
+        state_code: stateCode,
+        postal_code: clean(a.postalCode || a.postal_code, 12),
+        country: clean(a.country, 60) || 'India'
+      },
+      updated_at: new Date()
+    }
+  };
+}
+
+// Reads billing details from req.body.billing and saves them on the user.
+// Returns the same shape as parseBillingDetails.
+async function captureBillingDetails(userId, body) {
+  const parsed = parseBillingDetails(body && body.billing);
+  if (parsed.ok && parsed.details) {
+    await User.updateOne({ _id: userId }, { $set: { billing_details: parsed.details } });
+  }
+  return parsed;
+}
+
+function buyerSnapshot(user) {
+  const d = (user && user.billing_details) || {};
+  const a = d.address || {};
+  return {
+    name: d.name || user.name || null,
+    email: user.email || null,
+    gstin: d.gstin || null,
+    address: (a.line1 || a.city || a.state || a.state_code)
+      ? {
+          line1: a.line1,
+          line2: a.line2,
+          city: a.city,
+          state: a.state,
+          stateCode: a.state_code,
+          postalCode: a.postal_code,
+          country: a.country
+        }
+      : null
+  };
+}
+
+// Issue the invoice for a captured payment. Never throws: a failed invoice must not undo
+// an activation that has already been applied; the error is logged for a manual re-issue.
+//   payment: { user, provider?, paymentId, orderId?, subscriptionId?, kind, plan, billingCycle,
+//              amount, listPrice?, credit?, discount?, couponCode?, currency?, periodStart?, periodEnd? }
+async function issueInvoice(payment) {
+  try {
+    const existing = await Invoice.findOne({ paymentId: payment.paymentId });
+    if (existing) return existing;
+
+    const { user } = payment;
+    const issuedAt = new Date();
+    const fy = financialYear(issuedAt);
+    const sequence = await Counter.nextSequence(`invoice:${fy}`);
+    const seller = getSeller();
+    const billing = buyerSnapshot(user);
+    const currency = payment.currency || 'INR';
+    const exportSale = isExportSale(currency, billing);
+    // An export's place of supply is outside India, never the seller's state
+    const placeOfSupply = exportSale ? null : ((billing.address && billing.address.stateCode) || seller.stateCode || null);
+
+    const invoice = await Invoice.create({
+      invoiceNumber: `${INVOICE_PREFIX}/${fy}/${String(sequence).padStart(5, '0')}`,
+      financialYear: fy,
+      sequence,
+      user: user._id,
+      provider: payment.provider || 'razorpay',
+      paymentId: payment.paymentId,
+      orderId: payment.orderId || null,
+      subscriptionId: payment.subscriptionId || null,
+      kind: payment.kind || 'purchase',
+      plan: payment.plan,
+      billingCycle: payment.billingCycle,
+      periodStart: payment.periodStart || null,
+      periodEnd: payment.periodEnd || null,
+      currency,
+      listPrice: payment.listPrice != null ? payment.listPrice : payment.amount,
+      credit: payment.credit || 0,
+      discount: payment.discount || 0,
+      couponCode: payment.couponCode || null,
+      amount: payment.amount,
+      ...computeTax(payment.amount, placeOfSupply, seller.stateCode, GST_RATE_PERCENT, { exportSale }),
+      placeOfSupply,
+      billing,
+      seller,
+      issuedAt
+    });
+    console.log('🧾 Invoice issued:', { invoice: invoice.invoiceNumber, user: String(user._id), paymentId: payment.paymentId });
+    return invoice;
+  } catch (err) {
+    if (err && err.code === 11000 && /paymentId/.test(err.message || '')) {
+      return Invoice.findOne({ paymentId: payment.paymentId }).catch(() => null);
+    }
+    console.error('❌ Invoice issue failed for payment', payment.paymentId, err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+// Refunds don't rewrite the invoice; they only mark it (credit notes are issued by finance)
+async function markInvoiceRefunded(paymentId, refundedAmount) {
+  const invoice = await Invoice.findOne({ paymentId });
+  if (!invoice) return null;
+  invoice.refundedAmount = Math.max(invoice.refundedAmount || 0, Number(refundedAmount) || 0);
+  invoice.status = invoice.refundedAmount >= invoice.amount ? 'refunded' : 'partially_refunded';
+  await invoice.save();
+  return invoice;
+}
+
+function serializeInvoice(inv) {
+  return {
+    id: String(inv._id),
+    invoiceNumber: inv.invoiceNumber,
+    issuedAt: inv.issuedAt,
+    kind: inv.kind,
+    plan: inv.plan,
+    billingCycle: inv.billingCycle,
+    periodStart: inv.periodStart,
+    periodEnd: inv.periodEnd,
+    currency: inv.currency,
+    amount: inv.amount,
+    discount: inv.discount || 0,
+    couponCode: inv.couponCode || null,
+    taxableAmount: inv.taxableAmount,
+    tax: { type: inv.taxType, rate: inv.taxRate, cgst: inv.cgst, sgst: inv.sgst, igst: inv.igst },
+    gstin: (inv.billing && inv.billing.gstin) || null,
+    status: inv.status,
+    refundedAmount: inv.refundedAmount || 0,
+    paymentId: inv.paymentId,
+    pdfUrl: `/api/billing/invoices/${inv._id}.pdf`
+  };
+}
+
+module.exports = {
+  GST_RATE_PERCENT,
+  GSTIN_PATTERN,
+  financialYear,
+  isExportSale,
+  computeTax,
+  parseBillingDetails,
+  captureBillingDetails,
+  issueInvoice,
+  markInvoiceRefunded,
+  serializeInvoice
+};
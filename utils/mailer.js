@@ -0,0 +1,82 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// SMTP transport is optional: without SMTP_HOST we just log the message,
+// which is enough for local dev (copy the link from the console).
+let transporter = null;
+function getTransporter() {
+  if (transporter) return transporter;
+  const host = (process.env.SMTP_HOST || '').trim();
+  if (!host) return null;
+  transporter = nodemailer.createTransport({
+    host,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: String(process.env.SMTP_SECURE || '').toLowerCase() === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return transporter;
+}
+
+function getFrontendUrl() {
+  return (process.env.FRONTEND_URL || 'https://varamusic.com').replace(/\/+$/, '');
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const tx = getTransporter();
+  if (!tx) {
+    console.log('[mail] SMTP not configured, logging message instead:', { to, subject, text });
+    return { ok: true, logged: true };
+  }
+  const from = process.env.MAIL_FROM || 'VARA Music <no-reply@varamusic.com>';
+  const info = await tx.sendMail({ from, to, subject, text, html });
+  return { ok: true, messageId: info && info.messageId };
+}
+
+async function sendVerificationEmail(user, rawToken) {
+  const link = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(rawToken)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your VARA account',
+    text: `Hi ${user.name || ''},\n\nConfirm your email address to finish setting up your VARA account:\n${link}\n\nThis link expires in 24 hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user, rawToken) {
+  const link = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(rawToken)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your VARA password',
+    text: `Hi ${user.name || ''},\n\nSomeone (hopefully you) asked to reset your VARA password:\n${link}\n\nThis link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+  });
+}
+
+async function sendOrganizationInviteEmail({ to, organizationName, inviterName, role, rawToken, expiresAt }) {
+  const link = `${getFrontendUrl()}/team/join?token=${encodeURIComponent(rawToken)}`;
+  return sendMail({
+    to,
+    subject: `Join ${organizationName} on VARA`,
+    text: `Hi,\n\n${inviterName || 'A teammate'} invited you to join ${organizationName} on VARA as ${role === 'admin' ? 'an admin' : 'a member'}. Downloads and AI searches you make there come out of the team's plan, and your licenses are issued to ${organizationName}.\n\nAccept the invitation (log in or sign up with this email address):\n${link}\n\nThis invitation expires on ${new Date(expiresAt).toISOString().slice(0, 10)}.`
+  });
+}
+
+async function sendGiftVoucherEmail({ to, recipientName, senderName, planName, billingCycle, code, message, expiresAt }) {
+  const link = `${getFrontendUrl()}/redeem?code=${encodeURIComponent(code)}`;
+  const period = billingCycle === 'annual' ? 'a year' : 'a month';
+  const note = message ? `\n\nTheir message:\n"${message}"` : '';
+  return sendMail({
+    to,
+    subject: `${senderName || 'Someone'} gave you VARA ${planName}`,
+    text: `Hi ${recipientName || ''},\n\n${senderName || 'Someone'} gave you ${period} of VARA ${planName}.${note}\n\nRedeem it (log in or sign up first):\n${link}\n\nOr enter the code ${code} on the billing page. It can be used once and expires on ${new Date(expiresAt).toISOString().slice(0, 10)}.`
+  });
+}
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendOrganizationInviteEmail,
+  sendGiftVoucherEmail,
+  getFrontendUrl
+};
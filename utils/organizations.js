@@ -0,0 +1,421 @@
+// Team workspaces: one organization per user, owner/admin/member roles, email invitations.
+// Billing stays per account: the organization runs on its owner's plan, and its seats cap
+// members plus pending invitations, owner included. An individual plan has one seat (the
+// owner's), so only a team plan can add members. On a team plan every member's downloads
+// and AI searches are counted against its quotas together. If the owner's plan later drops
+// to an individual one, the members stay but go back to their own plans until it is a team
+// plan again. Members' licenses are issued to the organization either way.
+const crypto = require('crypto');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const { recordAudit } = require('./audit');
+const { sendOrganizationInviteEmail } = require('./mailer');
+const { effectivePlan } = require('./planAccess');
+const { getPlanSeats, getPlanName } = require('./plans');
+const { signOutEverywhere } = require('./sessions');
+
+const ORG_ROLES = ['owner', 'admin', 'member'];
+const INVITE_TTL_DAYS = Number(process.env.ORG_INVITE_TTL_DAYS || 7);
+
+// Same idea as middleware/roles.js: routes check permissions, never role names
+const ORG_ROLE_PERMISSIONS = {
+  member: ['org:read'],
+  admin: ['org:read', 'members:invite', 'members:remove', 'licenses:read', 'usage:read'],
+  owner: [
+    'org:read', 'members:invite', 'members:remove', 'licenses:read', 'usage:read',
+    'org:update', 'roles:manage', 'org:transfer', 'org:delete'
+  ]
+};
+
+class OrganizationError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw || '')).digest('hex');
+}
+
+function hasOrgPermission(role, permission) {
+  return (ORG_ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function findMember(org, userId) {
+  return (org && org.members || []).find(m => String(m.user) === String(userId)) || null;
+}
+
+function memberRole(org, userId) {
+  const member = findMember(org, userId);
+  return member ? member.role : null;
+}
+
+function organizationTarget(org) {
+  return { type: 'organization', id: String(org._id), label: org.name || null };
+}
+
+async function findOrganizationForUser(userId) {
+  return Organization.findOne({ 'members.user': userId });
+}
+
+// The owner's effective plan, which every pooled member uses
+async function ownerPlan(org, ownerDoc = null) {
+  const owner = ownerDoc || await User.findById(org.owner).lean();
+  return owner ? effectivePlan(owner) : effectivePlan(null);
+}
+
+// { limit, members, pending, available }
+async function seatUsage(org, { plan = null, now = new Date() } = {}) {
+  const p = plan || await ownerPlan(org);
+  const limit = getPlanSeats(p.planId);
+  const pending = await OrganizationInvitation.countDocuments({
+    organization: org._id, status: 'pending', expiresAt: { $gt: now }
+  });
+  const members = org.members.length;
+  return { limit, members, pending, available: Math.max(0, limit - members - pending) };
+}
+
+// Quotas that apply to `user` right now:
+// { planId, ai, downloads, premiumAccess, pooled, organization, memberIds }
+// pooled = the organization's team plan applies and usage is counted across memberIds.
+async function quotaContext(user) {
+  const org = await Organization.findOne({ 'members.user': user._id }).lean();
+  if (org) {
+    const isOwner = String(org.owner) === String(user._id);
+    const plan = await ownerPlan(org, isOwner ? user : null);
+    if (getPlanSeats(plan.planId) > 1) {
+      return { ...plan, pooled: true, organization: org, memberIds: org.members.map(m => m.user) };
+    }
+  }
+  return { ...effectivePlan(user), pooled: false, organization: org, memberIds: [user._id] };
+}
+
+// Downloads and AI searches by these users in [start, end), summed
+async function pooledUsage(memberIds, { start, end }) {
+  const inWindow = (field, dateKey) => ({
+    $size: {
+      $filter: {
+        input: { $ifNull: [`$${field}`, []] },
+        as: 'e',
+        cond: { $and: [{ $gte: [`$$e.${dateKey}`, start] }, { $lt: [`$$e.${dateKey}`, end] }] }
+      }
+    }
+  });
+  const rows = await User.aggregate([
+    { $match: { _id: { $in: memberIds } } },
+    { $project: { downloads: inWindow('downloads', 'downloadedAt'), ai: inWindow('aiQueries', 'at') } }
+  ]);
+  const byMember = rows.map(r => ({ user: r._id, downloads: r.downloads, ai: r.ai }));
+  return {
+    downloads: byMember.reduce((acc, r) => acc + r.downloads, 0),
+    ai: byMember.reduce((acc, r) => acc + r.ai, 0),
+    byMember
+  };
+}
+
+// ---------- Membership changes (throw OrganizationError) ----------
+
+async function createOrganization(user, name, { req = null } = {}) {
+  const clean = String(name || '').trim();
+  if (!clean || clean.length > 80) throw new OrganizationError('INVALID_NAME', 'name must be 1–80 characters', 400);
+
+  let org;
+  try {
+    org = await Organization.create({
+      name: clean,
+      owner: user._id,
+      members: [{ user: user._id, role: 'owner' }]
+    });
+  } catch (e) {
+    if (isDuplicateKey(e)) throw new OrganizationError('ALREADY_IN_ORGANIZATION', 'You already belong to an organization');
+    throw e;
+  }
+  recordAudit(req, { action: 'org.create', target: organizationTarget(org), metadata: { ownerId: String(user._id) } });
+  console.log('🏢 Organization created:', { org: String(org._id), owner: String(user._id) });
+  return org;
+}
+
+// Returns { invitation, rawToken }; the email is sent here
+async function inviteMember(org, inviter, { email, role = 'member' }, { req = null, now = new Date() } = {}) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new OrganizationError('INVALID_EMAIL', 'A valid email is required', 400);
+  if (!['admin', 'member'].includes(role)) throw new OrganizationError('INVALID_ROLE', "role must be 'admin' or 'member'", 400);
+
+  const existing = await User.findOne({ email: address }).select('_id').lean();
+  if (existing && findMember(org, existing._id)) {
+    throw new OrganizationError('ALREADY_MEMBER', 'This person is already in the organization');
+  }
+
+  // Re-inviting the same address replaces its pending invitation, so that seat counts as free
+  const plan = await ownerPlan(org);
+  const seats = await seatUsage(org, { plan, now });
+  const replaced = await OrganizationInvitation.countDocuments({
+    organization: org._id, email: address, status: 'pending', expiresAt: { $gt: now }
+  });
+  if (seats.available + replaced < 1) {
+    throw new OrganizationError(
+      'NO_SEATS_AVAILABLE',
+      `${getPlanName(plan.planId)} covers ${seats.limit} seat${seats.limit === 1 ? '' : 's'} and all are taken or invited. Upgrade to a team plan with more seats.`,
+      402
+    );
+  }
+  await OrganizationInvitation.updateMany(
+    { organization: org._id, email: address, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: now } }
+  );
+
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  const invitation = await OrganizationInvitation.create({
+    organization: org._id,
+    email: address,
+    role,
+    tokenHash: hashToken(rawToken),
+    invitedBy: inviter._id,
+    expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  try {
+    await sendOrganizationInviteEmail({
+      to: address,
+      organizationName: org.name,
+      inviterName: inviter.name,
+      role,
+      rawToken,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (e) {
+    // The invitation stands; it can be re-sent by inviting the address again
+    console.error('[org] invitation email failed:', e && e.message ? e.message : e);
+  }
+
+  recordAudit(req, {
+    action: 'org.invite',
+    target: organizationTarget(org),
+    metadata: { invitationId: String(invitation._id), email: address, role }
+  });
+  return { invitation, rawToken };
+}
+
+// Only the invited address can accept; the seat is re-checked here
+async function acceptInvitation(user, rawToken, { req = null, now = new Date() } = {}) {
+  if (!user.emailVerified && !user.hasIdentity('google')) {
+    throw new OrganizationError('EMAIL_NOT_VERIFIED', 'Verify your email address before joining an organization', 403);
+  }
+  const invitation = await OrganizationInvitation.findOne({ tokenHash: hashToken(rawToken) });
+  if (!invitation || invitation.status !== 'pending' || invitation.expiresAt <= now) {
+    throw new OrganizationError('INVITATION_INVALID', 'This invitation is invalid or has expired', 404);
+  }
+  if (invitation.email !== String(user.email || '').toLowerCase()) {
+    throw new OrganizationError('INVITATION_EMAIL_MISMATCH', `This invitation was sent to ${invitation.email}`, 403);
+  }
+
+  const org = await Organization.findById(invitation.organization);
+  if (!org) throw new OrganizationError('INVITATION_INVALID', 'This organization no longer exists', 404);
+
+  // Claim the invitation so a second click can't add the member twice
+  const claimed = await OrganizationInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: now } },
+    { new: true }
+  );
+  if (!claimed) throw new OrganizationError('INVITATION_INVALID', 'This invitation has already been used', 404);
+
+  // The pending invitation held a seat; now it becomes a member instead. `members.<limit - 1>`
+  // not existing means the organization is below its seat limit.
+  const { limit } = await seatUsage(org);
+  try {
+    const result = await Organization.updateOne(
+      { _id: org._id, 'members.user': { $ne: user._id }, [`members.${limit - 1}`]: { $exists: false } },
+      { $push: { members: { user: user._id, role: claimed.role, invitedBy: claimed.invitedBy, joinedAt: now } } }
+    );
+    if (!result.modifiedCount) {
+      throw new OrganizationError('NO_SEATS_AVAILABLE', 'This organization has no free seats left', 402);
+    }
+  } catch (e) {
+    await OrganizationInvitation.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'pending', acceptedBy: null, acceptedAt: null } }
+    ).catch(() => {});
+    if (isDuplicateKey(e)) throw new OrganizationError('ALREADY_IN_ORGANIZATION', 'Leave your current organization before joining another');
+    throw e;
+  }
+
+  recordAudit(req, {
+    action: 'org.join',
+    target: organizationTarget(org),
+    metadata: { invitationId: String(claimed._id), userId: String(user._id), role: claimed.role }
+  });
+  console.log('🏢 Member joined:', { org: String(org._id), user: String(user._id), role: claimed.role });
+  return Organization.findById(org._id);
+}
+
+// Admins remove members; only the owner removes admins. Members remove themselves (leave).
+async function removeMember(org, actor, userId, { req = null } = {}) {
+  const target = findMember(org, userId);
+  if (!target) throw new OrganizationError('MEMBER_NOT_FOUND', 'Not a member of this organization', 404);
+  if (target.role === 'owner') {
+    throw new OrganizationError('OWNER_CANNOT_LEAVE', 'Transfer ownership to another member first, or delete the organization');
+  }
+  const leaving = String(actor._id) === String(userId);
+  const actorRole = memberRole(org, actor._id);
+  if (!leaving) {
+    if (!hasOrgPermission(actorRole, 'members:remove')) throw new OrganizationError('FORBIDDEN', 'You cannot remove members', 403);
+    if (target.role === 'admin' && actorRole !== 'owner') {
+      throw new OrganizationError('FORBIDDEN', 'Only the owner can remove an admin', 403);
+    }
+  }
+
+  await Organization.updateOne({ _id: org._id }, { $pull: { members: { user: target.user } } });
+  recordAudit(req, {
+    action: leaving ? 'org.leave' : 'org.member_remove',
+    target: organizationTarget(org),
+    metadata: { userId: String(target.user), role: target.role }
+  });
+  return Organization.findById(org._id);
+}
+
+async function changeMemberRole(org, userId, role, { req = null } = {}) {
+  if (!['admin', 'member'].includes(role)) {
+    throw new OrganizationError('INVALID_ROLE', "role must be 'admin' or 'member' (use transfer for ownership)", 400);
+  }
+  const target = findMember(org, userId);
+  if (!target) throw new OrganizationError('MEMBER_NOT_FOUND', 'Not a member of this organization', 404);
+  if (target.role === 'owner') throw new OrganizationError('OWNER_ROLE_LOCKED', 'Transfer ownership to change the owner\'s role');
+  if (target.role === role) return org;
+
+  const before = target.role;
+  await Organization.updateOne({ _id: org._id, 'members.user': target.user }, { $set: { 'members.$.role': role } });
+  recordAudit(req, {
+    action: 'org.role_change',
+    target: organizationTarget(org),
+    before: { role: before },
+    after: { role },
+    metadata: { userId: String(target.user) }
+  });
+  return Organization.findById(org._id);
+}
+
+// The team then runs on the new owner's plan, so it must cover the current members.
+// The previous owner stays on as an admin and keeps their own plan, but is signed out
+// everywhere (except exceptSid, the session that made the transfer): this is the
+// "plan changes ownership" event, and their sessions were opened as the plan's holder.
+async function transferOwnership(org, newOwnerId, { req = null, exceptSid = null } = {}) {
+  const next = findMember(org, newOwnerId);
+  if (!next) throw new OrganizationError('MEMBER_NOT_FOUND', 'The new owner must already be a member', 404);
+  if (next.role === 'owner') return org;
+
+  const newOwner = await User.findById(next.user).lean();
+  if (!newOwner) throw new OrganizationError('MEMBER_NOT_FOUND', 'User not found', 404);
+  const plan = effectivePlan(newOwner);
+  const seats = getPlanSeats(plan.planId);
+  if (seats < org.members.length) {
+    throw new OrganizationError(
+      'NEW_OWNER_PLAN_TOO_SMALL',
+      `The organization runs on its owner's plan. ${newOwner.name || newOwner.email}'s plan (${getPlanName(plan.planId)}) covers ${seats} seat${seats === 1 ? '' : 's'} but the team has ${org.members.length} members; they need a team plan first.`
+    );
+  }
+
+  const previousOwner = org.owner;
+  const result = await Organization.updateOne(
+    { _id: org._id, owner: previousOwner },
+    {
+      $set: { owner: next.user, 'members.$[prev].role': 'admin', 'members.$[next].role': 'owner' }
+    },
+    { arrayFilters: [{ 'prev.user': previousOwner }, { 'next.user': next.user }] }
+  );
+  if (!result.modifiedCount) throw new OrganizationError('CONFLICT', 'Ownership changed while you were transferring it; try again');
+
+  recordAudit(req, {
+    action: 'org.transfer',
+    target: organizationTarget(org),
+    before: { owner: String(previousOwner) },
+    after: { owner: String(next.user) },
+    metadata: { plan: plan.planId }
+  });
+  // The transfer has happened; a failed sign-out is logged, not reported as a failed transfer
+  await signOutEverywhere(previousOwner, { exceptSid, reason: 'plan_ownership_transferred' }).catch((e) => {
+    console.error('❌ Sign-out after ownership transfer failed for', String(previousOwner), e && e.message ? e.message : e);
+  });
+  console.log('🏢 Ownership transferred:', { org: String(org._id), from: String(previousOwner), to: String(next.user) });
+  return Organization.findById(org._id);
+}
+
+// Licenses keep the organization's id and name; they stay valid
+async function deleteOrganization(org, { req = null, now = new Date() } = {}) {
+  await OrganizationInvitation.updateMany(
+    { organization: org._id, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: now } }
+  );
+  await Organization.deleteOne({ _id: org._id });
+  recordAudit(req, {
+    action: 'org.delete',
+    target: organizationTarget(org),
+    metadata: { members: org.members.length }
+  });
+}
+
+// Account deletion: drop the user from their organization. An owner hands over to the
+// longest-serving admin (or member); an owner with nobody left deletes the organization.
+async function detachDeletedUser(userId) {
+  const org = await findOrganizationForUser(userId);
+  if (!org) return null;
+  const actor = { type: 'system' };
+  const member = findMember(org, userId);
+
+  if (member.role !== 'owner') {
+    await Organization.updateOne({ _id: org._id }, { $pull: { members: { user: member.user } } });
+    await recordAudit(null, { action: 'org.member_remove', actor, target: organizationTarget(org), metadata: { userId: String(userId), reason: 'account_deleted' } });
+    return 'removed';
+  }
+
+  const others = org.members
+    .filter(m => String(m.user) !== String(userId))
+    .sort((a, b) => (a.role === 'admin' ? 0 : 1) - (b.role === 'admin' ? 0 : 1) || new Date(a.joinedAt) - new Date(b.joinedAt));
+  if (!others.length) {
+    await deleteOrganization(org);
+    return 'deleted';
+  }
+
+  const heir = others[0];
+  await Organization.updateOne({ _id: org._id }, { $pull: { members: { user: member.user } } });
+  await Organization.updateOne({ _id: org._id, 'members.user': heir.user }, { $set: { owner: heir.user, 'members.$.role': 'owner' } });
+  await recordAudit(null, {
+    action: 'org.transfer',
+    actor,
+    target: organizationTarget(org),
+    before: { owner: String(userId) },
+    after: { owner: String(heir.user) },
+    metadata: { reason: 'account_deleted' }
+  });
+  return 'transferred';
+}
+
+module.exports = {
+  ORG_ROLES,
+  ORG_ROLE_PERMISSIONS,
+  INVITE_TTL_DAYS,
+  OrganizationError,
+  hasOrgPermission,
+  findMember,
+  memberRole,
+  findOrganizationForUser,
+  ownerPlan,
+  seatUsage,
+  quotaContext,
+  pooledUsage,
+  createOrganization,
+  inviteMember,
+  acceptInvitation,
+  removeMember,
+  changeMemberRole,
+  transferOwnership,
+  deleteOrganization,
+  detachDeletedUser
+};
@@ -0,0 +1,463 @@
+// The one place a captured one-off payment (any provider) turns into paid access.
+// Used by POST /api/billing/verify and the payment.captured webhook; whichever sees the
+// payment first activates it, the other gets { duplicate: true }. reversePaymentPeriod()
+// undoes it for refunds and lost disputes. Gift orders create a voucher instead of changing
+// the buyer's plan, and redeemVoucher() applies that (or any admin-issued) code the same way.
+//
+// Everything comes from the provider order we created (notes + amount), never from the client.
+const User = require('../models/User');
+const PaymentEvent = require('../models/PaymentEvent');
+const Voucher = require('../models/Voucher');
+const { recordAudit, planSnapshot, userTarget } = require('./audit');
+const { issueInvoice } = require('./invoices');
+const { CouponError, redeemCouponForOrder } = require('./coupons');
+const { endTrial } = require('./trials');
+const { getPlanPricePaise, getPlanName, normalizePlanLabel } = require('./plans');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('./currency');
+const { isRenewing } = require('./subscriptions');
+const {
+  VoucherError,
+  normalizeVoucherCode,
+  createGiftVoucher,
+  sendGiftEmail,
+  voidVoucher
+} = require('./vouchers');
+const {
+  normalizeCycle,
+  addBillingPeriod,
+  currentPaidPlan,
+  resetCurrentMonthUsage
+} = require('./billing');
+
+class ActivationError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
+}
+
+// What the order should cost at list price `price` (minor units of the order's currency)
+function expectedAmountPaise(notes, price) {
+  if (notes.kind === 'plan_change') {
+    // Upgrade orders charge the price minus the credit computed at checkout
+    return Math.max(0, price - Number(notes.creditPaise || 0));
+  }
+  // Coupon discount reserved at create-order
+  return price - Math.min(price, Math.max(0, Number(notes.discountPaise || 0)));
+}
+
+// { listPrice, amount } the order was created for, or null if it doesn't add up. Checkout
+// records both in the notes, so a price edit (or a stale plan cache on another instance)
+// between checkout and payment can't reject a captured payment. Orders without them
+// predate that and are priced from the catalogue.
+function orderPricing(notes, plan, billingCycle, currency) {
+  if (notes.listPricePaise != null && notes.amountPaise != null) {
+    const listPrice = Number(notes.listPricePaise);
+    const amount = Number(notes.amountPaise);
+    if (!Number.isInteger(listPrice) || listPrice < 0 || amount !== expectedAmountPaise(notes, listPrice)) return null;
+    return { listPrice, amount };
+  }
+  const listPrice = currency ? getPlanPricePaise(plan, billingCycle, currency) : null;
+  if (listPrice == null) return null;
+  return { listPrice, amount: expectedAmountPaise(notes, listPrice) };
+}
+
+// Read and validate a fetched provider order ({ id, amount, currency, notes }). Throws ActivationError.
+function readOrder(order, { expectedUserId } = {}) {
+  const notes = (order && order.notes) || {};
+  const userId = notes.userId ? String(notes.userId) : null;
+  if (!userId) throw new ActivationError('ORDER_WITHOUT_USER', 'Order has no userId in its notes');
+  if (expectedUserId && String(expectedUserId) !== userId) {
+    throw new ActivationError('ORDER_USER_MISMATCH', 'This order belongs to a different account', 403);
+  }
+
+  const plan = normalizePlanLabel(notes.plan);
+  const billingCycle = normalizeCycle(notes.billingCycle);
+  const currency = normalizeCurrency(order.currency || DEFAULT_CURRENCY);
+  const pricing = currency ? orderPricing(notes, plan, billingCycle, currency) : null;
+  if (!pricing || Number(order.amount) !== pricing.amount) {
+    throw new ActivationError(
+      'AMOUNT_MISMATCH',
+      `Order amount ${order.amount} ${order.currency || ''} does not match ${plan}/${billingCycle} (${pricing ? pricing.amount : null} ${currency || order.currency})`,
+      409
+    );
+  }
+  const isGift = notes.kind === 'gift';
+  return {
+    userId,
+    plan,
+    billingCycle,
+    currency,
+    isPlanChange: notes.kind === 'plan_change',
+    gift: isGift
+      ? { recipientEmail: notes.giftEmail || null, recipientName: notes.giftName || null, message: notes.giftMessage || null }
+      : null,
+    amount: pricing.amount,
+    listPrice: pricing.listPrice,
+    credit: notes.kind === 'plan_change' ? Number(notes.creditPaise || 0) : 0,
+    discount: notes.kind === 'plan_change' ? 0 : Number(notes.discountPaise || 0),
+    couponCode: notes.couponCode || null
+  };
+}
+
+// Grant `plan` for one `billingCycle` period on a loaded user (caller saves). Renewals of
+// an active paid plan extend it; startFresh (upgrades, whose price already credited the
+// unused days) starts the period now. Returns { trialEnded, usageReset }.
+function applyPlanPeriod(user, { plan, billingCycle, currency = null, startFresh = false, now = new Date() }) {
+  const hasActivePaid =
+    (user.subscription_type && user.subscription_type !== 'free') &&
+    user.subscription_end && new Date(user.subscription_end) > now;
+  const base = (hasActivePaid && !startFresh) ? new Date(user.subscription_end) : now;
+
+  user.subscription_type = plan; // 'starter' | 'pro' | 'pro_plus' | ...
+  user.is_premium = true;
+  user.subscription_start = now;
+  user.subscription_end = addBillingPeriod(base, billingCycle);
+  user.billing_cycle = billingCycle;
+  if (currency) user.billing_currency = currency;
+  user.scheduled_plan_change = undefined;
+  // Paying ends a running free trial
+  const trialEnded = endTrial(user, now);
+
+  // Fresh counters: reset downloads + AI for current UTC month
+  const usageReset = resetCurrentMonthUsage(user, now);
+  return { trialEnded, usageReset };
+}
+
+// Move the paid-until date back by one `billingCycle` period granted at `grantedAt`; if
+// that lands in the past the paid plan ends now. Caller saves. Returns true if revoked.
+function takeBackPeriod(user, { grantedAt, billingCycle, now = new Date() }) {
+  const periodMs = addBillingPeriod(grantedAt, billingCycle).getTime() - grantedAt.getTime();
+  const end = user.subscription_end ? new Date(user.subscription_end) : null;
+  const newEnd = end ? new Date(end.getTime() - periodMs) : null;
+
+  const revoked = !newEnd || newEnd <= now;
+  if (revoked) {
+    user.subscription_type = 'free';
+    user.is_premium = false;
+    user.subscription_end = now;
+    user.scheduled_plan_change = undefined;
+  } else {
+    user.subscription_end = newEnd;
+  }
+  return revoked;
+}
+
+// Gift order: the buyer's plan is untouched; the payment becomes a voucher code (claimed
+// on the PaymentEvent so a refund can void it). Called with the payment already claimed.
+async function applyGiftPayment({ user, info, order, payment, source, provider, req }) {
+  const voucher = await createGiftVoucher({ buyer: user, info, paymentId: payment.id, orderId: order.id, provider });
+  await PaymentEvent.updateOne(
+    { paymentId: payment.id },
+    { $set: { status: 'applied', processedAt: new Date(), voucherCode: voucher.code } }
+  );
+
+  await issueInvoice({
+    user,
+    provider,
+    paymentId: payment.id,
+    orderId: order.id,
+    kind: 'gift',
+    plan: info.plan,
+    billingCycle: info.billingCycle,
+    amount: info.amount,
+    listPrice: info.listPrice,
+    currency: info.currency
+  });
+
+  // The code is already the buyer's; a mail failure only means they pass it on themselves
+  await sendGiftEmail(voucher, user).catch((e) => {
+    console.error('❌ Gift email failed for voucher', voucher.code, e && e.message ? e.message : e);
+  });
+
+  recordAudit(req, {
+    action: 'billing.gift_purchased',
+    actor: source === 'webhook' ? { type: 'webhook' } : undefined,
+    target: userTarget(user),
+    metadata: {
+      source,
+      provider,
+      orderId: order.id,
+      paymentId: payment.id,
+      amount: info.amount,
+      currency: info.currency,
+      plan: info.plan,
+      billingCycle: info.billingCycle,
+      voucherId: String(voucher._id),
+      recipientEmail: voucher.recipientEmail || undefined
+    }
+  });
+  console.log('🎁 Gift purchased:', { user: String(user._id), plan: info.plan, billingCycle: info.billingCycle, voucher: voucher.code });
+  return { duplicate: false, user, plan: info.plan, billingCycle: info.billingCycle, currency: info.currency, usageReset: null, voucher };
+}
+
+// Activate a captured payment once.
+//   order:    provider order (fetched server-side)
+//   payment:  { id, amount?, currency? }
+//   source:   'verify' | 'webhook'
+//   provider: 'razorpay' | 'stripe' | 'fake'
+// Returns { duplicate, user, plan, billingCycle, currency, usageReset, voucher }; voucher is
+// set (and usageReset null) for gift orders.
+async function activateOrderPayment({ order, payment, source, provider = 'razorpay', req = null, expectedUserId = null }) {
+  const info = readOrder(order, { expectedUserId });
+  if (payment.amount != null && Number(payment.amount) < info.amount) {
+    throw new ActivationError('AMOUNT_MISMATCH', `Payment amount ${payment.amount} is below the order amount ${info.amount}`, 409);
+  }
+  if (payment.currency && payment.currency !== info.currency) {
+    throw new ActivationError('CURRENCY_MISMATCH', `Payment currency ${payment.currency} differs from the order currency ${info.currency}`, 409);
+  }
+
+  const user = await User.findById(info.userId);
+  if (!user) throw new ActivationError('USER_NOT_FOUND', 'User not found', 404);
+
+  // Claim the payment; losing the race means someone else already activated it
+  try {
+    await PaymentEvent.create({
+      paymentId: payment.id,
+      orderId: order.id,
+      userId: user._id,
+      source,
+      provider,
+      plan: info.plan,
+      billingCycle: info.billingCycle,
+      amount: info.amount,
+      currency: info.currency,
+      status: 'processing'
+    });
+  } catch (e) {
+    if (isDuplicateKey(e)) {
+      const voucher = info.gift ? await Voucher.findOne({ paymentId: payment.id }) : null;
+      return { duplicate: true, user, plan: info.plan, billingCycle: info.billingCycle, currency: info.currency, usageReset: null, voucher };
+    }
+    throw e;
+  }
+
+  try {
+    if (info.gift) return await applyGiftPayment({ user, info, order, payment, source, provider, req });
+
+    if (info.couponCode) {
+      try {
+        await redeemCouponForOrder({ orderId: order.id, paymentId: payment.id });
+      } catch (e) {
+        if (!(e instanceof CouponError)) throw e;
+        // Paid, but past the coupon's limits: not honoured; support refunds it
+        console.error('❌ Coupon over its limit for paid order', order.id, { paymentId: payment.id, code: e.code });
+        recordAudit(req, {
+          action: 'billing.payment_rejected',
+          actor: source === 'webhook' ? { type: 'webhook' } : undefined,
+          target: userTarget(user),
+          metadata: { provider, orderId: order.id, paymentId: payment.id, couponCode: info.couponCode, reason: e.code }
+        });
+        throw new ActivationError('COUPON_LIMIT_REACHED', e.message, 409);
+      }
+    }
+
+    const now = new Date();
+    const before = planSnapshot(user);
+    const { trialEnded, usageReset } = applyPlanPeriod(user, {
+      plan: info.plan,
+      billingCycle: info.billingCycle,
+      currency: info.currency,
+      startFresh: info.isPlanChange,
+      now
+    });
+    await user.save();
+    await PaymentEvent.updateOne({ paymentId: payment.id }, { $set: { status: 'applied', processedAt: new Date() } });
+
+    await issueInvoice({
+      user,
+      provider,
+      paymentId: payment.id,
+      orderId: order.id,
+      kind: info.isPlanChange ? 'plan_change' : 'purchase',
+      plan: info.plan,
+      billingCycle: info.billingCycle,
+      amount: info.amount,
+      listPrice: info.listPrice,
+      credit: info.credit,
+      discount: info.discount,
+      couponCode: info.couponCode,
+      currency: info.currency,
+      periodStart: now,
+      periodEnd: user.subscription_end
+    });
+
+    recordAudit(req, {
+      action: source === 'webhook' ? 'billing.webhook_activation' : 'billing.plan_change',
+      actor: source === 'webhook' ? { type: 'webhook' } : undefined,
+      target: userTarget(user),
+      before,
+      after: planSnapshot(user),
+      metadata: {
+        source: info.isPlanChange ? 'change-plan' : source,
+        provider,
+        orderId: order.id,
+        paymentId: payment.id,
+        amount: info.amount,
+        currency: info.currency,
+        couponCode: info.couponCode || undefined,
+        trialConverted: trialEnded || undefined
+      }
+    });
+    return { duplicate: false, user, plan: info.plan, billingCycle: info.billingCycle, currency: info.currency, usageReset, voucher: null };
+  } catch (err) {
+    // Release the claim so a retry (webhook redelivery or another /verify) can apply it
+    await PaymentEvent.deleteOne({ paymentId: payment.id, status: 'processing' }).catch(() => {});
+    throw err;
+  }
+}
+
+// Take back the period a payment granted, once (full refund or lost dispute).
+// The paid-until date moves back by one period of that payment's cycle; if that lands in
+// the past the paid plan ends now. Upgrades that started fresh lose their credited days too.
+// A gift payment voids its voucher if unused, or else takes the period back from whoever
+// redeemed it.
+// Returns { reversed, revoked, user } — reversed is false if the payment never activated
+// anything or was already reversed. user is the payer.
+async function reversePaymentPeriod({ paymentId, reason, req = null, metadata = {}, now = new Date() }) {
+  const claimed = await PaymentEvent.findOneAndUpdate(
+    { paymentId, status: 'applied' },
+    { $set: { status: 'reversed', reversedAt: now, reversalReason: reason } },
+    { new: true }
+  );
+  if (!claimed || !claimed.userId) return { reversed: false, revoked: false, user: null };
+  if (claimed.voucherCode) return reverseGiftPayment(claimed, { reason, req, metadata, now });
+
+  const user = await User.findById(claimed.userId);
+  if (!user) return { reversed: false, revoked: false, user: null };
+
+  const before = planSnapshot(user);
+  const revoked = takeBackPeriod(user, { grantedAt: claimed.processedAt || now, billingCycle: claimed.billingCycle, now });
+  await user.save();
+
+  recordAudit(req, {
+    action: 'billing.payment_reversed',
+    actor: { type: 'webhook' },
+    target: userTarget(user),
+    before,
+    after: planSnapshot(user),
+    metadata: { provider: claimed.provider || 'razorpay', paymentId, reason, revoked, plan: claimed.plan, billingCycle: claimed.billingCycle, ...metadata }
+  });
+  console.log('↩️ Payment reversed:', { user: String(user._id), paymentId, reason, revoked, end: user.subscription_end });
+  return { reversed: true, revoked, user };
+}
+
+async function reverseGiftPayment(claimed, { reason, req, metadata, now }) {
+  const buyer = await User.findById(claimed.userId);
+  const code = claimed.voucherCode;
+  const baseMetadata = { provider: claimed.provider || 'razorpay', paymentId: claimed.paymentId, reason, voucherCode: code, plan: claimed.plan, billingCycle: claimed.billingCycle, ...metadata };
+
+  const voided = await voidVoucher({ code }, { reason, now });
+  if (voided) {
+    if (buyer) {
+      recordAudit(req, {
+        action: 'billing.payment_reversed',
+        actor: { type: 'webhook' },
+        target: userTarget(buyer),
+        metadata: { ...baseMetadata, voucherVoided: true }
+      });
+    }
+    console.log('↩️ Gift payment reversed, voucher voided:', { paymentId: claimed.paymentId, voucher: code, reason });
+    return { reversed: true, revoked: false, user: buyer };
+  }
+
+  // Already redeemed: the recipient loses the period the code gave them
+  const voucher = await Voucher.findOne({ code }).lean();
+  const redeemer = voucher && voucher.status === 'redeemed' && voucher.redeemedBy ? await User.findById(voucher.redeemedBy) : null;
+  if (!redeemer) return { reversed: true, revoked: false, user: buyer };
+
+  const before = planSnapshot(redeemer);
+  const revoked = takeBackPeriod(redeemer, { grantedAt: voucher.redeemedAt || now, billingCycle: voucher.billingCycle, now });
+  await redeemer.save();
+  recordAudit(req, {
+    action: 'billing.payment_reversed',
+    actor: { type: 'webhook' },
+    target: userTarget(redeemer),
+    before,
+    after: planSnapshot(redeemer),
+    metadata: { ...baseMetadata, revoked, giftFrom: buyer ? String(buyer._id) : null }
+  });
+  console.log('↩️ Gift payment reversed:', { redeemer: String(redeemer._id), paymentId: claimed.paymentId, voucher: code, reason, revoked });
+  return { reversed: true, revoked, user: buyer };
+}
+
+// Redeem a voucher code for `user` (a loaded document). Single use; the plan period is
+// applied exactly like a payment for that plan and cycle. Throws VoucherError.
+// Returns { user, voucher, plan, billingCycle, usageReset }.
+async function redeemVoucher({ code, user, req = null, now = new Date() }) {
+  const normalized = normalizeVoucherCode(code);
+  if (!normalized) throw new VoucherError('CODE_REQUIRED', 'Enter a voucher code');
+
+  const voucher = await Voucher.findOne({ code: normalized });
+  if (!voucher) throw new VoucherError('VOUCHER_NOT_FOUND', 'This code does not exist', 404);
+  if (voucher.status === 'redeemed') throw new VoucherError('VOUCHER_ALREADY_REDEEMED', 'This code has already been used', 409);
+  if (voucher.status === 'void') throw new VoucherError('VOUCHER_VOID', 'This code is no longer valid', 410);
+  if (voucher.expiresAt && new Date(voucher.expiresAt) <= now) throw new VoucherError('VOUCHER_EXPIRED', 'This code has expired', 410);
+
+  if (isRenewing(user) && user.subscription_status !== 'created') {
+    throw new VoucherError('SUBSCRIPTION_ACTIVE', 'Your plan renews automatically. Cancel the subscription before redeeming a code.', 409);
+  }
+  const plan = normalizePlanLabel(voucher.plan);
+  const current = currentPaidPlan(user, now);
+  if (current && current.plan !== plan) {
+    throw new VoucherError(
+      'VOUCHER_PLAN_CONFLICT',
+      `You have ${getPlanName(current.plan)} until ${current.periodEnd.toISOString().slice(0, 10)}. Redeem this ${getPlanName(plan)} code after it ends.`,
+      409
+    );
+  }
+
+  // Claim the code; losing the race means someone else just used it
+  const claimed = await Voucher.findOneAndUpdate(
+    { _id: voucher._id, status: 'active', $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    { $set: { status: 'redeemed', redeemedBy: user._id, redeemedAt: now } },
+    { new: true }
+  );
+  if (!claimed) throw new VoucherError('VOUCHER_ALREADY_REDEEMED', 'This code has already been used', 409);
+
+  const before = planSnapshot(user);
+  let applied;
+  try {
+    applied = applyPlanPeriod(user, { plan, billingCycle: claimed.billingCycle, now });
+    await user.save();
+  } catch (err) {
+    // Give the code back so the user can try again
+    await Voucher.updateOne(
+      { _id: claimed._id, status: 'redeemed', redeemedBy: user._id },
+      { $set: { status: 'active', redeemedBy: null, redeemedAt: null } }
+    ).catch(() => {});
+    throw err;
+  }
+
+  recordAudit(req, {
+    action: 'billing.voucher_redeemed',
+    target: userTarget(user),
+    before,
+    after: planSnapshot(user),
+    metadata: {
+      voucherId: String(claimed._id),
+      code: claimed.code,
+      source: claimed.source,
+      batchId: claimed.batchId || undefined,
+      giftFrom: claimed.purchasedBy ? String(claimed.purchasedBy) : undefined,
+      plan,
+      billingCycle: claimed.billingCycle,
+      trialConverted: applied.trialEnded || undefined
+    }
+  });
+  console.log('🎟️ Voucher redeemed:', { user: String(user._id), voucher: claimed.code, plan, billingCycle: claimed.billingCycle, end: user.subscription_end });
+  return { user, voucher: claimed, plan, billingCycle: claimed.billingCycle, usageReset: applied.usageReset };
+}
+
+module.exports = {
+  ActivationError,
+  readOrder,
+  activateOrderPayment,
+  reversePaymentPeriod,
+  redeemVoucher
+};
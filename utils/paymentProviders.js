@@ -0,0 +1,83 @@
+// Payment providers behind one interface, so checkout, /verify, webhooks and refunds don't
+// depend on who moves the money. Every provider module exports:
+//   name                       'razorpay' | 'stripe' | 'fake'
+//   isConfigured()             keys (or the sandbox switch) are present
+//   ownsOrderId(orderId)       recognises its own order ids, so /verify can route an order back
+//   createCheckout({ amount, currency, receipt, notes, customer, description })
+//       → { orderId, amount, currency, client }   client = extra fields the frontend needs
+//   verifyPayment({ orderId, paymentId, signature }) → { paymentId }
+//   fetchOrder(orderId)        → { id, amount, currency, notes, status }
+//   parseWebhook(req)          → { eventId, payload } or null for events we don't use.
+//       payload uses the Razorpay webhook shape ({ event, payload: { payment: { entity } } }),
+//       which is what billingWebhook.js handles; other providers translate into it.
+//   refund(paymentId, { amount?, notes? }) → { id, paymentId, amount, currency, status }
+// Failures the caller should show are thrown as PaymentProviderError.
+//
+// Provider modules are loaded on first use, so the Stripe SDK isn't loaded for Razorpay-only
+// deployments.
+const PROVIDERS = {
+  razorpay: () => require('./razorpayProvider'),
+  stripe: () => require('./stripeProvider'),
+  fake: () => require('./fakePaymentProvider')
+};
+
+// Provider for new checkouts. 'razorpay' sends non-INR checkouts to Stripe when Stripe is
+// configured; 'fake' (sandbox only) takes every checkout.
+const DEFAULT_PROVIDER = (process.env.PAYMENT_PROVIDER || 'razorpay').trim().toLowerCase();
+
+class PaymentProviderError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The in-process fake is never available in production
+function sandboxEnabled() {
+  return process.env.NODE_ENV !== 'production' && process.env.PAYMENT_SANDBOX === 'true';
+}
+
+function getPaymentProvider(name) {
+  const key = String(name || '').toLowerCase();
+  const load = PROVIDERS[key];
+  if (!load) throw new PaymentProviderError('UNKNOWN_PROVIDER', `Unknown payment provider: ${name}`);
+  // Outside the sandbox the fake doesn't exist
+  if (key === 'fake' && !sandboxEnabled()) {
+    throw new PaymentProviderError('PROVIDER_NOT_AVAILABLE', 'Payments with fake are not available', 404);
+  }
+  return load();
+}
+
+function listPaymentProviders() {
+  return Object.keys(PROVIDERS).filter(key => key !== 'fake' || sandboxEnabled()).map(getPaymentProvider);
+}
+
+// requested: provider named by the client (optional). Throws PaymentProviderError.
+function providerForCheckout({ currency, requested = null } = {}) {
+  let name = requested ? String(requested).toLowerCase() : DEFAULT_PROVIDER;
+  if (!requested && name === 'razorpay' && currency && currency !== 'INR' && getPaymentProvider('stripe').isConfigured()) {
+    name = 'stripe';
+  }
+  const provider = getPaymentProvider(name);
+  if (!provider.isConfigured()) {
+    throw new PaymentProviderError('PROVIDER_NOT_AVAILABLE', `Payments with ${name} are not available`, requested ? 400 : 503);
+  }
+  return provider;
+}
+
+// Which provider created this order id (null if none recognises it)
+function providerForOrderId(orderId) {
+  if (!orderId) return null;
+  return listPaymentProviders().find(p => p.ownsOrderId(String(orderId))) || null;
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PaymentProviderError,
+  sandboxEnabled,
+  getPaymentProvider,
+  listPaymentProviders,
+  providerForCheckout,
+  providerForOrderId
+};
@@ -0,0 +1,35 @@
+// What a user can do right now: the plan whose quotas apply, after expiry and trials.
+// Shared by every route that gates downloads or AI usage.
+const { isPlanLapsed, expireLapsedPlanInBackground } = require('./planExpiry');
+const { isTrialActive, TRIAL_QUOTA_KEY } = require('./trials');
+const { isPaidPlanId, normalizePlanLabel, getPlanQuotas, DEFAULT_PAID_PLAN } = require('./plans');
+
+// Plan id whose quotas apply: a paid plan id, TRIAL_QUOTA_KEY or 'free'
+function effectivePlanId(user) {
+  try {
+    // Past subscription_end + grace: free now, and persist the downgrade
+    if (isPlanLapsed(user)) {
+      expireLapsedPlanInBackground(user);
+      return isTrialActive(user) ? TRIAL_QUOTA_KEY : 'free';
+    }
+    const raw = String(user?.subscription_type || 'free').toLowerCase();
+    if (isPaidPlanId(raw)) return raw;
+    if (raw === 'premium') return normalizePlanLabel(raw); // legacy → starter behavior
+    if (user?.is_premium) return DEFAULT_PAID_PLAN; // unknown label but flagged premium
+    if (isTrialActive(user)) return TRIAL_QUOTA_KEY;
+    return 'free';
+  } catch {
+    return 'free';
+  }
+}
+
+// { planId, ai, downloads, premiumAccess }
+function effectivePlan(user) {
+  const planId = effectivePlanId(user);
+  return { planId, ...getPlanQuotas(planId) };
+}
+
+module.exports = {
+  effectivePlanId,
+  effectivePlan
+};
@@ -0,0 +1,92 @@
+// Downgrades lapsed paid plans to free.
+// Two paths share expireLapsedPlan(): the daily cron in server.js, and an on-read check in
+// plan resolution so an expired user loses paid quotas immediately, not at the next cron run.
+const User = require('../models/User');
+const { recordAudit, planSnapshot } = require('./audit');
+
+// Paid access survives this long past subscription_end (late renewals, webhook delays)
+const PLAN_GRACE_DAYS = Number(process.env.PLAN_EXPIRY_GRACE_DAYS || 3);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function graceCutoff(now = new Date()) {
+  return new Date(now.getTime() - PLAN_GRACE_DAYS * DAY_MS);
+}
+
+function hasPaidFlag(user) {
+  const plan = String((user && user.subscription_type) || 'free').toLowerCase();
+  return plan !== 'free' || Boolean(user && user.is_premium);
+}
+
+// Paid plan whose end (plus grace) has passed. Plans without an end date (dev overrides) never lapse.
+function isPlanLapsed(user, now = new Date()) {
+  if (!hasPaidFlag(user) || !user.subscription_end) return false;
+  return new Date(user.subscription_end) < graceCutoff(now);
+}
+
+// Paid and not lapsed
+function isPaidPlanActive(user, now = new Date()) {
+  return hasPaidFlag(user) && !isPlanLapsed(user, now);
+}
+
+// Atomically downgrade one user. Only the caller that actually flips the document records
+// the audit event, so the cron and concurrent reads never log the same expiry twice.
+async function expireLapsedPlan(userId, { source = 'cron', now = new Date() } = {}) {
+  const user = await User.findById(userId).lean();
+  if (!user || !isPlanLapsed(user, now)) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      subscription_end: user.subscription_end,
+      $or: [{ subscription_type: { $ne: 'free' } }, { is_premium: true }]
+    },
+    { $set: { subscription_type: 'free', is_premium: false }, $unset: { scheduled_plan_change: 1 } }
+  );
+  if (!result.modifiedCount) return false;
+
+  await recordAudit(null, {
+    action: 'billing.plan_expired',
+    actor: { type: 'system' },
+    target: { type: 'user', id: String(user._id), label: user.email || null },
+    before: planSnapshot(user),
+    after: { ...planSnapshot(user), subscription_type: 'free', is_premium: false },
+    metadata: { source, graceDays: PLAN_GRACE_DAYS }
+  });
+  console.log('⌛ Plan expired:', { user: String(user._id), plan: user.subscription_type, end: user.subscription_end, source });
+  return true;
+}
+
+// Fire-and-forget variant for read paths
+function expireLapsedPlanInBackground(user) {
+  if (!user || !user._id) return;
+  expireLapsedPlan(user._id, { source: 'on_read' }).catch((err) => {
+    console.error('[plan-expiry] on-read expiry failed:', err && err.message ? err.message : err);
+  });
+}
+
+// Cron: downgrade every lapsed paid plan
+async function processExpiredPlans(now = new Date()) {
+  const due = await User.find({
+    subscription_end: { $lt: graceCutoff(now) },
+    $or: [{ subscription_type: { $ne: 'free' } }, { is_premium: true }]
+  }).select('_id').lean();
+
+  let expired = 0;
+  for (const { _id } of due) {
+    try {
+      if (await expireLapsedPlan(_id, { source: 'cron', now })) expired++;
+    } catch (err) {
+      console.error('❌ Plan expiry failed for', String(_id), err && err.message ? err.message : err);
+    }
+  }
+  return { success: true, due: due.length, expired, graceDays: PLAN_GRACE_DAYS };
+}
+
+module.exports = {
+  PLAN_GRACE_DAYS,
+  isPlanLapsed,
+  isPaidPlanActive,
+  expireLapsedPlan,
+  expireLapsedPlanInBackground,
+  processExpiredPlans
+};
@@ -0,0 +1,293 @@
+// Plan catalogue service: the one place routes read plan names, prices, quotas and
+// Razorpay plan ids from.
+// The catalogue lives in the plans collection and is cached in memory; getters are
+// synchronous and read the cache. The cache starts from DEFAULT_PLANS, is loaded from
+// Mongo at startup (startPlanCatalog) and refreshed every PLAN_CACHE_TTL_MS and after
+// every admin edit, so all instances pick up changes within a minute.
+const Plan = require('../models/Plan');
+
+const PLAN_CACHE_TTL_MS = Number(process.env.PLAN_CACHE_TTL_MS || 60 * 1000);
+
+// Unknown or legacy paid labels resolve to this plan (e.g. old 'premium' accounts)
+const DEFAULT_PAID_PLAN = 'starter';
+const LEGACY_ALIASES = { premium: 'starter' };
+
+const envPaise = (name, fallback) => Number(process.env[name] || fallback);
+const envId = (name) => (process.env[name] || '').trim() || null;
+
+// Seeded into an empty collection; after that the database is the source of truth.
+// The env overrides only matter for that first seed. Prices are in minor units per
+// currency; a plan is only sold in the currencies it has a price for.
+const DEFAULT_PLANS = [
+  {
+    planId: 'free', name: 'Free', kind: 'free', rank: 0,
+    prices: {}, quotas: { ai: 5, downloads: 3 }, premiumAccess: false
+  },
+  {
+    planId: 'starter', name: 'Starter', kind: 'paid', rank: 1,
+    prices: {
+      INR: { monthly: envPaise('RZP_STARTER_MONTHLY_PAISE', 5900), annual: envPaise('RZP_STARTER_ANNUAL_PAISE', 39 * 100 * 12) },
+      USD: { monthly: 499, annual: 3999 },
+      EUR: { monthly: 459, annual: 3699 },
+      GBP: { monthly: 399, annual: 3199 }
+    },
+    quotas: { ai: 200, downloads: 50 }, premiumAccess: true,
+    razorpayPlanIds: { monthly: envId('RZP_PLAN_STARTER_MONTHLY'), annual: envId('RZP_PLAN_STARTER_ANNUAL') }
+  },
+  {
+    planId: 'pro', name: 'Pro', kind: 'paid', rank: 2,
+    prices: {
+      INR: { monthly: envPaise('RZP_PRO_MONTHLY_PAISE', 9900), annual: envPaise('RZP_PRO_ANNUAL_PAISE', 79 * 100 * 12) },
+      USD: { monthly: 999, annual: 7999 },
+      EUR: { monthly: 899, annual: 7299 },
+      GBP: { monthly: 799, annual: 6399 }
+    },
+    quotas: { ai: 500, downloads: 150 }, premiumAccess: true,
+    razorpayPlanIds: { monthly: envId('RZP_PLAN_PRO_MONTHLY'), annual: envId('RZP_PLAN_PRO_ANNUAL') }
+  },
+  {
+    planId: 'pro_plus', name: 'Pro Plus', kind: 'paid', rank: 3,
+    prices: {
+      INR: { monthly: envPaise('RZP_PRO_PLUS_MONTHLY_PAISE', 19900), annual: envPaise('RZP_PRO_PLUS_ANNUAL_PAISE', 179 * 100 * 12) },
+      USD: { monthly: 1999, annual: 17999 },
+      EUR: { monthly: 1799, annual: 16499 },
+      GBP: { monthly: 1599, annual: 14399 }
+    },
+    quotas: { ai: 2000, downloads: 400 }, premiumAccess: true,
+    razorpayPlanIds: { monthly: envId('RZP_PLAN_PRO_PLUS_MONTHLY'), annual: envId('RZP_PLAN_PRO_PLUS_ANNUAL') }
+  },
+  {
+    // Team plans: bought by an organization's owner, quotas shared by every member
+    planId: 'team', name: 'Team', kind: 'paid', rank: 4, seats: 5,
+    prices: {
+      INR: { monthly: 49900, annual: 479900 },
+      USD: { monthly: 2999, annual: 28799 },
+      EUR: { monthly: 2799, annual: 26899 },
+      GBP: { monthly: 2399, annual: 22999 }
+    },
+    quotas: { ai: 3000, downloads: 750 }, premiumAccess: true
+  },
+  {
+    planId: 'agency', name: 'Agency', kind: 'paid', rank: 5, seats: 15,
+    prices: {
+      INR: { monthly: 129900, annual: 1249900 },
+      USD: { monthly: 7999, annual: 76799 },
+      EUR: { monthly: 7399, annual: 70999 },
+      GBP: { monthly: 6399, annual: 61399 }
+    },
+    quotas: { ai: 10000, downloads: 2500 }, premiumAccess: true
+  },
+  {
+    // Free trial of Pro (utils/trials.js): paid catalogue, smaller quotas
+    planId: 'pro_trial', name: 'Pro (trial)', kind: 'trial', rank: 0,
+    prices: {}, quotas: { ai: 100, downloads: 20 }, premiumAccess: true
+  }
+];
+
+function toPlain(doc) {
+  const src = (doc && typeof doc.toObject === 'function') ? doc.toObject({ flattenMaps: true }) : doc;
+  const prices = {};
+  const rawPrices = src.prices instanceof Map ? Object.fromEntries(src.prices) : (src.prices || {});
+  for (const [currency, row] of Object.entries(rawPrices)) {
+    prices[currency.toUpperCase()] = {
+      monthly: row && row.monthly != null ? Number(row.monthly) : null,
+      annual: row && row.annual != null ? Number(row.annual) : null
+    };
+  }
+  return {
+    planId: src.planId,
+    name: src.name,
+    kind: src.kind || 'paid',
+    rank: Number(src.rank || 0),
+    prices,
+    quotas: { ai: Number((src.quotas && src.quotas.ai) || 0), downloads: Number((src.quotas && src.quotas.downloads) || 0) },
+    premiumAccess: Boolean(src.premiumAccess),
+    seats: Math.max(1, Number(src.seats || 1)),
+    features: Array.isArray(src.features) ? src.features.slice() : [],
+    razorpayPlanIds: {
+      monthly: (src.razorpayPlanIds && src.razorpayPlanIds.monthly) || null,
+      annual: (src.razorpayPlanIds && src.razorpayPlanIds.annual) || null
+    },
+    active: src.active !== false
+  };
+}
+
+function buildCatalog(plans) {
+  const byId = new Map();
+  for (const p of plans) byId.set(p.planId, toPlain(p));
+  // The free tier must always resolve
+  if (!byId.has('free')) byId.set('free', toPlain(DEFAULT_PLANS[0]));
+  return byId;
+}
+
+let catalog = buildCatalog(DEFAULT_PLANS);
+let refreshTimer = null;
+
+// Insert any default plan that's missing (never overwrites admin edits)
+async function ensureDefaultPlans() {
+  await Plan.bulkWrite(DEFAULT_PLANS.map(p => ({
+    updateOne: { filter: { planId: p.planId }, update: { $setOnInsert: p }, upsert: true }
+  })));
+  await backfillDefaultPrices();
+}
+
+// Plans seeded before a currency existed get its default price. Only currencies missing
+// from a plan are added; prices already there (admin-edited INR included) stay as they are.
+// A currency an admin doesn't want to sell stays unsold with null prices, not a missing key.
+async function backfillDefaultPrices() {
+  const ops = [];
+  for (const p of DEFAULT_PLANS) {
+    for (const [currency, row] of Object.entries(p.prices || {})) {
+      ops.push({
+        updateOne: {
+          filter: { planId: p.planId, [`prices.${currency}`]: { $exists: false } },
+          update: { $set: { [`prices.${currency}`]: row } }
+        }
+      });
+    }
+  }
+  if (!ops.length) return 0;
+  const result = await Plan.bulkWrite(ops);
+  if (result.modifiedCount) console.log(`💱 Backfilled ${result.modifiedCount} plan price(s) in new currencies`);
+  return result.modifiedCount;
+}
+
+async function refreshPlans() {
+  const docs = await Plan.find({}).lean();
+  if (docs.length) catalog = buildCatalog(docs);
+  return catalog.size;
+}
+
+// Called once Mongo is connected
+async function startPlanCatalog() {
+  await ensureDefaultPlans();
+  await refreshPlans();
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refreshPlans().catch((err) => console.error('[plans] refresh failed:', err && err.message ? err.message : err));
+    }, PLAN_CACHE_TTL_MS);
+    refreshTimer.unref();
+  }
+  return catalog.size;
+}
+
+// ---------- Getters (synchronous, cached) ----------
+
+function getPlan(planId) {
+  return catalog.get(String(planId || '').toLowerCase()) || null;
+}
+
+function listPlans({ includeInactive = false, kind = null } = {}) {
+  return [...catalog.values()]
+    .filter(p => (includeInactive || p.active) && (!kind || p.kind === kind))
+    .sort((a, b) => a.rank - b.rank || a.planId.localeCompare(b.planId));
+}
+
+// Plans a customer can buy right now
+function paidPlanIds() {
+  return listPlans({ kind: 'paid' }).map(p => p.planId);
+}
+
+function isPaidPlanId(planId) {
+  const p = getPlan(planId);
+  return Boolean(p && p.kind === 'paid');
+}
+
+// Map any stored/requested label to a paid plan id. Inactive plans still resolve so
+// orders and subscriptions created before a plan was retired keep working.
+function normalizePlanLabel(plan) {
+  const p = String(plan || '').toLowerCase();
+  if (isPaidPlanId(p)) return p;
+  if (LEGACY_ALIASES[p]) return LEGACY_ALIASES[p];
+  return DEFAULT_PAID_PLAN;
+}
+
+function getPlanRank(planId) {
+  const p = getPlan(planId);
+  return p ? p.rank : 0;
+}
+
+function getPlanName(planId) {
+  const p = getPlan(planId);
+  return p ? p.name : String(planId || '');
+}
+
+// { ai, downloads, premiumAccess } — unknown ids get the free tier
+function getPlanQuotas(planId) {
+  const p = getPlan(planId) || getPlan('free');
+  return { ai: p.quotas.ai, downloads: p.quotas.downloads, premiumAccess: p.premiumAccess };
+}
+
+// Organization seats the plan covers (1 = individual plan)
+function getPlanSeats(planId) {
+  const p = getPlan(planId);
+  return p ? p.seats : 1;
+}
+
+function getPlanPricePaise(plan = DEFAULT_PAID_PLAN, billingCycle = 'monthly', currency = 'INR') {
+  const p = getPlan(normalizePlanLabel(plan));
+  const cycle = billingCycle === 'annual' ? 'annual' : 'monthly';
+  const row = p && p.prices[String(currency || 'INR').toUpperCase()];
+  return row && row[cycle] != null ? Number(row[cycle]) : null;
+}
+
+// Currencies the plan has a price in for this cycle
+function getPlanCurrencies(plan, billingCycle = 'monthly') {
+  const p = getPlan(plan);
+  const cycle = billingCycle === 'annual' ? 'annual' : 'monthly';
+  return p ? Object.keys(p.prices).filter(c => p.prices[c][cycle] != null) : [];
+}
+
+function getRazorpayPlanId(plan, billingCycle) {
+  const p = getPlan(plan);
+  return (p && p.razorpayPlanIds[billingCycle === 'annual' ? 'annual' : 'monthly']) || null;
+}
+
+// Reverse lookup for webhook payloads that lack our notes
+function planFromRazorpayPlanId(razorpayPlanId) {
+  if (!razorpayPlanId) return null;
+  for (const p of catalog.values()) {
+    for (const billingCycle of ['monthly', 'annual']) {
+      if (p.razorpayPlanIds[billingCycle] === razorpayPlanId) return { plan: p.planId, billingCycle };
+    }
+  }
+  return null;
+}
+
+// Shape for clients (checkout pages, /api/billing/config)
+function publicPlan(p) {
+  return {
+    id: p.planId,
+    name: p.name,
+    kind: p.kind,
+    rank: p.rank,
+    prices: p.prices,
+    quotas: p.quotas,
+    premiumAccess: p.premiumAccess,
+    seats: p.seats,
+    features: p.features
+  };
+}
+
+module.exports = {
+  DEFAULT_PLANS,
+  DEFAULT_PAID_PLAN,
+  PLAN_CACHE_TTL_MS,
+  ensureDefaultPlans,
+  refreshPlans,
+  startPlanCatalog,
+  getPlan,
+  listPlans,
+  paidPlanIds,
+  isPaidPlanId,
+  normalizePlanLabel,
+  getPlanRank,
+  getPlanName,
+  getPlanQuotas,
+  getPlanSeats,
+  getPlanPricePaise,
+  getPlanCurrencies,
+  getRazorpayPlanId,
+  planFromRazorpayPlanId,
+  publicPlan
+};
@@ -0,0 +1,119 @@
+// Razorpay behind the PaymentProvider interface (see utils/paymentProviders.js).
+// One-off payments are Razorpay orders paid with Razorpay Checkout. Recurring subscriptions
+// are Razorpay-only and use getRazorpayClient() directly.
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { PaymentProviderError } = require('./paymentProviders');
+
+const name = 'razorpay';
+
+function getKeys() {
+  return {
+    keyId: (process.env.RAZORPAY_KEY_ID || '').trim(),
+    keySecret: (process.env.RAZORPAY_KEY_SECRET || '').trim(),
+    webhookSecret: (process.env.RAZORPAY_WEBHOOK_SECRET || '').trim()
+  };
+}
+
+function isConfigured() {
+  const { keyId, keySecret } = getKeys();
+  return Boolean(keyId && keySecret);
+}
+
+function getRazorpayClient() {
+  const { keyId, keySecret } = getKeys();
+  if (!keyId || !keySecret) {
+    console.error('[Razorpay] Missing credentials', {
+      hasKeyId: Boolean(keyId),
+      hasKeySecret: Boolean(keySecret),
+      nodeEnv: process.env.NODE_ENV,
+      cwd: process.cwd()
+    });
+    throw new Error('Missing Razorpay credentials. Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env');
+  }
+  return new Razorpay({ key_id: keyId, key_secret: keySecret });
+}
+
+function ownsOrderId(orderId) {
+  return /^order_/.test(orderId);
+}
+
+async function createCheckout({ amount, currency, receipt, notes }) {
+  const order = await getRazorpayClient().orders.create({
+    amount,
+    currency,
+    receipt,
+    payment_capture: 1,
+    notes
+  });
+  return {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    // Razorpay Checkout opens in the page with the key id + order id
+    client: { keyId: getKeys().keyId }
+  };
+}
+
+// Razorpay Checkout returns order id, payment id and an HMAC of both
+async function verifyPayment({ orderId, paymentId, signature }) {
+  if (!orderId || !paymentId || !signature) {
+    throw new PaymentProviderError('MISSING_FIELDS', 'orderId, paymentId, signature are required');
+  }
+  const { keySecret } = getKeys();
+  if (!keySecret) throw new PaymentProviderError('SERVER_MISCONFIG', 'Missing RAZORPAY_KEY_SECRET', 500);
+
+  const expected = crypto.createHmac('sha256', keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+  if (expected !== signature) {
+    throw new PaymentProviderError('INVALID_SIGNATURE', 'Signature verification failed');
+  }
+  return { paymentId };
+}
+
+// Razorpay's order entity already has the shape the activation reads
+async function fetchOrder(orderId) {
+  return getRazorpayClient().orders.fetch(orderId);
+}
+
+// req.body must be the raw Buffer (express.raw)
+function parseWebhook(req) {
+  const { webhookSecret } = getKeys();
+  if (!webhookSecret) {
+    console.error('[webhook] Missing RAZORPAY_WEBHOOK_SECRET');
+    throw new PaymentProviderError('SERVER_MISCONFIG', 'Missing RAZORPAY_WEBHOOK_SECRET', 500);
+  }
+
+  const signature = req.get('x-razorpay-signature');
+  const computed = crypto.createHmac('sha256', webhookSecret).update(req.body).digest('hex');
+  if (!signature || computed !== signature) {
+    throw new PaymentProviderError('INVALID_SIGNATURE', 'Invalid webhook signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (e) {
+    throw new PaymentProviderError('INVALID_JSON', 'Webhook body is not JSON');
+  }
+  return { eventId: req.get('x-razorpay-event-id') || null, payload };
+}
+
+// Razorpay confirms with refund.processed, which the webhook applies
+async function refund(paymentId, { amount, notes } = {}) {
+  const params = { notes: notes || {} };
+  if (amount != null) params.amount = amount;
+  const r = await getRazorpayClient().payments.refund(paymentId, params);
+  return { id: r.id, paymentId, amount: r.amount, currency: r.currency, status: r.status };
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  ownsOrderId,
+  createCheckout,
+  verifyPayment,
+  fetchOrder,
+  parseWebhook,
+  refund,
+  getRazorpayClient
+};
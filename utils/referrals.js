@@ -0,0 +1,334 @@
+// Referral program.
+//   ensureReferralCode()    every user's code, created on first use; the signup link carries it (?ref=)
+//   attachReferral()        links a new account to the referrer: at signup, after a Google
+//                           signup that started with ?ref=, or via POST /api/referrals/apply
+//   rewardReferral()        billingWebhook.js, on the referred user's first captured payment
+//   revokeReferralReward()  billingWebhook.js, when that payment is refunded or lost in a dispute
+// The referrer earns days on an active one-off paid plan, and bonus downloads otherwise
+// (free, trial, or an auto-renewing subscription, whose end date the provider owns).
+// Self-referrals are refused when linking and checked again before rewarding, since a
+// Google account or email can be linked in between.
+const crypto = require('crypto');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const PaymentEvent = require('../models/PaymentEvent');
+const { recordAudit, planSnapshot, userTarget } = require('./audit');
+const { currentPaidPlan, plusDays } = require('./billing');
+const { isRenewing } = require('./subscriptions');
+const { getFrontendUrl } = require('./mailer');
+
+const REWARD_DAYS = Number(process.env.REFERRAL_REWARD_DAYS || 14);
+const REWARD_DOWNLOADS = Number(process.env.REFERRAL_REWARD_DOWNLOADS || 25);
+// A code can be added after signing up, until the first payment or this many days
+const APPLY_WINDOW_DAYS = Number(process.env.REFERRAL_APPLY_WINDOW_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+
+// Shared mail providers: two accounts on one of these say nothing about who owns them.
+// Any other domain shared by referrer and referred is treated as the same person or company.
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'yahoo.com', 'yahoo.co.in', 'ymail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'zoho.com', 'gmx.com', 'mail.com', 'yandex.com', 'rediffmail.com'
+]);
+
+const REJECT_MESSAGES = {
+  same_account: 'You cannot use your own referral code',
+  same_google_account: 'This referral code belongs to an account using the same Google account',
+  same_email: 'This referral code belongs to an account with the same email address',
+  same_email_domain: 'Referral codes cannot be used between accounts on the same email domain'
+};
+
+class ReferralError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
+}
+
+function normalizeReferralCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function generateReferralCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+function referralLink(code) {
+  return `${getFrontendUrl()}/signup?ref=${encodeURIComponent(code)}`;
+}
+
+// The user's code, creating it the first time
+async function ensureReferralCode(user) {
+  if (user.referral_code) return user.referral_code;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referral_code: { $exists: false } },
+        { $set: { referral_code: generateReferralCode() } },
+        { new: true }
+      ).select('referral_code').lean();
+      if (updated) return updated.referral_code;
+      // Set concurrently by another request
+      const current = await User.findById(user._id).select('referral_code').lean();
+      return current ? current.referral_code || null : null;
+    } catch (e) {
+      if (!isDuplicateKey(e) || attempt >= 5) throw e;
+    }
+  }
+}
+
+// One mailbox, however it's written: lowercase, no +tag, and Gmail ignores dots
+function mailbox(email) {
+  const [rawLocal, rawDomain] = String(email || '').trim().toLowerCase().split('@');
+  if (!rawLocal || !rawDomain) return null;
+  const domain = rawDomain === 'googlemail.com' ? 'gmail.com' : rawDomain;
+  let local = rawLocal.split('+')[0];
+  if (domain === 'gmail.com') local = local.replace(/\./g, '');
+  return { domain, address: `${local}@${domain}` };
+}
+
+function googleIds(user) {
+  const ids = (user.identities || []).filter(i => i.provider === 'google').map(i => String(i.providerUserId));
+  if (user.googleId) ids.push(String(user.googleId));
+  return ids;
+}
+
+function accountMailboxes(user) {
+  return [user.email, ...(user.identities || []).map(i => i.email)].map(mailbox).filter(Boolean);
+}
+
+// Why `referred` can't be credited to `referrer`, or null
+function selfReferralReason(referrer, referred) {
+  if (String(referrer._id) === String(referred._id)) return 'same_account';
+
+  const referrerGoogle = googleIds(referrer);
+  if (googleIds(referred).some(id => referrerGoogle.includes(id))) return 'same_google_account';
+
+  const a = accountMailboxes(referrer);
+  const b = accountMailboxes(referred);
+  if (b.some(m => a.some(n => n.address === m.address))) return 'same_email';
+  if (b.some(m => !PUBLIC_EMAIL_DOMAINS.has(m.domain) && a.some(n => n.domain === m.domain))) return 'same_email_domain';
+  return null;
+}
+
+// Link `user` (a new account) to the owner of `code`. Throws ReferralError.
+//   source: 'signup' | 'google' | 'manual' (manual adds the apply-window checks)
+async function attachReferral({ user, code, source = 'signup', req = null, now = new Date() }) {
+  const normalized = normalizeReferralCode(code);
+  if (!CODE_PATTERN.test(normalized)) throw new ReferralError('INVALID_REFERRAL_CODE', 'Enter a valid referral code');
+
+  const referrer = await User.findOne({ referral_code: normalized, deletedAt: null });
+  if (!referrer) throw new ReferralError('REFERRAL_CODE_NOT_FOUND', 'This referral code does not exist', 404);
+  if (await Referral.exists({ referred: user._id })) {
+    throw new ReferralError('ALREADY_REFERRED', 'This account already has a referral', 409);
+  }
+  if (source === 'manual') {
+    const createdAt = user.createdAt ? new Date(user.createdAt) : now;
+    if (now.getTime() - createdAt.getTime() > APPLY_WINDOW_DAYS * DAY_MS) {
+      throw new ReferralError('REFERRAL_WINDOW_CLOSED', `Referral codes can only be added within ${APPLY_WINDOW_DAYS} days of signing up`, 409);
+    }
+    if (await PaymentEvent.exists({ userId: user._id, voucherCode: null })) {
+      throw new ReferralError('ALREADY_CUSTOMER', 'Referral codes can only be added before your first payment', 409);
+    }
+  }
+
+  const reason = selfReferralReason(referrer, user);
+  if (reason) {
+    recordAudit(req, {
+      action: 'referral.rejected',
+      target: userTarget(user),
+      metadata: { stage: 'attach', reason, code: normalized, referrerId: String(referrer._id), source }
+    });
+    throw new ReferralError('SELF_REFERRAL', REJECT_MESSAGES[reason], 403);
+  }
+
+  let referral;
+  try {
+    referral = await Referral.create({ referrer: referrer._id, referred: user._id, code: normalized, source });
+  } catch (e) {
+    if (isDuplicateKey(e)) throw new ReferralError('ALREADY_REFERRED', 'This account already has a referral', 409);
+    throw e;
+  }
+  recordAudit(req, {
+    action: 'referral.attach',
+    target: userTarget(user),
+    metadata: { referralId: String(referral._id), referrerId: String(referrer._id), code: normalized, source }
+  });
+  return { referral, referrer };
+}
+
+async function rejectReferral(referral, reason, req, actor = { type: 'webhook' }) {
+  const rejected = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: 'pending' },
+    { $set: { status: 'rejected', rejectReason: reason } },
+    { new: true }
+  );
+  if (rejected) {
+    recordAudit(req, {
+      action: 'referral.rejected',
+      actor,
+      target: { type: 'user', id: String(referral.referred) },
+      metadata: { stage: 'reward', reason, referralId: String(referral._id), referrerId: String(referral.referrer) }
+    });
+  }
+  return rejected;
+}
+
+// Credit the referrer once the referred user's first payment is captured (gift purchases
+// don't count). Safe to call for every captured payment: only the first one of a user with
+// a pending referral does anything. Returns the rewarded or rejected referral, or null.
+async function rewardReferral({ userId, paymentId, provider = null, req = null, actor = { type: 'webhook' }, now = new Date() }) {
+  const referral = await Referral.findOne({ referred: userId, status: 'pending' });
+  if (!referral) return null;
+
+  const first = await PaymentEvent.findOne({ userId, voucherCode: null, status: { $in: ['applied', 'reversed'] } })
+    .sort({ processedAt: 1 }).select('paymentId status').lean();
+  if (!first) return null;
+  if (first.paymentId !== paymentId) {
+    return rejectReferral(referral, first.status === 'reversed' ? 'first_payment_reversed' : 'not_first_payment', req, actor);
+  }
+
+  const [referrer, referred] = await Promise.all([User.findById(referral.referrer), User.findById(userId)]);
+  if (!referrer || referrer.deletedAt) return rejectReferral(referral, 'referrer_deleted', req, actor);
+  if (!referred) return null;
+  const reason = selfReferralReason(referrer, referred);
+  if (reason) return rejectReferral(referral, reason, req, actor);
+
+  const rewardType = (currentPaidPlan(referrer, now) && !isRenewing(referrer)) ? 'days' : 'downloads';
+  const rewardAmount = rewardType === 'days' ? REWARD_DAYS : REWARD_DOWNLOADS;
+  const claimed = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: 'pending' },
+    { $set: { status: 'rewarded', paymentId, rewardType, rewardAmount, rewardedAt: now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const before = { ...planSnapshot(referrer), bonus_downloads: referrer.bonus_downloads || 0 };
+  try {
+    if (rewardType === 'days') {
+      referrer.subscription_end = plusDays(new Date(referrer.subscription_end), rewardAmount);
+      await referrer.save();
+    } else {
+      await User.updateOne({ _id: referrer._id }, { $inc: { bonus_downloads: rewardAmount } });
+      referrer.bonus_downloads = (referrer.bonus_downloads || 0) + rewardAmount;
+    }
+  } catch (err) {
+    // Back to pending so an admin can credit it again (retryReferralReward)
+    await Referral.updateOne(
+      { _id: claimed._id, status: 'rewarded' },
+      { $set: { status: 'pending', paymentId: null, rewardType: null, rewardAmount: 0, rewardedAt: null } }
+    ).catch(() => {});
+    throw err;
+  }
+
+  recordAudit(req, {
+    action: 'referral.rewarded',
+    actor,
+    target: userTarget(referrer),
+    before,
+    after: { ...planSnapshot(referrer), bonus_downloads: referrer.bonus_downloads || 0 },
+    metadata: { referralId: String(claimed._id), referredId: String(userId), paymentId, provider, rewardType, rewardAmount }
+  });
+  console.log('🎉 Referral rewarded:', { referrer: String(referrer._id), referred: String(userId), rewardType, rewardAmount });
+  return claimed;
+}
+
+// Admin recovery for a referral still pending after the referred user paid (the webhook's
+// reward failed): runs the same checks and reward against their first payment.
+async function retryReferralReward(referralId, { req = null } = {}) {
+  const referral = await Referral.findById(referralId).lean();
+  if (!referral) throw new ReferralError('REFERRAL_NOT_FOUND', 'Referral not found', 404);
+  if (referral.status !== 'pending') {
+    throw new ReferralError('REFERRAL_NOT_PENDING', `This referral is already ${referral.status}`, 409);
+  }
+  const first = await PaymentEvent.findOne({ userId: referral.referred, voucherCode: null, status: { $in: ['applied', 'reversed'] } })
+    .sort({ processedAt: 1 }).select('paymentId provider').lean();
+  if (!first) throw new ReferralError('NO_PAYMENT', 'The referred user has not paid yet', 409);
+  const result = await rewardReferral({ userId: referral.referred, paymentId: first.paymentId, provider: first.provider || null, req, actor: null });
+  if (!result) throw new ReferralError('REFERRAL_NOT_PENDING', 'This referral changed while it was being credited; reload it', 409);
+  return result;
+}
+
+// Take back the reward a payment earned (full refund or lost dispute). Days come off the
+// referrer's paid-until date (not below now; the expiry cron does the rest); bonus
+// downloads come off what is left of them. Returns the revoked referral or null.
+async function revokeReferralReward({ paymentId, reason, req = null, now = new Date() }) {
+  const referral = await Referral.findOneAndUpdate(
+    { paymentId, status: 'rewarded' },
+    { $set: { status: 'revoked', revokedAt: now, revokeReason: reason } },
+    { new: true }
+  );
+  if (!referral) return null;
+
+  const referrer = await User.findById(referral.referrer);
+  if (!referrer) return referral;
+  const before = { ...planSnapshot(referrer), bonus_downloads: referrer.bonus_downloads || 0 };
+  if (referral.rewardType === 'days') {
+    const end = referrer.subscription_end ? new Date(referrer.subscription_end) : null;
+    if (end && end > now) {
+      const newEnd = plusDays(end, -referral.rewardAmount);
+      referrer.subscription_end = newEnd > now ? newEnd : now;
+      await referrer.save();
+    }
+  } else {
+    await User.updateOne({ _id: referrer._id }, [
+      { $set: { bonus_downloads: { $max: [0, { $subtract: [{ $ifNull: ['$bonus_downloads', 0] }, referral.rewardAmount] }] } } }
+    ]);
+    referrer.bonus_downloads = Math.max(0, (referrer.bonus_downloads || 0) - referral.rewardAmount);
+  }
+
+  recordAudit(req, {
+    action: 'referral.revoked',
+    actor: { type: 'webhook' },
+    target: userTarget(referrer),
+    before,
+    after: { ...planSnapshot(referrer), bonus_downloads: referrer.bonus_downloads || 0 },
+    metadata: { referralId: String(referral._id), referredId: String(referral.referred), paymentId, reason, rewardType: referral.rewardType, rewardAmount: referral.rewardAmount }
+  });
+  console.log('↩️ Referral reward revoked:', { referrer: String(referrer._id), paymentId, reason });
+  return referral;
+}
+
+// Counts by status and rewards granted, for referrals matching `match`
+async function referralStats(match = {}) {
+  const rows = await Referral.aggregate([
+    { $match: match },
+    { $group: { _id: { status: '$status', rewardType: '$rewardType' }, count: { $sum: 1 }, amount: { $sum: '$rewardAmount' } } }
+  ]);
+  const stats = { total: 0, pending: 0, rewarded: 0, rejected: 0, revoked: 0, daysEarned: 0, downloadsEarned: 0 };
+  for (const r of rows) {
+    stats.total += r.count;
+    stats[r._id.status] = (stats[r._id.status] || 0) + r.count;
+    if (r._id.status !== 'rewarded') continue;
+    if (r._id.rewardType === 'days') stats.daysEarned += r.amount;
+    if (r._id.rewardType === 'downloads') stats.downloadsEarned += r.amount;
+  }
+  return stats;
+}
+
+module.exports = {
+  REWARD_DAYS,
+  REWARD_DOWNLOADS,
+  APPLY_WINDOW_DAYS,
+  ReferralError,
+  normalizeReferralCode,
+  referralLink,
+  ensureReferralCode,
+  selfReferralReason,
+  attachReferral,
+  rewardReferral,
+  retryReferralReward,
+  revokeReferralReward,
+  referralStats
+};
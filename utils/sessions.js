@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MongoStore = require('connect-mongo');
+const RefreshToken = require('../models/RefreshToken');
+require('dotenv').config();
+
+const SESSIONS_COLLECTION = 'sessions';
+const LAST_SEEN_WRITE_INTERVAL_MS = 5 * 60 * 1000; // avoid a session write on every request
+
+// Sessions are stored as plain objects (not JSON strings) so we can query them by user.
+// unserialize still accepts the old stringified format so existing cookies keep working.
+function createSessionStore() {
+  return MongoStore.create({
+    mongoUrl: process.env.MONGODB_URI,
+    collectionName: SESSIONS_COLLECTION,
+    serialize: (session) => JSON.parse(JSON.stringify(session)),
+    unserialize: (stored) => (typeof stored === 'string' ? JSON.parse(stored) : stored)
+  });
+}
+
+function sessionsCollection() {
+  return mongoose.connection.collection(SESSIONS_COLLECTION);
+}
+
+// Public id for a session: never expose the raw sid
+function publicSessionId(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 24);
+}
+
+// Very small UA → "Chrome on Windows" labeller; good enough for a device list
+function describeUserAgent(ua) {
+  const s = String(ua || '');
+  if (!s) return 'Unknown device';
+  const browser =
+    /Edg\//.test(s) ? 'Edge' :
+    /OPR\//.test(s) ? 'Opera' :
+    /Firefox\//.test(s) ? 'Firefox' :
+    /Chrome\//.test(s) ? 'Chrome' :
+    /Safari\//.test(s) ? 'Safari' :
+    /okhttp|Dalvik/i.test(s) ? 'Android app' :
+    /CFNetwork|Darwin/i.test(s) ? 'iOS app' :
+    'Browser';
+  const os =
+    /Android/i.test(s) ? 'Android' :
+    /iPhone|iPad|iPod/i.test(s) ? 'iOS' :
+    /Windows/i.test(s) ? 'Windows' :
+    /Mac OS X|Macintosh/i.test(s) ? 'macOS' :
+    /Linux/i.test(s) ? 'Linux' :
+    null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// Middleware: stamp device info on logged-in cookie sessions (not JWT / API key requests)
+function trackSessionMeta(req, res, next) {
+  try {
+    const passportUser = req.session && req.session.passport && req.session.passport.user;
+    if (!passportUser || req.authMethod) return next();
+
+    const now = Date.now();
+    const meta = req.session.meta || {};
+    const lastSeen = meta.lastSeenAt ? Date.parse(meta.lastSeenAt) : 0;
+    if (!meta.createdAt || (now - lastSeen) > LAST_SEEN_WRITE_INTERVAL_MS) {
+      req.session.meta = {
+        createdAt: meta.createdAt || new Date(now).toISOString(),
+        lastSeenAt: new Date(now).toISOString(),
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null
+      };
+    }
+  } catch (err) {
+    console.warn('[sessions] meta tracking failed:', err && err.message ? err.message : err);
+  }
+  return next();
+}
+
+// Cookie sessions + token-mode devices (active refresh-token families) for one user
+async function listUserSessions(userId, { currentSid, currentFamily } = {}) {
+  const now = new Date();
+  const docs = await sessionsCollection()
+    .find({ 'session.passport.user': String(userId), expires: { $gt: now } })
+    .toArray();
+
+  const cookieSessions = docs.map((doc) => {
+    const meta = (doc.session && doc.session.meta) || {};
+    return {
+      id: publicSessionId(doc._id),
+      type: 'session',
+      current: Boolean(currentSid && doc._id === currentSid),
+      device: describeUserAgent(meta.userAgent),
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      createdAt: meta.createdAt || null,
+      lastSeenAt: meta.lastSeenAt || null,
+      expiresAt: doc.expires || null
+    };
+  });
+
+  const tokens = await RefreshToken.find({ user: userId, revokedAt: null, expiresAt: { $gt: now } })
+    .sort({ createdAt: -1 })
+    .lean();
+  const tokenDevices = tokens.map((t) => ({
+    id: `token_${t.family}`,
+    type: 'token',
+    current: Boolean(currentFamily && t.family === currentFamily),
+    device: describeUserAgent(t.userAgent),
+    userAgent: t.userAgent || null,
+    ip: t.ip || null,
+    // The family's first token is the login; the live token shows the last refresh
+    createdAt: null,
+    lastSeenAt: t.createdAt || null,
+    expiresAt: t.expiresAt || null
+  }));
+
+  // Fill in the login time for token devices from the oldest token in each family
+  if (tokenDevices.length) {
+    const firsts = await RefreshToken.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), family: { $in: tokens.map(t => t.family) } } },
+      { $group: { _id: '$family', createdAt: { $min: '$createdAt' } } }
+    ]);
+    const byFamily = new Map(firsts.map(f => [f._id, f.createdAt]));
+    tokenDevices.forEach((d) => { d.createdAt = byFamily.get(d.id.slice('token_'.length)) || d.lastSeenAt; });
+  }
+
+  const all = cookieSessions.concat(tokenDevices);
+  all.sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+  return all;
+}
+
+// Revoke a single session/device by its public id. Returns true if something was revoked.
+async function revokeUserSession(userId, publicId) {
+  if (String(publicId).startsWith('token_')) {
+    const family = String(publicId).slice('token_'.length);
+    const result = await RefreshToken.updateMany(
+      { user: userId, family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'session_revoked' } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const docs = await sessionsCollection()
+    .find({ 'session.passport.user': String(userId) }, { projection: { _id: 1 } })
+    .toArray();
+  const match = docs.find(d => publicSessionId(d._id) === String(publicId));
+  if (!match) return false;
+  await sessionsCollection().deleteOne({ _id: match._id });
+  return true;
+}
+
+// Sign the user out of every cookie session and token device, optionally keeping the caller's
+// own (exceptSid for a cookie session, exceptFamily for a token device).
+// Called on password reset, "sign out other devices", account deletion and when a team plan
+// changes ownership (utils/organizations.js transferOwnership, for the previous owner).
+async function signOutEverywhere(userId, { exceptSid = null, exceptFamily = null, reason = 'sign_out_everywhere' } = {}) {
+  const filter = { 'session.passport.user': String(userId) };
+  if (exceptSid) filter._id = { $ne: exceptSid };
+  const sessions = await sessionsCollection().deleteMany(filter);
+  const tokenFilter = { user: userId, revokedAt: null };
+  if (exceptFamily) tokenFilter.family = { $ne: exceptFamily };
+  const tokens = await RefreshToken.updateMany(
+    tokenFilter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  console.log('[sessions] signed out everywhere:', {
+    userId: String(userId),
+    reason,
+    sessions: sessions.deletedCount,
+    tokenFamilies: tokens.modifiedCount
+  });
+  return { sessionsRevoked: sessions.deletedCount, tokensRevoked: tokens.modifiedCount };
+}
+
+module.exports = {
+  createSessionStore,
+  trackSessionMeta,
+  listUserSessions,
+  revokeUserSession,
+  signOutEverywhere,
+  describeUserAgent
+};
@@ -0,0 +1,232 @@
+// Stripe behind the PaymentProvider interface (see utils/paymentProviders.js), for
+// international cards. A checkout is a Stripe Checkout Session: its id (cs_...) is our order
+// id and its PaymentIntent (pi_...) is the payment id. Our order notes travel as metadata on
+// both, so webhooks can find the user. Webhook events are translated into the Razorpay
+// payload shape that billingWebhook.js handles.
+const Stripe = require('stripe');
+const { PaymentProviderError } = require('./paymentProviders');
+
+const name = 'stripe';
+
+let client = null;
+
+function getKeys() {
+  return {
+    secretKey: (process.env.STRIPE_SECRET_KEY || '').trim(),
+    webhookSecret: (process.env.STRIPE_WEBHOOK_SECRET || '').trim()
+  };
+}
+
+function isConfigured() {
+  return Boolean(getKeys().secretKey);
+}
+
+function getStripeClient() {
+  const { secretKey } = getKeys();
+  if (!secretKey) throw new PaymentProviderError('SERVER_MISCONFIG', 'Missing STRIPE_SECRET_KEY', 500);
+  if (!client) client = Stripe(secretKey);
+  return client;
+}
+
+function frontendUrl() {
+  return (process.env.FRONTEND_URL || 'https://varamusic.com').replace(/\/+$/, '');
+}
+
+function ownsOrderId(orderId) {
+  return /^cs_/.test(orderId);
+}
+
+function idOf(ref) {
+  if (!ref) return null;
+  return typeof ref === 'string' ? ref : ref.id || null;
+}
+
+function toOrder(session) {
+  return {
+    id: session.id,
+    amount: session.amount_total,
+    currency: String(session.currency || '').toUpperCase(),
+    notes: session.metadata || {},
+    status: session.payment_status === 'paid' ? 'paid' : 'created'
+  };
+}
+
+async function createCheckout({ amount, currency, notes, customer = {}, description }) {
+  const session = await getStripeClient().checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{
+      quantity: 1,
+      price_data: {
+        currency: currency.toLowerCase(),
+        unit_amount: amount,
+        product_data: { name: description || 'Vara plan' }
+      }
+    }],
+    customer_email: customer.email || undefined,
+    client_reference_id: notes.userId,
+    metadata: notes,
+    payment_intent_data: { metadata: notes },
+    success_url: `${frontendUrl()}/billing/success?provider=stripe&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${frontendUrl()}/billing/cancelled?provider=stripe`
+  });
+  return {
+    orderId: session.id,
+    amount: session.amount_total,
+    currency: String(session.currency).toUpperCase(),
+    // The frontend redirects to Stripe's hosted page, then calls /verify with the session id
+    client: { checkoutUrl: session.url, sessionId: session.id }
+  };
+}
+
+// No client-side signature: the session is asked directly whether it was paid
+async function verifyPayment({ orderId }) {
+  if (!orderId) throw new PaymentProviderError('MISSING_FIELDS', 'orderId (the Checkout Session id) is required');
+  const session = await getStripeClient().checkout.sessions.retrieve(orderId);
+  if (session.payment_status !== 'paid') {
+    throw new PaymentProviderError('PAYMENT_NOT_COMPLETED', 'This checkout has not been paid yet', 409);
+  }
+  return { paymentId: idOf(session.payment_intent) };
+}
+
+async function fetchOrder(orderId) {
+  return toOrder(await getStripeClient().checkout.sessions.retrieve(orderId));
+}
+
+function webhookPayload(event, entities) {
+  const payload = {};
+  for (const [key, entity] of Object.entries(entities)) payload[key] = { entity };
+  return { event, payload };
+}
+
+// Stripe dispute statuses → our dispute phases
+function disputePhase(type, dispute) {
+  if (type === 'charge.dispute.created') return 'created';
+  if (type === 'charge.dispute.closed') return ['won', 'lost'].includes(dispute.status) ? dispute.status : 'closed';
+  return dispute.status === 'under_review' ? 'under_review' : 'action_required';
+}
+
+function translateEvent(event) {
+  const obj = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded': {
+      // Delayed methods complete the session unpaid; async_payment_succeeded follows
+      if (obj.payment_status !== 'paid') return null;
+      return webhookPayload('payment.captured', {
+        payment: {
+          id: idOf(obj.payment_intent),
+          order_id: obj.id,
+          amount: obj.amount_total,
+          currency: String(obj.currency).toUpperCase(),
+          status: 'captured',
+          notes: obj.metadata || {}
+        }
+      });
+    }
+    case 'checkout.session.async_payment_failed':
+      return webhookPayload('payment.failed', {
+        payment: {
+          id: idOf(obj.payment_intent) || obj.id,
+          order_id: obj.id,
+          amount: obj.amount_total,
+          currency: String(obj.currency).toUpperCase(),
+          status: 'failed',
+          notes: obj.metadata || {},
+          error_code: 'async_payment_failed'
+        }
+      });
+    case 'payment_intent.payment_failed': {
+      const err = obj.last_payment_error || {};
+      return webhookPayload('payment.failed', {
+        payment: {
+          id: obj.id,
+          order_id: null,
+          amount: obj.amount,
+          currency: String(obj.currency).toUpperCase(),
+          status: 'failed',
+          notes: obj.metadata || {},
+          method: (err.payment_method && err.payment_method.type) || null,
+          error_code: err.code || null,
+          error_description: err.message || null,
+          error_reason: err.decline_code || null
+        }
+      });
+    }
+    case 'charge.refunded': {
+      const latest = obj.refunds && obj.refunds.data && obj.refunds.data[0];
+      const currency = String(obj.currency).toUpperCase();
+      return webhookPayload('refund.processed', {
+        refund: {
+          id: latest ? latest.id : null,
+          payment_id: idOf(obj.payment_intent),
+          amount: latest ? latest.amount : obj.amount_refunded,
+          currency,
+          status: 'processed'
+        },
+        payment: {
+          id: idOf(obj.payment_intent),
+          amount: obj.amount,
+          amount_refunded: obj.amount_refunded,
+          refund_status: obj.refunded ? 'full' : 'partial',
+          currency,
+          notes: obj.metadata || {}
+        }
+      });
+    }
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed': {
+      const phase = disputePhase(event.type, obj);
+      return webhookPayload(`payment.dispute.${phase}`, {
+        dispute: {
+          id: obj.id,
+          payment_id: idOf(obj.payment_intent),
+          amount: obj.amount,
+          currency: String(obj.currency).toUpperCase(),
+          status: phase,
+          reason_code: obj.reason || null
+        }
+      });
+    }
+    default:
+      return null;
+  }
+}
+
+// req.body must be the raw Buffer (express.raw)
+function parseWebhook(req) {
+  const { webhookSecret } = getKeys();
+  if (!webhookSecret) {
+    console.error('[webhook] Missing STRIPE_WEBHOOK_SECRET');
+    throw new PaymentProviderError('SERVER_MISCONFIG', 'Missing STRIPE_WEBHOOK_SECRET', 500);
+  }
+  let event;
+  try {
+    // Signature check only; no API call, so the secret key isn't needed here
+    event = Stripe.webhooks.constructEvent(req.body, req.get('stripe-signature') || '', webhookSecret);
+  } catch (e) {
+    throw new PaymentProviderError('INVALID_SIGNATURE', 'Invalid webhook signature');
+  }
+  const payload = translateEvent(event);
+  return payload ? { eventId: event.id, payload } : null;
+}
+
+// Stripe confirms with charge.refunded, which the webhook applies
+async function refund(paymentId, { amount, notes } = {}) {
+  const params = { payment_intent: paymentId, metadata: notes || {} };
+  if (amount != null) params.amount = amount;
+  const r = await getStripeClient().refunds.create(params);
+  return { id: r.id, paymentId, amount: r.amount, currency: String(r.currency).toUpperCase(), status: r.status };
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  ownsOrderId,
+  createCheckout,
+  verifyPayment,
+  fetchOrder,
+  parseWebhook,
+  refund,
+  translateEvent
+};
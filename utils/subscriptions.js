@@ -0,0 +1,25 @@
+// Razorpay Subscriptions: the status rules shared by billingRoutes (create/cancel) and
+// billingWebhook (subscription.* events). Razorpay plan ids per tier/cycle are part of
+// the plan catalogue (getRazorpayPlanId / planFromRazorpayPlanId in utils/plans.js).
+
+// Razorpay requires a finite number of billing cycles; ~10 years either way
+const TOTAL_COUNT = { monthly: 120, annual: 10 };
+
+// Statuses in which the subscription will still charge the customer
+const RENEWING_STATUSES = ['created', 'authenticated', 'active', 'pending'];
+
+function isRenewing(user) {
+  return Boolean(user && user.razorpay_subscription_id && RENEWING_STATUSES.includes(user.subscription_status));
+}
+
+// Razorpay timestamps are unix seconds
+function fromUnix(seconds) {
+  return seconds ? new Date(Number(seconds) * 1000) : null;
+}
+
+module.exports = {
+  TOTAL_COUNT,
+  RENEWING_STATUSES,
+  isRenewing,
+  fromUnix
+};
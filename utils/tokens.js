@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const AuthCode = require('../models/AuthCode');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.JWT_ACCESS_TTL_SEC || 15 * 60);              // 15 minutes
+const REFRESH_TOKEN_TTL_MS = Number(process.env.JWT_REFRESH_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+const AUTH_CODE_TTL_MS = 60 * 1000;
+const JWT_ISSUER = 'vara-auth-backend';
+
+function getJwtSecret() {
+  const secret = (process.env.JWT_SECRET || '').trim();
+  if (!secret) throw new Error('Missing JWT_SECRET. Set it in .env to enable token mode');
+  return secret;
+}
+
+function sha256(raw) {
+  return crypto.createHash('sha256').update(String(raw || '')).digest('hex');
+}
+
+// ---------- Access tokens (JWT, never stored) ----------
+
+// fam: the refresh-token family it was issued with, so the device can be told apart
+function signAccessToken(user, { family = null } = {}) {
+  return jwt.sign(family ? { typ: 'access', fam: family } : { typ: 'access' }, getJwtSecret(), {
+    subject: String(user._id),
+    issuer: JWT_ISSUER,
+    expiresIn: ACCESS_TOKEN_TTL_SEC
+  });
+}
+
+// Returns the decoded payload or null if the token is invalid/expired
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret(), { issuer: JWT_ISSUER });
+    return payload && payload.typ === 'access' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// Short-lived proof that the first factor passed; swapped for real tokens with grant_type=mfa_otp
+// (the jti lets the mfa_otp grant count attempts per token)
+function signMfaToken(user) {
+  return jwt.sign({ typ: 'mfa' }, getJwtSecret(), {
+    subject: String(user._id),
+    issuer: JWT_ISSUER,
+    jwtid: crypto.randomBytes(12).toString('base64url'),
+    expiresIn: 5 * 60
+  });
+}
+
+function verifyMfaToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret(), { issuer: JWT_ISSUER });
+    return payload && payload.typ === 'mfa' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Refresh tokens (opaque, stored hashed) ----------
+
+async function issueRefreshToken(user, { family, userAgent, ip } = {}) {
+  const raw = crypto.randomBytes(48).toString('base64url');
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: sha256(raw),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: userAgent || null,
+    ip: ip || null
+  });
+  return { raw, doc };
+}
+
+async function issueTokenPair(user, meta = {}) {
+  const { raw, doc } = await issueRefreshToken(user, meta);
+  return {
+    doc,
+    body: {
+      token_type: 'Bearer',
+      access_token: signAccessToken(user, { family: doc.family }),
+      expires_in: ACCESS_TOKEN_TTL_SEC,
+      refresh_token: raw,
+      refresh_expires_at: doc.expiresAt.toISOString()
+    }
+  };
+}
+
+async function revokeFamily(family, reason) {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Swap a refresh token for a new pair. Throws with err.code:
+// INVALID_REFRESH_TOKEN | REFRESH_TOKEN_EXPIRED | REFRESH_TOKEN_REUSED
+async function rotateRefreshToken(raw, loadUser, meta = {}) {
+  const tokenHash = sha256(raw);
+  const now = new Date();
+  // Claimed atomically: of two refreshes racing with the same token only one gets a pair,
+  // the other is treated as reuse
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } },
+    { new: true }
+  );
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) throw tokenError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid');
+    if (existing.revokedAt) {
+      // A rotated/revoked token came back: assume it was stolen and kill the whole chain
+      await revokeFamily(existing.family, 'reuse_detected');
+      console.warn('[tokens] refresh token reuse detected, family revoked:', { user: String(existing.user), family: existing.family });
+      throw tokenError('REFRESH_TOKEN_REUSED', 'Refresh token was already used. Please log in again.');
+    }
+    throw tokenError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired. Please log in again.');
+  }
+
+  let user;
+  let pair;
+  try {
+    user = await loadUser(current.user);
+    if (!user) throw tokenError('INVALID_REFRESH_TOKEN', 'Refresh token owner no longer exists');
+    pair = await issueTokenPair(user, { ...meta, family: current.family });
+  } catch (err) {
+    // Nothing was issued: give the token back so the client's retry isn't taken for reuse
+    if (err.code !== 'INVALID_REFRESH_TOKEN') {
+      await RefreshToken.updateOne(
+        { _id: current._id, revokedReason: 'rotated', replacedBy: null },
+        { $set: { revokedAt: null, revokedReason: null } }
+      ).catch(() => {});
+    }
+    throw err;
+  }
+  await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: pair.doc._id } });
+
+  return { user, body: pair.body };
+}
+
+// Returns the token owner's id, or null when the token is unknown
+async function revokeRefreshToken(raw, reason = 'logout') {
+  const current = await RefreshToken.findOne({ tokenHash: sha256(raw) });
+  if (!current) return null;
+  await revokeFamily(current.family, reason);
+  return current.user;
+}
+
+// ---------- PKCE authorization codes ----------
+
+function isValidCodeChallenge(challenge) {
+  // base64url(sha256(verifier)) is always 43 chars
+  return typeof challenge === 'string' && /^[A-Za-z0-9_-]{43}$/.test(challenge);
+}
+
+async function createAuthCode(user, { codeChallenge, redirectUri }) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  await AuthCode.create({
+    codeHash: sha256(raw),
+    user: user._id,
+    codeChallenge,
+    codeChallengeMethod: 'S256',
+    redirectUri,
+    expiresAt: new Date(Date.now() + AUTH_CODE_TTL_MS)
+  });
+  return raw;
+}
+
+// Single use: the code is marked used atomically before the verifier is checked
+async function consumeAuthCode(rawCode, codeVerifier, redirectUri) {
+  const code = await AuthCode.findOneAndUpdate(
+    { codeHash: sha256(rawCode), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!code) throw tokenError('INVALID_GRANT', 'Authorization code is invalid, expired or already used');
+
+  const expected = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (expected !== code.codeChallenge) throw tokenError('INVALID_GRANT', 'code_verifier does not match code_challenge');
+  if (redirectUri && redirectUri !== code.redirectUri) throw tokenError('INVALID_GRANT', 'redirect_uri mismatch');
+
+  return code.user;
+}
+
+// Mobile apps may only receive codes on redirect URIs we know about
+function isAllowedRedirectUri(uri) {
+  const allowed = String(process.env.MOBILE_REDIRECT_URIS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  return Boolean(uri) && allowed.includes(uri);
+}
+
+function tokenError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SEC,
+  signAccessToken,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  isValidCodeChallenge,
+  createAuthCode,
+  consumeAuthCode,
+  isAllowedRedirectUri
+};
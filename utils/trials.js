@@ -0,0 +1,139 @@
+// Free trials of a paid tier, without a payment.
+// A trial doesn't touch subscription_type: plan resolution returns TRIAL_QUOTA_KEY while
+// trialEndsAt is in the future, so the trial ends on time even before the cron clears it.
+// Buying a plan ends the trial early (endTrial(..., 'converted')).
+const crypto = require('crypto');
+const User = require('../models/User');
+const TrialClaim = require('../models/TrialClaim');
+const { recordAudit, userTarget } = require('./audit');
+const { isPaidPlanActive } = require('./planExpiry');
+const { plusDays } = require('./billing');
+
+const TRIAL_PLAN = 'pro';
+const TRIAL_DAYS = Number(process.env.TRIAL_DAYS || 7);
+// Plan catalogue entry (utils/plans.js) whose quotas apply while a trial runs
+const TRIAL_QUOTA_KEY = 'pro_trial';
+
+class TrialError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
+}
+
+function isTrialActive(user, now = new Date()) {
+  return Boolean(user && user.trialPlan && user.trialEndsAt && new Date(user.trialEndsAt) > now);
+}
+
+function trialStatus(user, now = new Date()) {
+  const active = isTrialActive(user, now);
+  return {
+    active,
+    plan: active ? user.trialPlan : null,
+    startedAt: (user && user.trialStartedAt) || null,
+    endsAt: (user && user.trialEndsAt) || null,
+    used: Boolean(user && user.trialUsed),
+    days: TRIAL_DAYS
+  };
+}
+
+// Accounts and Google logins that may only ever start one trial
+function claimKeys(user) {
+  const keys = [`user:${user._id}`];
+  for (const identity of user.getIdentities()) {
+    if (identity.provider === 'google' && identity.providerUserId) {
+      keys.push(`google:${crypto.createHash('sha256').update(String(identity.providerUserId)).digest('hex')}`);
+    }
+  }
+  return keys;
+}
+
+// Start the trial for a loaded user document. Throws TrialError.
+async function startTrial(user, { req = null, now = new Date() } = {}) {
+  if (user.trialUsed) throw new TrialError('TRIAL_ALREADY_USED', 'This account has already used its free trial');
+  if (isPaidPlanActive(user, now)) throw new TrialError('ALREADY_PAID', 'You already have a paid plan');
+  if (!user.emailVerified && !user.hasIdentity('google')) {
+    throw new TrialError('EMAIL_NOT_VERIFIED', 'Verify your email address to start a free trial', 403);
+  }
+
+  // Claim every key first; any existing claim means this person already had a trial
+  const created = [];
+  try {
+    for (const key of claimKeys(user)) {
+      await TrialClaim.create({ key, user: user._id, plan: TRIAL_PLAN });
+      created.push(key);
+    }
+  } catch (e) {
+    await TrialClaim.deleteMany({ key: { $in: created } }).catch(() => {});
+    if (isDuplicateKey(e)) {
+      throw new TrialError('TRIAL_ALREADY_USED', 'A free trial has already been used with this account or Google login');
+    }
+    throw e;
+  }
+
+  user.trialPlan = TRIAL_PLAN;
+  user.trialStartedAt = now;
+  user.trialEndsAt = plusDays(now, TRIAL_DAYS);
+  user.trialUsed = true;
+  await user.save();
+
+  recordAudit(req, {
+    action: 'billing.trial_started',
+    target: userTarget(user),
+    metadata: { plan: TRIAL_PLAN, days: TRIAL_DAYS, endsAt: user.trialEndsAt }
+  });
+  console.log('🎁 Trial started:', { user: String(user._id), plan: TRIAL_PLAN, endsAt: user.trialEndsAt });
+  return trialStatus(user, now);
+}
+
+// Clear a running trial on a loaded document (caller saves). Returns true if one was running.
+function endTrial(user, now = new Date()) {
+  if (!user || !user.trialPlan) return false;
+  user.trialPlan = null;
+  if (!user.trialEndsAt || new Date(user.trialEndsAt) > now) user.trialEndsAt = now;
+  return true;
+}
+
+// Cron: clear trials whose time is up
+async function processEndedTrials(now = new Date()) {
+  const due = await User.find({ trialPlan: { $ne: null }, trialEndsAt: { $lte: now } })
+    .select('_id email trialPlan trialEndsAt').lean();
+
+  let ended = 0;
+  for (const u of due) {
+    try {
+      const result = await User.updateOne(
+        { _id: u._id, trialPlan: u.trialPlan, trialEndsAt: { $lte: now } },
+        { $set: { trialPlan: null } }
+      );
+      if (!result.modifiedCount) continue;
+      ended++;
+      await recordAudit(null, {
+        action: 'billing.trial_ended',
+        actor: { type: 'system' },
+        target: { type: 'user', id: String(u._id), label: u.email || null },
+        metadata: { plan: u.trialPlan, endedAt: u.trialEndsAt, reason: 'expired' }
+      });
+    } catch (err) {
+      console.error('❌ Trial end failed for', String(u._id), err && err.message ? err.message : err);
+    }
+  }
+  return { success: true, due: due.length, ended };
+}
+
+module.exports = {
+  TRIAL_PLAN,
+  TRIAL_DAYS,
+  TRIAL_QUOTA_KEY,
+  TrialError,
+  isTrialActive,
+  trialStatus,
+  startTrial,
+  endTrial,
+  processEndedTrials
+};
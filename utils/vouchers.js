@@ -0,0 +1,166 @@
+// Plan vouchers: codes that grant a plan for one billing period.
+//   gifts    bought at POST /api/billing/gifts/create-order; the paid order creates the code
+//            (createGiftVoucher, from the shared activation) and emails it to the recipient
+//   batches  generated by admins at POST /api/admin/vouchers/batches (createVoucherBatch)
+// Redemption (POST /api/billing/redeem) is redeemVoucher() in utils/paymentActivation.js,
+// so a code activates exactly like a payment for the same plan would.
+const crypto = require('crypto');
+const Voucher = require('../models/Voucher');
+const { getPlanName } = require('./plans');
+const { sendGiftVoucherEmail } = require('./mailer');
+
+// Unredeemed gifts lapse after this long; batch codes expire when the admin says
+const GIFT_VALID_DAYS = Number(process.env.VOUCHER_GIFT_VALID_DAYS || 365);
+const MAX_BATCH_SIZE = 1000;
+// No 0/O or 1/I, so codes read out at an event or typed from a card don't get mistaken
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PREFIX_PATTERN = /^[A-Z0-9]{2,12}$/;
+
+class VoucherError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isDuplicateKey(e) {
+  return Boolean(e && (e.code === 11000 || (e.message && e.message.includes('E11000'))));
+}
+
+// Case and spacing don't matter when typing a code in
+function normalizeVoucherCode(code) {
+  return String(code || '').toUpperCase().replace(/\s+/g, '');
+}
+
+// PREFIX-XXXX-XXXX-XXXX (60 random bits)
+function generateCode(prefix = 'GIFT') {
+  const groups = [];
+  for (let g = 0; g < 3; g += 1) {
+    let group = '';
+    for (let i = 0; i < 4; i += 1) group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    groups.push(group);
+  }
+  return `${prefix}-${groups.join('-')}`;
+}
+
+function normalizePrefix(prefix) {
+  const p = String(prefix || 'VARA').trim().toUpperCase();
+  if (!PREFIX_PATTERN.test(p)) throw new VoucherError('INVALID_PREFIX', 'prefix must be 2–12 letters or digits');
+  return p;
+}
+
+// The voucher a paid gift order creates. Idempotent per payment, so a retried activation
+// returns the code it already made.
+//   info: { plan, billingCycle, amount, currency, gift: { recipientEmail, recipientName, message } }
+async function createGiftVoucher({ buyer, info, paymentId, orderId, provider, now = new Date() }) {
+  const existing = await Voucher.findOne({ paymentId });
+  if (existing) return existing;
+
+  const gift = info.gift || {};
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await Voucher.create({
+        code: generateCode('GIFT'),
+        plan: info.plan,
+        billingCycle: info.billingCycle,
+        source: 'gift',
+        purchasedBy: buyer._id,
+        paymentId,
+        orderId,
+        provider,
+        amount: info.amount,
+        currency: info.currency,
+        recipientEmail: gift.recipientEmail || null,
+        recipientName: gift.recipientName || null,
+        message: gift.message || null,
+        expiresAt: new Date(now.getTime() + GIFT_VALID_DAYS * 24 * 60 * 60 * 1000)
+      });
+    } catch (e) {
+      if (!isDuplicateKey(e) || attempt >= 3) throw e;
+    }
+  }
+}
+
+// Emails the code to the gift's recipient, if the buyer named one. The buyer always gets
+// the code back from /verify and GET /api/billing/gifts.
+async function sendGiftEmail(voucher, buyer) {
+  if (!voucher.recipientEmail) return { ok: true, skipped: true };
+  return sendGiftVoucherEmail({
+    to: voucher.recipientEmail,
+    recipientName: voucher.recipientName,
+    senderName: (buyer && (buyer.name || buyer.email)) || null,
+    planName: getPlanName(voucher.plan),
+    billingCycle: voucher.billingCycle,
+    code: voucher.code,
+    message: voucher.message,
+    expiresAt: voucher.expiresAt
+  });
+}
+
+// `count` fresh codes for one plan/cycle. Returns { batchId, vouchers }.
+async function createVoucherBatch({ plan, billingCycle, count, prefix, label = null, expiresAt = null, createdBy = null }) {
+  const n = parseInt(count, 10);
+  if (!Number.isFinite(n) || n < 1 || n > MAX_BATCH_SIZE) {
+    throw new VoucherError('INVALID_COUNT', `count must be 1–${MAX_BATCH_SIZE}`);
+  }
+  const codePrefix = normalizePrefix(prefix);
+  const batchId = `batch_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+
+  const codes = new Set();
+  while (codes.size < n) codes.add(generateCode(codePrefix));
+  const vouchers = await Voucher.insertMany([...codes].map(code => ({
+    code,
+    plan,
+    billingCycle,
+    source: 'batch',
+    batchId,
+    label,
+    createdBy,
+    expiresAt
+  })));
+  return { batchId, vouchers };
+}
+
+// Active → void. Returns the voided voucher, or null if it was already used or voided.
+async function voidVoucher(filter, { reason = null, now = new Date() } = {}) {
+  return Voucher.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { $set: { status: 'void', voidedAt: now, voidReason: reason } },
+    { new: true }
+  );
+}
+
+function serializeVoucher(v) {
+  return {
+    id: String(v._id),
+    code: v.code,
+    plan: v.plan,
+    planName: getPlanName(v.plan),
+    billingCycle: v.billingCycle,
+    source: v.source,
+    status: v.status,
+    expiresAt: v.expiresAt,
+    recipientEmail: v.recipientEmail || null,
+    recipientName: v.recipientName || null,
+    batchId: v.batchId || null,
+    label: v.label || null,
+    redeemedBy: v.redeemedBy ? String(v.redeemedBy._id || v.redeemedBy) : null,
+    redeemedAt: v.redeemedAt,
+    voidedAt: v.voidedAt,
+    createdAt: v.createdAt
+  };
+}
+
+module.exports = {
+  GIFT_VALID_DAYS,
+  MAX_BATCH_SIZE,
+  VoucherError,
+  normalizeVoucherCode,
+  generateCode,
+  createGiftVoucher,
+  sendGiftEmail,
+  createVoucherBatch,
+  voidVoucher,
+  serializeVoucher
+};